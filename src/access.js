@@ -0,0 +1,299 @@
+/**
+ * Authorisation for the Telegram bot
+ *
+ * Webhook calls must carry the secret token registered with Telegram, and
+ * only allow-listed chats may use the bot. Chats are stored in the
+ * TELEGRAM_CHAT_IDS KV namespace under `chat:<id>` and start out pending
+ * after /start until an admin approves them. Admins are the user IDs listed
+ * in TELEGRAM_ADMIN_IDS plus any chat approved with the admin role.
+ */
+
+const CHAT_KEY_PREFIX = 'chat:';
+
+export const CHAT_STATUSES = { PENDING: 'pending', APPROVED: 'approved' };
+export const CHAT_ROLES = { MEMBER: 'member', ADMIN: 'admin' };
+
+// Commands any chat may send, even before it is approved
+const PUBLIC_COMMANDS = ['/start'];
+
+// Commands that manage access or change configuration
+const ADMIN_COMMANDS = ['/approve', '/revoke', '/chats', '/apikey'];
+
+// Commands whose plain form only reads, but which change configuration when
+// given arguments (or one of the listed sub-commands)
+const ADMIN_ARGUMENT_COMMANDS = {
+  '/set_target': null,
+  '/fx': null,
+  '/budget': ['add', 'remove'],
+  '/rule': ['add', 'remove', 'apply']
+};
+
+/**
+ * Check the secret token Telegram sends with every webhook call
+ *
+ * The token is set with setWebhook's `secret_token` and must match
+ * TELEGRAM_WEBHOOK_SECRET. When no secret is configured every call is
+ * rejected, so a missing secret can't leave the bot open to anyone who
+ * knows the worker's URL.
+ *
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {boolean} - True if the call may be processed
+ */
+export function verifyWebhookSecret(request, env) {
+  if (!env.TELEGRAM_WEBHOOK_SECRET) {
+    console.error('TELEGRAM_WEBHOOK_SECRET is not set; rejecting webhook call');
+    return false;
+  }
+
+  const token = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+  return timingSafeEqual(token, env.TELEGRAM_WEBHOOK_SECRET);
+}
+
+/**
+ * Get the role a command requires
+ *
+ * @param {string} text - Message text
+ * @returns {string} - "public", "member" or "admin"
+ */
+export function getRequiredRole(text) {
+  const [command, subcommand] = text.trim().split(/\s+/);
+  // Commands in groups may be addressed to the bot ("/stats@my_bot")
+  const name = command.split('@')[0].toLowerCase();
+
+  if (PUBLIC_COMMANDS.includes(name)) {
+    return 'public';
+  }
+  if (ADMIN_COMMANDS.includes(name)) {
+    return CHAT_ROLES.ADMIN;
+  }
+  if (name in ADMIN_ARGUMENT_COMMANDS && subcommand) {
+    const subcommands = ADMIN_ARGUMENT_COMMANDS[name];
+    if (!subcommands || subcommands.includes(subcommand.toLowerCase())) {
+      return CHAT_ROLES.ADMIN;
+    }
+  }
+  return CHAT_ROLES.MEMBER;
+}
+
+/**
+ * Get what a chat and user are allowed to do
+ *
+ * The chat configured as TELEGRAM_CHAT_ID for notifications is always
+ * approved, so existing setups keep working.
+ *
+ * @param {Object} env - Environment variables
+ * @param {string|number} chatId - Telegram chat ID
+ * @param {string|number} userId - Telegram user ID of the sender
+ * @returns {Promise<Object>} - Access ({ status, member, admin })
+ */
+export async function getChatAccess(env, chatId, userId) {
+  const entry = await getChat(env, chatId);
+  const isAdminUser = userId !== undefined && getAdminIds(env).includes(String(userId));
+  const isAdminChat = entry?.status === CHAT_STATUSES.APPROVED && entry.role === CHAT_ROLES.ADMIN;
+  const isNotificationChat = env.TELEGRAM_CHAT_ID !== undefined && String(env.TELEGRAM_CHAT_ID) === String(chatId);
+
+  const admin = isAdminUser || isAdminChat;
+  const member = admin || isNotificationChat || entry?.status === CHAT_STATUSES.APPROVED;
+
+  return {
+    status: member ? CHAT_STATUSES.APPROVED : entry?.status || null,
+    member,
+    admin
+  };
+}
+
+/**
+ * Check whether an access level satisfies a required role
+ *
+ * @param {Object} access - Access from getChatAccess
+ * @param {string} role - Required role ("public", "member" or "admin")
+ * @returns {boolean} - True if allowed
+ */
+export function hasRole(access, role) {
+  if (role === CHAT_ROLES.ADMIN) {
+    return access.admin;
+  }
+  if (role === CHAT_ROLES.MEMBER) {
+    return access.member;
+  }
+  return true;
+}
+
+/**
+ * Get the user IDs configured as admins
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Admin user IDs
+ */
+export function getAdminIds(env) {
+  return String(env.TELEGRAM_ADMIN_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get the stored entry for a chat
+ *
+ * @param {Object} env - Environment variables
+ * @param {string|number} chatId - Telegram chat ID
+ * @returns {Promise<Object|null>} - Chat entry or null
+ */
+export async function getChat(env, chatId) {
+  return env.TELEGRAM_CHAT_IDS.get(`${CHAT_KEY_PREFIX}${chatId}`, { type: 'json' });
+}
+
+/**
+ * List all known chats, pending ones first
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array>} - Chat entries
+ */
+export async function listChats(env) {
+  const chats = [];
+  let cursor;
+
+  do {
+    const page = await env.TELEGRAM_CHAT_IDS.list({ prefix: CHAT_KEY_PREFIX, cursor });
+    for (const key of page.keys) {
+      const entry = await env.TELEGRAM_CHAT_IDS.get(key.name, { type: 'json' });
+      if (entry) {
+        chats.push(entry);
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return chats.sort((a, b) => {
+    if (a.status !== b.status) {
+      return a.status === CHAT_STATUSES.PENDING ? -1 : 1;
+    }
+    return String(a.requested_at).localeCompare(String(b.requested_at));
+  });
+}
+
+/**
+ * Register a chat that sent /start, as pending approval unless it is
+ * already known
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} chat - Telegram chat object
+ * @param {Object} user - Telegram user object of the sender
+ * @returns {Promise<Object>} - Chat entry ({ ..., isNew })
+ */
+export async function registerChat(env, chat, user = {}) {
+  const existing = await getChat(env, chat.id);
+  if (existing) {
+    return { ...existing, isNew: false };
+  }
+
+  const entry = {
+    chat_id: String(chat.id),
+    name: describeChat(chat, user),
+    status: CHAT_STATUSES.PENDING,
+    role: CHAT_ROLES.MEMBER,
+    requested_by: user.id !== undefined ? String(user.id) : null,
+    requested_at: new Date().toISOString()
+  };
+
+  await saveChat(env, entry);
+  return { ...entry, isNew: true };
+}
+
+/**
+ * Approve a chat, or change the role of an approved chat
+ *
+ * @param {Object} env - Environment variables
+ * @param {string|number} chatId - Telegram chat ID
+ * @param {Object} options - Approval options
+ * @param {string} options.role - Role to grant (member or admin)
+ * @param {string|number} options.approvedBy - User ID of the approving admin
+ * @returns {Promise<Object>} - Updated chat entry
+ */
+export async function approveChat(env, chatId, { role = CHAT_ROLES.MEMBER, approvedBy } = {}) {
+  if (!/^-?\d+$/.test(String(chatId))) {
+    throw new Error(`Invalid chat ID "${chatId}".`);
+  }
+  if (!Object.values(CHAT_ROLES).includes(role)) {
+    throw new Error(`Invalid role "${role}". Use member or admin.`);
+  }
+
+  const existing = await getChat(env, chatId);
+  const entry = {
+    chat_id: String(chatId),
+    name: null,
+    requested_at: null,
+    ...existing,
+    status: CHAT_STATUSES.APPROVED,
+    role,
+    approved_by: approvedBy !== undefined ? String(approvedBy) : null,
+    approved_at: new Date().toISOString()
+  };
+
+  await saveChat(env, entry);
+  return entry;
+}
+
+/**
+ * Remove a chat from the allow-list (or reject a pending request)
+ *
+ * @param {Object} env - Environment variables
+ * @param {string|number} chatId - Telegram chat ID
+ * @returns {Promise<Object>} - Removed chat entry
+ */
+export async function revokeChat(env, chatId) {
+  const existing = await getChat(env, chatId);
+  if (!existing) {
+    throw new Error(`Chat ${chatId} is not on the allow-list.`);
+  }
+
+  await env.TELEGRAM_CHAT_IDS.delete(`${CHAT_KEY_PREFIX}${chatId}`);
+  return existing;
+}
+
+/**
+ * Compare two strings in constant time
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  let diff = left.length ^ right.length;
+
+  for (let i = 0; i < right.length; i++) {
+    diff |= (left[i] || 0) ^ right[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Save a chat entry to KV store
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} entry - Chat entry
+ * @returns {Promise<void>}
+ */
+async function saveChat(env, entry) {
+  await env.TELEGRAM_CHAT_IDS.put(`${CHAT_KEY_PREFIX}${entry.chat_id}`, JSON.stringify(entry));
+}
+
+/**
+ * Build a readable name for a chat
+ *
+ * @param {Object} chat - Telegram chat object
+ * @param {Object} user - Telegram user object of the sender
+ * @returns {string} - Chat name
+ */
+function describeChat(chat, user) {
+  if (chat.title) {
+    return chat.title;
+  }
+  const name = [user.first_name || chat.first_name, user.last_name || chat.last_name].filter(Boolean).join(' ');
+  const username = user.username || chat.username;
+  return [name, username ? `@${username}` : null].filter(Boolean).join(' ') || String(chat.id);
+}
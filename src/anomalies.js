@@ -0,0 +1,339 @@
+/**
+ * Anomaly detection
+ *
+ * Each scheduled run looks at the expenses of the last few days and flags:
+ *
+ *   large_for_merchant  an expense far above what the merchant usually charges
+ *   large_for_category  an expense far above the category's usual amount
+ *   new_merchant        a large charge from a merchant never seen before
+ *   daily_spike         a daily total far above the trailing 30-day average
+ *   duplicate           the same amount at the same merchant within minutes
+ *
+ * Alert state is kept per anomaly in the ANOMALY_ALERTS KV namespace under
+ * `anomaly:<id>`. An anomaly is alerted at most once a day while it is
+ * recent, and never again once someone has pressed "Looks fine".
+ */
+import { getExpenseAmount, getExpenseDateKey, getDailySeries, isSpendExpense } from './spend';
+import { getExpenseCategory, getExpenseMerchant } from './categories';
+import { getExpensesInRange } from './history';
+import { normalizeExpense, getAccountCurrency } from './currency';
+import { getTimezone, getToday, addDays } from './time';
+
+export const ANOMALY_TYPES = ['large_for_merchant', 'large_for_category', 'new_merchant', 'daily_spike', 'duplicate'];
+
+// Days (including today) whose expenses are checked
+const RECENT_DAYS = 3;
+
+// Days of history before the recent days that typical amounts are taken from
+const BASELINE_DAYS = 90;
+
+// Days of daily totals a spike is compared against
+const SPIKE_WINDOW_DAYS = 30;
+
+// Fewest earlier expenses needed to say what is typical for a merchant or category
+const MIN_SAMPLES = 5;
+
+// Defaults for the configurable thresholds
+const DEFAULT_STD_DEVIATIONS = 3;
+const DEFAULT_NEW_MERCHANT_AMOUNT = 200;
+const DEFAULT_DUPLICATE_MINUTES = 10;
+
+// How long alert state is kept
+const ALERT_STATE_TTL_SECONDS = 180 * 24 * 60 * 60;
+
+/**
+ * Get the anomaly thresholds from the environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Thresholds ({ stdDeviations, newMerchantAmount, duplicateMinutes })
+ */
+export function getAnomalySettings(env) {
+  const stdDeviations = parseFloat(env.ANOMALY_STD_DEVIATIONS);
+  const newMerchantAmount = parseFloat(env.ANOMALY_NEW_MERCHANT_AMOUNT);
+  const duplicateMinutes = parseFloat(env.ANOMALY_DUPLICATE_MINUTES);
+
+  return {
+    stdDeviations: stdDeviations > 0 ? stdDeviations : DEFAULT_STD_DEVIATIONS,
+    newMerchantAmount: newMerchantAmount > 0 ? newMerchantAmount : DEFAULT_NEW_MERCHANT_AMOUNT,
+    duplicateMinutes: duplicateMinutes > 0 ? duplicateMinutes : DEFAULT_DUPLICATE_MINUTES
+  };
+}
+
+/**
+ * Find anomalies among the expenses of the last few days
+ *
+ * @param {Array} expenses - Expenses in the reporting currency, covering BASELINE_DAYS before the recent days up to today
+ * @param {Object} options - Detection options
+ * @param {string} options.today - Current day (YYYY-MM-DD)
+ * @param {string} options.timeZone - IANA timezone expenses are bucketed into days in
+ * @param {Object} options.settings - Thresholds (see getAnomalySettings)
+ * @returns {Array<Object>} - Anomalies ({ key, type, date, amount, typical, expenses })
+ */
+export function detectAnomalies(expenses, { today, timeZone = 'UTC', settings }) {
+  const recentFrom = addDays(today, -(RECENT_DAYS - 1));
+  // Refunds only ever lower spend, so they are left out
+  const counted = expenses.filter(isSpendExpense);
+  const dateOf = exp => getExpenseDateKey(exp, timeZone);
+
+  const baseline = counted.filter(exp => dateOf(exp) < recentFrom);
+  const recent = counted.filter(exp => dateOf(exp) >= recentFrom && dateOf(exp) <= today);
+
+  const byMerchant = groupAmounts(baseline, exp => getExpenseMerchant(exp)?.toLowerCase());
+  const byCategory = groupAmounts(baseline, exp => String(getExpenseCategory(exp)).toLowerCase());
+
+  const anomalies = [];
+
+  // Single expenses far above what is usual
+  for (const exp of recent) {
+    const amount = getExpenseAmount(exp);
+    const merchant = getExpenseMerchant(exp)?.toLowerCase();
+    const merchantAmounts = merchant ? byMerchant[merchant] : undefined;
+    const categoryAmounts = byCategory[String(getExpenseCategory(exp)).toLowerCase()];
+
+    let type = null;
+    let typical = null;
+    if (merchantAmounts && merchantAmounts.length >= MIN_SAMPLES) {
+      if (isOutlier(amount, merchantAmounts, settings.stdDeviations)) {
+        type = 'large_for_merchant';
+        typical = median(merchantAmounts);
+      }
+    } else if (merchant && !merchantAmounts && amount >= settings.newMerchantAmount) {
+      type = 'new_merchant';
+    } else if (categoryAmounts && categoryAmounts.length >= MIN_SAMPLES && isOutlier(amount, categoryAmounts, settings.stdDeviations)) {
+      type = 'large_for_category';
+      typical = median(categoryAmounts);
+    }
+
+    if (type) {
+      anomalies.push({ key: `${type}:${exp.id}`, type, date: dateOf(exp), amount, typical, expenses: [exp] });
+    }
+  }
+
+  // Daily totals far above the trailing average
+  const dailyTotals = {};
+  for (const exp of counted) {
+    dailyTotals[dateOf(exp)] = (dailyTotals[dateOf(exp)] || 0) + getExpenseAmount(exp);
+  }
+  for (let date = recentFrom; date <= today; date = addDays(date, 1)) {
+    const trailing = getDailySeries(dailyTotals, addDays(date, -1), SPIKE_WINDOW_DAYS).map(({ amount }) => amount);
+    const { mean, std } = getStats(trailing);
+    const total = dailyTotals[date] || 0;
+
+    if (std > 0 && total > mean + settings.stdDeviations * std) {
+      anomalies.push({
+        key: `daily_spike:${date}`,
+        type: 'daily_spike',
+        date,
+        amount: total,
+        typical: mean,
+        expenses: recent.filter(exp => dateOf(exp) === date).sort((a, b) => getExpenseAmount(b) - getExpenseAmount(a))
+      });
+    }
+  }
+
+  // The same charge twice within minutes; only expenses with a time of day can be compared
+  const timed = recent
+    .filter(exp => getExpenseMerchant(exp) && !/^\d{4}-\d{2}-\d{2}$/.test(exp.expense_date || exp.created_at))
+    .sort((a, b) => getExpenseTime(a) - getExpenseTime(b));
+  for (let i = 0; i < timed.length; i++) {
+    for (let j = i + 1; j < timed.length; j++) {
+      const [first, second] = [timed[i], timed[j]];
+      if (getExpenseTime(second) - getExpenseTime(first) > settings.duplicateMinutes * 60 * 1000) {
+        break;
+      }
+      if (isSameCharge(first, second)) {
+        anomalies.push({
+          key: `duplicate:${[first.id, second.id].sort().join(':')}`,
+          type: 'duplicate',
+          date: dateOf(second),
+          amount: getExpenseAmount(second),
+          typical: null,
+          expenses: [first, second]
+        });
+      }
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * Detect anomalies and send an alert for each one that is new today and
+ * hasn't been acknowledged
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Options
+ * @param {string} options.currency - Reporting currency
+ * @param {Object} options.fxRates - FX rate table (see currency.js)
+ * @param {Function} sendAlert - Sends a single alert, receives the anomaly and its ID
+ * @returns {Promise<Array>} - Anomalies that were alerted
+ */
+export async function checkAnomalies(env, { currency, fxRates }, sendAlert) {
+  const today = getToday(env);
+  const from = addDays(today, -(RECENT_DAYS - 1 + BASELINE_DAYS));
+  const expenses = (await getExpensesInRange(env, from, today)).map(exp => normalizeExpense(exp, currency, fxRates, getAccountCurrency(env)));
+
+  const anomalies = detectAnomalies(expenses, {
+    today,
+    timeZone: getTimezone(env),
+    settings: getAnomalySettings(env)
+  });
+
+  const alerted = [];
+  for (const anomaly of anomalies) {
+    const id = await getAnomalyId(anomaly.key);
+    const state = await env.ANOMALY_ALERTS.get(`anomaly:${id}`, { type: 'json' });
+
+    if (state && (state.status === 'acknowledged' || state.last_alerted === today)) {
+      continue;
+    }
+
+    try {
+      await sendAlert(anomaly, id);
+      await saveAlertState(env, id, {
+        key: anomaly.key,
+        type: anomaly.type,
+        status: 'open',
+        first_alerted: state?.first_alerted || today,
+        last_alerted: today
+      });
+      alerted.push(anomaly);
+    } catch (error) {
+      // Leave the state as it was so the alert is retried on the next run
+      console.error(`Error sending anomaly alert for ${anomaly.key}:`, error.message);
+    }
+  }
+
+  return alerted;
+}
+
+/**
+ * Mark an anomaly as fine so it isn't alerted again
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} id - Anomaly ID (from the alert button)
+ * @param {Object} options - Options
+ * @param {string|number} options.acknowledgedBy - Telegram user ID that acknowledged it
+ * @returns {Promise<Object>} - Updated alert state
+ */
+export async function acknowledgeAnomaly(env, id, { acknowledgedBy = null } = {}) {
+  const state = await env.ANOMALY_ALERTS.get(`anomaly:${id}`, { type: 'json' });
+  if (!state) {
+    throw new Error('This alert has expired.');
+  }
+
+  const updated = {
+    ...state,
+    status: 'acknowledged',
+    acknowledged_by: acknowledgedBy,
+    acknowledged_at: new Date().toISOString()
+  };
+  await saveAlertState(env, id, updated);
+  return updated;
+}
+
+/**
+ * Save the alert state of an anomaly
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} id - Anomaly ID
+ * @param {Object} state - Alert state
+ * @returns {Promise<void>}
+ */
+async function saveAlertState(env, id, state) {
+  await env.ANOMALY_ALERTS.put(`anomaly:${id}`, JSON.stringify(state), { expirationTtl: ALERT_STATE_TTL_SECONDS });
+}
+
+/**
+ * Derive a short, stable ID for an anomaly that fits in Telegram callback data
+ *
+ * @param {string} key - Anomaly key
+ * @returns {Promise<string>} - 16 hex characters
+ */
+async function getAnomalyId(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return [...new Uint8Array(digest)].slice(0, 8).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Group expense amounts by a key, skipping expenses without one
+ *
+ * @param {Array} expenses - List of expenses
+ * @param {Function} getKey - (expense) => key
+ * @returns {Object} - Amounts keyed by group
+ */
+function groupAmounts(expenses, getKey) {
+  const groups = {};
+  for (const exp of expenses) {
+    const key = getKey(exp);
+    if (key) {
+      (groups[key] = groups[key] || []).push(getExpenseAmount(exp));
+    }
+  }
+  return groups;
+}
+
+/**
+ * Check whether an amount is far above a set of usual amounts: more than the
+ * given standard deviations above the mean, and at least twice the median so
+ * that very regular amounts don't flag small changes
+ *
+ * @param {number} amount - Amount to check
+ * @param {Array<number>} amounts - Usual amounts
+ * @param {number} stdDeviations - Standard deviations above the mean
+ * @returns {boolean} - Whether the amount is an outlier
+ */
+function isOutlier(amount, amounts, stdDeviations) {
+  const { mean, std } = getStats(amounts);
+  return amount > mean + stdDeviations * std && amount >= 2 * median(amounts);
+}
+
+/**
+ * Check whether two expenses look like the same charge
+ *
+ * @param {Object} a - Expense
+ * @param {Object} b - Expense
+ * @returns {boolean} - Whether merchant, amount and currency match
+ */
+function isSameCharge(a, b) {
+  return getExpenseMerchant(a).toLowerCase() === getExpenseMerchant(b).toLowerCase()
+    && a.spent_amount.amount === b.spent_amount.amount
+    && a.spent_amount.currency === b.spent_amount.currency;
+}
+
+/**
+ * Get the time an expense was made at
+ *
+ * @param {Object} expense - Expense
+ * @returns {number} - Milliseconds since the epoch
+ */
+function getExpenseTime(expense) {
+  return new Date(expense.expense_date || expense.created_at).getTime();
+}
+
+/**
+ * Calculate the mean and (sample) standard deviation of a list of numbers
+ *
+ * @param {Array<number>} values - Values
+ * @returns {Object} - Statistics ({ mean, std })
+ */
+function getStats(values) {
+  if (values.length === 0) {
+    return { mean: 0, std: 0 };
+  }
+  const mean = values.reduce((total, value) => total + value, 0) / values.length;
+  const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / Math.max(1, values.length - 1);
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Get the median of a list of numbers
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number} - Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
@@ -0,0 +1,361 @@
+/**
+ * API keys for the HTTP endpoints
+ *
+ * Keys are stored in the API_KEYS KV namespace under `key:<id>`, each with a
+ * name and a list of scopes:
+ *   - read:    GET /calculate, /target and /fx
+ *   - trigger: /trigger (fetches from Revolut and sends the notification)
+ *   - admin:   changing the target or FX rates; implies every other scope
+ *
+ * Requests authenticate either with a bearer token
+ * (`Authorization: Bearer dsr_<id>_<secret>`) or by signing the request with
+ * the key's secret (`X-Api-Key-Id`, `X-Timestamp` and `X-Signature` headers,
+ * see verifySignature). Every request is rate limited per key and recorded
+ * in the API_AUDIT_LOG namespace.
+ */
+import { timingSafeEqual } from './access';
+
+const KEY_PREFIX = 'key:';
+const RATE_LIMIT_PREFIX = 'ratelimit:';
+const AUDIT_PREFIX = 'audit:';
+const TOKEN_PREFIX = 'dsr';
+
+export const API_SCOPES = ['read', 'trigger', 'admin'];
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 30;
+const DEFAULT_AUDIT_RETENTION_DAYS = 90;
+
+// Signed requests must be made within this many seconds of their timestamp
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+
+// Largest timestamp we will see, used to list audit entries newest first
+const MAX_TIMESTAMP = 9999999999999;
+
+/**
+ * Create an API key
+ *
+ * The returned token is the only time the secret is shown in full.
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Key options
+ * @param {string} options.name - Who or what the key is for
+ * @param {Array<string>} options.scopes - Scopes granted to the key
+ * @param {number} options.rateLimit - Requests per minute (defaults to API_RATE_LIMIT_PER_MINUTE)
+ * @param {string} options.createdBy - Who created the key
+ * @returns {Promise<Object>} - Created key ({ key, token })
+ */
+export async function createApiKey(env, { name, scopes = ['read'], rateLimit = null, createdBy = null }) {
+  if (!name || !/^[\w.-]{1,40}$/.test(name)) {
+    throw new Error('Invalid key name. Use up to 40 letters, digits, dots, dashes or underscores.');
+  }
+
+  const invalid = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (scopes.length === 0 || invalid.length > 0) {
+    throw new Error(`Invalid scope "${invalid[0] || ''}". Use one or more of: ${API_SCOPES.join(', ')}.`);
+  }
+
+  const existing = await listApiKeys(env);
+  if (existing.some(key => key.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`An API key named "${name}" already exists.`);
+  }
+
+  const key = {
+    id: randomHex(4),
+    name,
+    scopes: [...new Set(scopes)],
+    secret: randomHex(24),
+    rate_limit: rateLimit,
+    created_by: createdBy !== null ? String(createdBy) : null,
+    created_at: new Date().toISOString()
+  };
+
+  await env.API_KEYS.put(`${KEY_PREFIX}${key.id}`, JSON.stringify(key));
+
+  return { key: describeKey(key), token: `${TOKEN_PREFIX}_${key.id}_${key.secret}` };
+}
+
+/**
+ * List all API keys, without their secrets
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array>} - Keys ({ id, name, scopes, rate_limit, created_at, ... })
+ */
+export async function listApiKeys(env) {
+  const keys = [];
+  let cursor;
+
+  do {
+    const page = await env.API_KEYS.list({ prefix: KEY_PREFIX, cursor });
+    for (const entry of page.keys) {
+      const key = await env.API_KEYS.get(entry.name, { type: 'json' });
+      if (key) {
+        keys.push(describeKey(key));
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return keys.sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Delete an API key
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} id - Key ID or name
+ * @returns {Promise<Object>} - Deleted key
+ */
+export async function revokeApiKey(env, id) {
+  const keys = await listApiKeys(env);
+  const key = keys.find(k => k.id === id || k.name.toLowerCase() === String(id).toLowerCase());
+  if (!key) {
+    throw new Error(`No API key "${id}" found.`);
+  }
+
+  await env.API_KEYS.delete(`${KEY_PREFIX}${key.id}`);
+  return key;
+}
+
+/**
+ * Get the most recent audit log entries
+ *
+ * @param {Object} env - Environment variables
+ * @param {number} limit - Number of entries to return
+ * @returns {Promise<Array>} - Audit entries, newest first
+ */
+export async function getAuditLog(env, limit = 20) {
+  const page = await env.API_AUDIT_LOG.list({ prefix: AUDIT_PREFIX, limit });
+  const entries = await Promise.all(page.keys.map(key => env.API_AUDIT_LOG.get(key.name, { type: 'json' })));
+  return entries.filter(Boolean);
+}
+
+/**
+ * Run a route handler only if the request carries a valid API key with the
+ * required scope and is within the key's rate limit. Every request is
+ * recorded in the audit log.
+ *
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context
+ * @param {string} scope - Scope the route requires
+ * @param {Function} handler - Route handler (request, env) => Response
+ * @returns {Promise<Response>} - HTTP response
+ */
+export async function withApiKey(request, env, ctx, scope, handler) {
+  const url = new URL(request.url);
+  const audit = {
+    time: new Date().toISOString(),
+    method: request.method,
+    path: `${url.pathname}${url.search}`,
+    scope,
+    ip: request.headers.get('CF-Connecting-IP'),
+    key_id: null,
+    key_name: null
+  };
+
+  let key = null;
+  let response;
+  try {
+    key = await authenticateRequest(request, env);
+    audit.key_id = key.id;
+    audit.key_name = key.name;
+  } catch (error) {
+    response = errorResponse(401, error.message, { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  if (key && !hasScope(key, scope)) {
+    response = errorResponse(403, `This API key does not have the "${scope}" scope`);
+  } else if (key) {
+    const limit = await checkRateLimit(env, key);
+    response = limit.allowed
+      ? await handler(request, env)
+      : errorResponse(429, 'Rate limit exceeded', { 'Retry-After': String(limit.retryAfter) });
+  }
+
+  audit.status = response.status;
+  ctx.waitUntil(writeAuditEntry(env, audit));
+
+  return response;
+}
+
+/**
+ * Identify the API key a request was made with
+ *
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Stored key
+ */
+async function authenticateRequest(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+
+  if (authorization.startsWith('Bearer ')) {
+    const match = authorization.substring(7).trim().match(new RegExp(`^${TOKEN_PREFIX}_([0-9a-f]+)_([0-9a-f]+)$`));
+    const key = match ? await getStoredKey(env, match[1]) : null;
+    if (!key || !timingSafeEqual(match[2], key.secret)) {
+      throw new Error('Invalid API key');
+    }
+    return key;
+  }
+
+  const keyId = request.headers.get('X-Api-Key-Id');
+  if (keyId) {
+    const key = await getStoredKey(env, keyId);
+    if (!key || !(await verifySignature(request, key.secret))) {
+      throw new Error('Invalid request signature');
+    }
+    return key;
+  }
+
+  throw new Error('Missing API key. Send "Authorization: Bearer <token>" or a signed request.');
+}
+
+/**
+ * Verify an HMAC-signed request
+ *
+ * The signature is the hex HMAC-SHA256, keyed with the key's secret, of
+ * `<X-Timestamp>\n<METHOD>\n<path and query>\n<body>`, where X-Timestamp is
+ * the request time in Unix seconds.
+ *
+ * @param {Request} request - HTTP request
+ * @param {string} secret - Key secret
+ * @returns {Promise<boolean>} - True if the signature is valid and recent
+ */
+async function verifySignature(request, secret) {
+  const timestamp = request.headers.get('X-Timestamp') || '';
+  const signature = (request.headers.get('X-Signature') || '').toLowerCase();
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  if (!/^\d+$/.test(timestamp) || !(age <= SIGNATURE_MAX_AGE_SECONDS)) {
+    return false;
+  }
+
+  const url = new URL(request.url);
+  const body = await request.clone().text();
+  const payload = `${timestamp}\n${request.method}\n${url.pathname}${url.search}\n${body}`;
+
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const expected = toHex(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(payload)));
+
+  return timingSafeEqual(signature, expected);
+}
+
+/**
+ * Count a request against a key's per-minute limit
+ *
+ * Counters live in KV, which is eventually consistent, so the limit is
+ * approximate under bursts from several locations.
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} key - Stored key
+ * @returns {Promise<Object>} - Result ({ allowed, retryAfter })
+ */
+async function checkRateLimit(env, key) {
+  const configured = parseInt(env.API_RATE_LIMIT_PER_MINUTE, 10);
+  const limit = key.rate_limit || (configured > 0 ? configured : DEFAULT_RATE_LIMIT_PER_MINUTE);
+
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+  const counterKey = `${RATE_LIMIT_PREFIX}${key.id}:${minute}`;
+  const count = parseInt(await env.API_KEYS.get(counterKey), 10) || 0;
+
+  if (count >= limit) {
+    return { allowed: false, retryAfter: Math.ceil(((minute + 1) * 60000 - now) / 1000) };
+  }
+
+  // Counters expire shortly after their minute is over
+  await env.API_KEYS.put(counterKey, String(count + 1), { expirationTtl: 120 });
+  return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Record a request in the audit log
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<void>}
+ */
+async function writeAuditEntry(env, entry) {
+  const days = parseInt(env.AUDIT_LOG_RETENTION_DAYS, 10);
+  const retention = (days > 0 ? days : DEFAULT_AUDIT_RETENTION_DAYS) * 24 * 60 * 60;
+
+  // Keys sort newest first, so the log can be listed without reading it all
+  const sortKey = String(MAX_TIMESTAMP - Date.parse(entry.time)).padStart(13, '0');
+
+  try {
+    await env.API_AUDIT_LOG.put(`${AUDIT_PREFIX}${sortKey}:${randomHex(3)}`, JSON.stringify(entry), { expirationTtl: retention });
+  } catch (error) {
+    console.error('Error writing audit log entry:', error.message);
+  }
+}
+
+/**
+ * Get a stored key, including its secret
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} - Stored key or null
+ */
+async function getStoredKey(env, id) {
+  if (!/^[0-9a-f]+$/.test(id)) {
+    return null;
+  }
+  return env.API_KEYS.get(`${KEY_PREFIX}${id}`, { type: 'json' });
+}
+
+/**
+ * Check whether a key grants a scope
+ *
+ * @param {Object} key - Stored key
+ * @param {string} scope - Required scope
+ * @returns {boolean} - True if granted
+ */
+function hasScope(key, scope) {
+  return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
+
+/**
+ * Strip the secret from a stored key
+ *
+ * @param {Object} key - Stored key
+ * @returns {Object} - Key without its secret
+ */
+function describeKey(key) {
+  const { secret, ...rest } = key;
+  return rest;
+}
+
+/**
+ * Build a JSON error response
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} error - Error message
+ * @param {Object} headers - Extra headers
+ * @returns {Response} - HTTP response
+ */
+function errorResponse(status, error, headers = {}) {
+  return new Response(JSON.stringify({ success: false, error }), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Generate a random hex string
+ *
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex string
+ */
+function randomHex(bytes) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+/**
+ * Encode bytes as hex
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} - Hex string
+ */
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,199 @@
+/**
+ * Spend breakdown over an arbitrary date range
+ *
+ * Used by the read-only /calculate endpoint. Works on stored history only:
+ * expenses are filtered to the range (and optionally to some categories),
+ * converted to the requested currency, and summarised as a series per day,
+ * week or month, per-category totals and trailing moving averages.
+ */
+import { getDailyTarget } from './target';
+import { getBudgetPeriod } from './budgets';
+import { getCustomPeriod } from './period';
+import { normalizeExpense, convertAmount } from './currency';
+import { compareSpend, getComparisonHistoryStart } from './comparison';
+import {
+  MOVING_AVERAGE_HISTORY_DAYS,
+  calculateMovingAverages,
+  getCategoryAmounts,
+  getExpenseAmount,
+  getExpenseDateKey,
+  isCountedExpense,
+  isRefundExpense,
+  summarizeRefunds
+} from './spend';
+import { addDays } from './time';
+
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+/**
+ * Get the first day a breakdown needs history from, so that moving averages
+ * and the comparison at the end of the range are complete even for short ranges
+ *
+ * @param {string} from - First day of the range (YYYY-MM-DD)
+ * @param {string} to - Last day of the range (YYYY-MM-DD)
+ * @returns {string} - First day to load (YYYY-MM-DD)
+ */
+export function getBreakdownHistoryStart(from, to) {
+  return [from, addDays(to, -(MOVING_AVERAGE_HISTORY_DAYS - 1)), getComparisonHistoryStart(to)].sort()[0];
+}
+
+/**
+ * Calculate a spend breakdown for a date range
+ *
+ * @param {Array} expenses - Stored expenses, covering at least getBreakdownHistoryStart(from, to) to `to`
+ * @param {Object} options - Breakdown options
+ * @param {string} options.from - First day of the range (YYYY-MM-DD)
+ * @param {string} options.to - Last day of the range (YYYY-MM-DD)
+ * @param {Object} options.period - Period the range describes (see period.js), defaults to a custom range
+ * @param {Array<string>} options.categories - Categories to include (all when empty)
+ * @param {string} options.granularity - Series granularity (day, week or month)
+ * @param {string} options.currency - Currency to report in
+ * @param {Object} options.fxRates - FX rate table (see currency.js)
+ * @param {string} options.accountCurrency - Currency of the Revolut account (see getAccountCurrency in currency.js)
+ * @param {Object} options.targetConfig - Daily target configuration (see target.js)
+ * @param {string} options.targetCurrency - Currency the targets are set in (the reporting currency)
+ * @param {string} options.timeZone - IANA timezone expenses are bucketed into days in
+ * @returns {Object} - Spend breakdown
+ */
+export function calculateSpendBreakdown(expenses, { from, to, period = getCustomPeriod(from, to), categories = [], granularity = 'day', currency, fxRates, accountCurrency = null, targetConfig, targetCurrency = currency, timeZone = 'UTC' }) {
+  const wanted = categories.map(category => category.toLowerCase());
+
+  // The part of each expense in the wanted categories; split expenses may only partly match
+  const getWantedAmounts = exp => getCategoryAmounts(exp)
+    .filter(({ category }) => wanted.length === 0 || wanted.includes(category.toLowerCase()));
+  const getAmount = exp => (wanted.length === 0
+    ? getExpenseAmount(exp)
+    : getWantedAmounts(exp).reduce((total, { amount }) => total + amount, 0));
+
+  const counted = expenses
+    .map(exp => normalizeExpense(exp, currency, fxRates, accountCurrency))
+    .filter(isCountedExpense)
+    .filter(exp => wanted.length === 0 || getWantedAmounts(exp).length > 0);
+
+  // Daily totals, including the days before the range needed for moving averages
+  const dailyTotals = {};
+  for (const exp of counted) {
+    const date = getExpenseDateKey(exp, timeZone);
+    dailyTotals[date] = (dailyTotals[date] || 0) + getAmount(exp);
+  }
+
+  const inRange = counted.filter(exp => {
+    const date = getExpenseDateKey(exp, timeZone);
+    return date >= from && date <= to;
+  });
+
+  const days = listDays(from, to);
+  const totalAmount = inRange.reduce((total, exp) => total + getAmount(exp), 0);
+  const grossAmount = inRange.filter(exp => !isRefundExpense(exp)).reduce((total, exp) => total + getAmount(exp), 0);
+  const refunds = summarizeRefunds(inRange, counted, timeZone);
+
+  // Per-category totals over the range; a split expense counts once in each of its categories
+  const byCategory = {};
+  for (const exp of inRange) {
+    for (const { category, amount } of getWantedAmounts(exp)) {
+      byCategory[category] = byCategory[category] || { category, amount: 0, count: 0 };
+      byCategory[category].amount += amount;
+      byCategory[category].count += 1;
+    }
+  }
+  const categoryTotals = Object.values(byCategory)
+    .sort((a, b) => b.amount - a.amount)
+    .map(entry => ({
+      ...entry,
+      percentage: totalAmount > 0 ? (entry.amount / totalAmount * 100).toFixed(1) : '0.0'
+    }));
+
+  // Trailing moving averages at the end of the range; days without spend count as zero
+  const movingAverages = calculateMovingAverages(dailyTotals, to);
+
+  // This week and month so far against the periods before, in the wanted categories
+  const comparison = compareSpend(
+    counted.flatMap(exp => getWantedAmounts(exp).map(({ category, amount }) => ({ date: getExpenseDateKey(exp, timeZone), category, amount }))),
+    { to, movingAverages }
+  );
+
+  // Targets are set in the reporting currency; without a rate they can't be compared
+  const targetRate = convertAmount(1, targetCurrency, currency, fxRates);
+  const targetAmount = targetRate === null
+    ? null
+    : days.reduce((total, day) => total + getDailyTarget(targetConfig, day), 0) * targetRate;
+
+  return {
+    from,
+    to,
+    period,
+    periodDays: days.length,
+    timeZone,
+    granularity,
+    currency,
+    categoryFilter: categories,
+    totalAmount,
+    grossAmount,
+    refunds,
+    expenseCount: inRange.length,
+    dailyRate: totalAmount / days.length,
+    movingAverage7Day: movingAverages.simple[7],
+    movingAverage30Day: movingAverages.simple[30],
+    movingAverages,
+    comparison,
+    targetDailyRate: targetRate === null ? null : getDailyTarget(targetConfig, to) * targetRate,
+    targetAmount,
+    targetSpendAmount: targetRate === null ? null : Math.max(0, targetAmount - totalAmount),
+    series: buildSeries(days, dailyTotals, inRange, granularity, timeZone),
+    categories: categoryTotals,
+    topCategories: categoryTotals.slice(0, 5).map(({ category, amount, percentage }) => ({ category, amount, percentage }))
+  };
+}
+
+/**
+ * Group daily totals into a series of days, weeks or months. Every bucket in
+ * the range is present, with zero for buckets without spend; the first and
+ * last bucket are clipped to the range.
+ *
+ * @param {Array<string>} days - Days of the range (YYYY-MM-DD)
+ * @param {Object} dailyTotals - Spend per day
+ * @param {Array} expenses - Expenses in the range
+ * @param {string} granularity - Series granularity (day, week or month)
+ * @param {string} timeZone - IANA timezone expenses are bucketed into days in
+ * @returns {Array<Object>} - Series ({ period, from, to, days, amount, count })
+ */
+function buildSeries(days, dailyTotals, expenses, granularity, timeZone) {
+  const counts = {};
+  for (const exp of expenses) {
+    const date = getExpenseDateKey(exp, timeZone);
+    counts[date] = (counts[date] || 0) + 1;
+  }
+
+  const series = [];
+  for (const day of days) {
+    const period = granularity === 'day' ? day : getBudgetPeriod(granularity, day).from.substring(0, granularity === 'month' ? 7 : 10);
+    let bucket = series[series.length - 1];
+
+    if (!bucket || bucket.period !== period) {
+      bucket = { period, from: day, to: day, days: 0, amount: 0, count: 0 };
+      series.push(bucket);
+    }
+
+    bucket.to = day;
+    bucket.days += 1;
+    bucket.amount += dailyTotals[day] || 0;
+    bucket.count += counts[day] || 0;
+  }
+
+  return series;
+}
+
+/**
+ * List every day from one date to another, inclusive
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Array<string>} - Days (YYYY-MM-DD)
+ */
+function listDays(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
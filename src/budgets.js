@@ -0,0 +1,287 @@
+/**
+ * Named spend budgets and over-budget alerts
+ *
+ * Budgets are stored in the SPEND_CONFIG KV namespace. Each budget limits the
+ * spend of one category (or of everything, using the category "All") over a
+ * calendar week, month, quarter or year. A category can have one budget per
+ * period, so budgets are identified by category and period (see getBudgetKey).
+ */
+import { getExpenseAmount, getCategoryAmounts, getExpenseDateKey, isCountedExpense } from './spend';
+import { getExpensesInRange } from './history';
+import { getReportingCurrency, getFxRates, normalizeExpense, getAccountCurrency } from './currency';
+import { getTimezone, getToday, addDays, getDateKey } from './time';
+
+const BUDGETS_KEY = 'budgets';
+const BUDGET_ALERTS_KEY = 'budget_alerts';
+
+export const BUDGET_PERIODS = ['week', 'month', 'quarter', 'year'];
+
+// Percentages of a budget at which an alert is sent
+export const ALERT_THRESHOLDS = [50, 80, 100];
+
+// Category name that matches every expense
+export const ALL_CATEGORIES = 'all';
+
+/**
+ * Get the configured budgets from KV store
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array>} - List of budgets
+ */
+export async function getBudgets(env) {
+  const budgets = await env.SPEND_CONFIG.get(BUDGETS_KEY, { type: 'json' });
+  return budgets || [];
+}
+
+/**
+ * Save budgets to KV store
+ *
+ * @param {Object} env - Environment variables
+ * @param {Array} budgets - List of budgets to save
+ * @returns {Promise<void>}
+ */
+export async function saveBudgets(env, budgets) {
+  await env.SPEND_CONFIG.put(BUDGETS_KEY, JSON.stringify(budgets));
+}
+
+/**
+ * Parse a budget definition from a /budget add command
+ *
+ * Accepted forms: "Dining 800/month", "Dining 800 month", "Coffee Shops 200"
+ * (the period defaults to month)
+ *
+ * @param {string} input - Command arguments after "add"
+ * @returns {Object} - Budget ({ name, category, limit, period })
+ */
+export function parseBudgetDefinition(input) {
+  const parts = input.trim().split(/\s+/).filter(Boolean);
+
+  // An optional trailing period word ("800 month")
+  let period = 'month';
+  if (parts.length > 2 && BUDGET_PERIODS.includes(parts[parts.length - 1].toLowerCase())) {
+    period = parts.pop().toLowerCase();
+  }
+
+  // The amount, optionally with a period suffix ("800/month")
+  const amountToken = parts.pop() || '';
+  const [amountText, periodSuffix] = amountToken.split('/');
+  if (periodSuffix !== undefined) {
+    period = periodSuffix.toLowerCase();
+  }
+
+  const limit = parseFloat(amountText);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    throw new Error('Invalid budget amount. Please provide a positive number.');
+  }
+
+  if (!BUDGET_PERIODS.includes(period)) {
+    throw new Error(`Invalid budget period "${period}". Use one of: ${BUDGET_PERIODS.join(', ')}.`);
+  }
+
+  const category = parts.join(' ');
+  if (!category) {
+    throw new Error('Please provide a category for the budget (or "All" for total spend).');
+  }
+
+  return { name: category, category, limit, period };
+}
+
+/**
+ * Get the key that identifies a budget: its category and period
+ *
+ * @param {Object} budget - Budget
+ * @returns {string} - Key, e.g. "dining/month"
+ */
+export function getBudgetKey(budget) {
+  return `${budget.category.toLowerCase()}/${budget.period}`;
+}
+
+/**
+ * Find the budgets a /budget remove argument refers to
+ *
+ * Accepted forms: "Dining" (every budget on the category) or "Dining quarter"
+ *
+ * @param {Array} budgets - List of budgets
+ * @param {string} input - Command arguments after "remove"
+ * @returns {Array} - Matching budgets
+ */
+export function findBudgets(budgets, input) {
+  const parts = input.trim().split(/\s+/).filter(Boolean);
+  const period = parts.length > 1 && BUDGET_PERIODS.includes(parts[parts.length - 1].toLowerCase())
+    ? parts.pop().toLowerCase()
+    : null;
+  const category = parts.join(' ').toLowerCase();
+
+  return budgets.filter(budget => budget.category.toLowerCase() === category && (!period || budget.period === period));
+}
+
+/**
+ * Get the calendar period a day falls into
+ *
+ * @param {string} period - Budget period (week, month, quarter or year)
+ * @param {string} dateKey - Day in YYYY-MM-DD format
+ * @returns {Object} - Period ({ key, from, to }) with dates in YYYY-MM-DD format
+ */
+export function getBudgetPeriod(period, dateKey) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  let from;
+  let to;
+  let key;
+
+  switch (period) {
+    case 'week': {
+      // Weeks start on Monday
+      const offset = (date.getUTCDay() + 6) % 7;
+      from = addDays(dateKey, -offset);
+      to = addDays(from, 6);
+      key = `${from}/week`;
+      break;
+    }
+    case 'quarter': {
+      const quarter = Math.floor(month / 3);
+      from = getDateKey(year, quarter * 3, 1);
+      to = getDateKey(year, quarter * 3 + 3, 0);
+      key = `${year}-Q${quarter + 1}`;
+      break;
+    }
+    case 'year':
+      from = getDateKey(year, 0, 1);
+      to = getDateKey(year, 11, 31);
+      key = `${year}`;
+      break;
+    case 'month':
+    default:
+      from = getDateKey(year, month, 1);
+      to = getDateKey(year, month + 1, 0);
+      key = dateKey.substring(0, 7);
+      break;
+  }
+
+  return { key, from, to };
+}
+
+/**
+ * Calculate how much of a budget has been used in its current period
+ *
+ * @param {Object} budget - Budget
+ * @param {Array} expenses - List of expenses
+ * @param {string} today - Current day in YYYY-MM-DD format
+ * @param {string} timeZone - IANA timezone expenses are bucketed into days in
+ * @returns {Object} - Budget progress
+ */
+export function calculateBudgetProgress(budget, expenses, today, timeZone = 'UTC') {
+  const period = getBudgetPeriod(budget.period, today);
+  const category = budget.category.toLowerCase();
+
+  const spent = expenses
+    .filter(isCountedExpense)
+    .filter(exp => {
+      const date = getExpenseDateKey(exp, timeZone);
+      return date >= period.from && date <= period.to;
+    })
+    .reduce((total, exp) => total + (category === ALL_CATEGORIES ? getExpenseAmount(exp) : getCategoryAmount(exp, category)), 0);
+
+  return {
+    budget,
+    period,
+    spent,
+    remaining: budget.limit - spent,
+    percentage: budget.limit > 0 ? (spent / budget.limit) * 100 : 0
+  };
+}
+
+/**
+ * Load the expenses needed to calculate progress for a set of budgets,
+ * converted to the reporting currency budgets are set in
+ *
+ * @param {Object} env - Environment variables
+ * @param {Array} budgets - List of budgets
+ * @param {string} today - Current day in YYYY-MM-DD format
+ * @returns {Promise<Array>} - Expenses from the start of the longest current budget period
+ */
+export async function getBudgetExpenses(env, budgets, today) {
+  if (budgets.length === 0) {
+    return [];
+  }
+
+  const from = budgets
+    .map(budget => getBudgetPeriod(budget.period, today).from)
+    .reduce((a, b) => (a < b ? a : b));
+
+  const currency = getReportingCurrency(env);
+  const fxRates = await getFxRates(env);
+  return (await getExpensesInRange(env, from, today))
+    .map(exp => normalizeExpense(exp, currency, fxRates, getAccountCurrency(env)));
+}
+
+/**
+ * Check all budgets and send an alert for every newly crossed threshold
+ *
+ * Each threshold fires at most once per budget period. When several thresholds
+ * are crossed at once, a single alert is sent for the highest one.
+ *
+ * @param {Object} env - Environment variables
+ * @param {Function} sendAlert - Sends a single alert, receives the budget progress and threshold
+ * @returns {Promise<Array>} - Alerts that were sent
+ */
+export async function checkBudgetAlerts(env, sendAlert) {
+  const budgets = await getBudgets(env);
+  if (budgets.length === 0) {
+    return [];
+  }
+
+  const today = getToday(env);
+  const expenses = await getBudgetExpenses(env, budgets, today);
+  const alertState = (await env.SPEND_CONFIG.get(BUDGET_ALERTS_KEY, { type: 'json' })) || {};
+  const nextAlertState = {};
+  const sentAlerts = [];
+
+  for (const budget of budgets) {
+    const progress = calculateBudgetProgress(budget, expenses, today, getTimezone(env));
+
+    // Reset fired thresholds when a new period starts. State saved before
+    // budgets were keyed by period is keyed by name; the period check keeps
+    // it from applying to a budget on the same category with another period.
+    const key = getBudgetKey(budget);
+    const previous = alertState[key] || alertState[budget.name];
+    const fired = previous && previous.period === progress.period.key ? previous.fired : [];
+
+    const crossed = ALERT_THRESHOLDS.filter(threshold => progress.percentage >= threshold && !fired.includes(threshold));
+    nextAlertState[key] = { period: progress.period.key, fired };
+
+    if (crossed.length === 0) {
+      continue;
+    }
+
+    try {
+      const threshold = Math.max(...crossed);
+      await sendAlert(progress, threshold);
+      nextAlertState[key].fired = [...fired, ...crossed];
+      sentAlerts.push({ budget: budget.name, period: budget.period, threshold, percentage: progress.percentage });
+    } catch (error) {
+      // Leave the thresholds unfired so the alert is retried on the next run
+      console.error(`Error sending budget alert for ${key}:`, error.message);
+    }
+  }
+
+  await env.SPEND_CONFIG.put(BUDGET_ALERTS_KEY, JSON.stringify(nextAlertState));
+
+  return sentAlerts;
+}
+
+/**
+ * Get the amount of an expense that goes to one category (part of it for
+ * split expenses)
+ *
+ * @param {Object} expense - Expense
+ * @param {string} category - Category name in lower case
+ * @returns {number} - Amount in the reporting currency
+ */
+function getCategoryAmount(expense, category) {
+  return getCategoryAmounts(expense)
+    .filter(entry => entry.category.toLowerCase() === category)
+    .reduce((total, entry) => total + entry.amount, 0);
+}
@@ -0,0 +1,430 @@
+/**
+ * Parser for the /add_cash_expense command
+ *
+ * Syntax: AMOUNT [CURRENCY] CATEGORY [DATE] [@MERCHANT] [NOTE...]
+ *
+ *   /add_cash_expense 25.50 Groceries
+ *   /add_cash_expense €12,50 "Coffee shop" yesterday @"Blue Bottle" flat white
+ *   /add_cash_expense 12 EUR Taxi 3 days ago airport transfer
+ *
+ * - AMOUNT accepts a currency symbol or code before or after it ("€12.50",
+ *   "12 EUR", "EUR12") and comma decimals ("12,50", "1.234,56").
+ * - CATEGORY is one word, or several words in quotes.
+ * - DATE is YYYY-MM-DD, DD/MM[/YYYY], "today", "yesterday", a weekday
+ *   ("mon", "last friday") or "N days ago". Defaults to today.
+ * - MERCHANT starts with @ and may be quoted.
+ * - Anything left over is kept as a free-text note.
+ */
+
+import { addDays, getDateKey } from './time';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Currency symbols, longest first so "A$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['A$', 'AUD'],
+  ['AU$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['C$', 'CAD'],
+  ['HK$', 'HKD'],
+  ['S$', 'SGD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['₪', 'ILS'],
+  ['zł', 'PLN'],
+  ['$', null] // Resolved to the default currency if it is a dollar, otherwise USD
+].sort((a, b) => b[0].length - a[0].length);
+
+const DOLLAR_CURRENCIES = ['USD', 'AUD', 'NZD', 'CAD', 'HKD', 'SGD'];
+
+/**
+ * Parse the arguments of an /add_cash_expense command
+ *
+ * @param {string} input - Command arguments (without the command itself)
+ * @param {Object} options - Parsing options
+ * @param {string} options.today - Current day in YYYY-MM-DD format
+ * @param {string} options.defaultCurrency - Currency used when none is given
+ * @returns {Object} - Parsed expense ({ amount, currency, category, date, merchant, note })
+ */
+export function parseCashExpense(input, { today, defaultCurrency = 'AUD' }) {
+  const tokens = tokenize(input);
+
+  if (tokens.length === 0) {
+    throw new Error('Missing amount. Start with the amount, e.g. 25.50');
+  }
+
+  const { amount, currency } = takeAmount(tokens, defaultCurrency);
+
+  // Category
+  const categoryToken = tokens.shift();
+  if (!categoryToken || !categoryToken.value.trim()) {
+    throw new Error('Missing category. Add one after the amount, e.g. Groceries or "Coffee shop"');
+  }
+  if (!categoryToken.quoted && categoryToken.value.startsWith('@')) {
+    throw new Error('Missing category. The category must come before the @merchant');
+  }
+
+  // Date, merchant and note can follow in any order
+  let date = null;
+  let merchant = null;
+  const noteWords = [];
+
+  while (tokens.length > 0) {
+    if (!tokens[0].quoted && tokens[0].value.startsWith('@')) {
+      if (merchant) {
+        throw new Error('Only one @merchant can be given.');
+      }
+      const token = tokens.shift();
+      merchant = token.value.substring(1) || (tokens[0]?.quoted ? tokens.shift().value : '');
+      if (!merchant) {
+        throw new Error('Missing merchant name after @');
+      }
+      continue;
+    }
+
+    if (!date) {
+      const match = matchDate(tokens, today);
+      if (match) {
+        date = match.date;
+        tokens.splice(0, match.length);
+        continue;
+      }
+    }
+
+    noteWords.push(tokens.shift().value);
+  }
+
+  date = date || today;
+  if (date > today) {
+    throw new Error(`The date ${date} is in the future.`);
+  }
+
+  return {
+    amount,
+    currency,
+    category: categoryToken.value.trim(),
+    date,
+    merchant,
+    note: noteWords.join(' ') || null
+  };
+}
+
+/**
+ * Parse an amount on its own, e.g. a reply in the guided /add_cash_expense flow
+ *
+ * @param {string} input - Amount with an optional currency ("12,50", "€12", "12 EUR")
+ * @param {string} defaultCurrency - Currency used when none is given
+ * @returns {Object} - Amount ({ amount, currency })
+ */
+export function parseCashAmount(input, defaultCurrency = 'AUD') {
+  const tokens = tokenize(input);
+  if (tokens.length === 0) {
+    throw new Error('Missing amount. Send a number such as 25.50');
+  }
+
+  const result = takeAmount(tokens, defaultCurrency);
+  if (tokens.length > 0) {
+    throw new Error(`Unexpected "${tokens.map(token => token.value).join(' ')}" after the amount.`);
+  }
+  return result;
+}
+
+/**
+ * Parse a date on its own, e.g. a reply in the guided /add_cash_expense flow
+ *
+ * @param {string} input - Date ("2025-03-15", "15/03", "yesterday", "mon", "3 days ago")
+ * @param {string} today - Current day in YYYY-MM-DD format
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function parseCashDate(input, today) {
+  const tokens = tokenize(input);
+  const match = matchDate(tokens, today);
+  if (!match || match.length !== tokens.length) {
+    throw new Error(`Invalid date "${input.trim()}". Use YYYY-MM-DD, DD/MM, "yesterday", a weekday or "3 days ago".`);
+  }
+  if (match.date > today) {
+    throw new Error(`The date ${match.date} is in the future.`);
+  }
+  return match.date;
+}
+
+/**
+ * Take the amount, with an optional currency code token before or after it,
+ * from the start of the tokens
+ *
+ * @param {Array<Object>} tokens - Tokens; the amount tokens are removed
+ * @param {string} defaultCurrency - Currency used when none is given
+ * @returns {Object} - Amount ({ amount, currency })
+ */
+function takeAmount(tokens, defaultCurrency) {
+  let currency = null;
+  if (!tokens[0].quoted && isCurrencyCode(tokens[0].value) && tokens.length > 1) {
+    currency = tokens.shift().value.toUpperCase();
+  }
+
+  const amountToken = tokens.shift();
+  const parsedAmount = parseAmount(amountToken.value, defaultCurrency);
+  if (parsedAmount.currency) {
+    if (currency && currency !== parsedAmount.currency) {
+      throw new Error(`Conflicting currencies ${currency} and ${parsedAmount.currency}.`);
+    }
+    currency = parsedAmount.currency;
+  }
+
+  if (!currency && tokens.length > 0 && !tokens[0].quoted && /^[A-Z]{3}$/.test(tokens[0].value) && isCurrencyCode(tokens[0].value)) {
+    currency = tokens.shift().value;
+  }
+
+  return { amount: parsedAmount.amount, currency: currency || defaultCurrency };
+}
+
+/**
+ * Split input into words, keeping quoted phrases together
+ *
+ * @param {string} input - Raw input
+ * @returns {Array<Object>} - Tokens ({ value, quoted })
+ */
+function tokenize(input) {
+  // Phones often replace straight quotes with curly ones
+  const text = input.replace(/[“”„]/g, '"').replace(/[‘’]/g, "'");
+  const tokens = [];
+  const pattern = /(@?)"([^"]*)("?)|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[4] !== undefined) {
+      tokens.push({ value: match[4], quoted: false });
+      continue;
+    }
+    if (!match[3]) {
+      throw new Error('Missing closing quote (").');
+    }
+    if (match[1]) {
+      // @"Merchant Name" is a merchant, not a quoted category
+      tokens.push({ value: `@${match[2]}`, quoted: false });
+    } else {
+      tokens.push({ value: match[2], quoted: true });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an amount with an optional attached currency symbol or code
+ *
+ * @param {string} text - Amount text, e.g. "€12,50", "12.50EUR", "1,234.56"
+ * @param {string} defaultCurrency - Currency "$" resolves to when it is a dollar currency
+ * @returns {Object} - Amount ({ amount, currency }) where currency may be null
+ */
+function parseAmount(text, defaultCurrency) {
+  let rest = text.trim();
+  let currency = null;
+
+  // Symbol or code before the number ("€12", "A$12", "EUR12")
+  const prefixCode = rest.match(/^([A-Za-z]{3})(?=[\d.,])/);
+  const prefixSymbol = CURRENCY_SYMBOLS.find(([symbol]) => rest.startsWith(symbol));
+  if (prefixSymbol) {
+    currency = resolveSymbol(prefixSymbol[1], defaultCurrency);
+    rest = rest.substring(prefixSymbol[0].length);
+  } else if (prefixCode && isCurrencyCode(prefixCode[1])) {
+    currency = prefixCode[1].toUpperCase();
+    rest = rest.substring(3);
+  }
+
+  // Symbol or code after the number ("12€", "12EUR")
+  const suffixCode = rest.match(/(?<=[\d.,])([A-Za-z]{3})$/);
+  const suffixSymbol = CURRENCY_SYMBOLS.find(([symbol]) => rest.endsWith(symbol));
+  if (!currency && suffixSymbol) {
+    currency = resolveSymbol(suffixSymbol[1], defaultCurrency);
+    rest = rest.substring(0, rest.length - suffixSymbol[0].length);
+  } else if (!currency && suffixCode && isCurrencyCode(suffixCode[1])) {
+    currency = suffixCode[1].toUpperCase();
+    rest = rest.substring(0, rest.length - 3);
+  }
+
+  if (!/^\d[\d.,]*$/.test(rest) && !/^[.,]\d+$/.test(rest)) {
+    throw new Error(`Invalid amount "${text}". Use a number such as 25.50 or 25,50.`);
+  }
+
+  const amount = parseFloat(normalizeDecimal(rest));
+  if (!Number.isFinite(amount)) {
+    throw new Error(`Invalid amount "${text}". Use a number such as 25.50 or 25,50.`);
+  }
+  if (amount <= 0) {
+    throw new Error('The amount must be greater than zero.');
+  }
+
+  return { amount: Math.round(amount * 100) / 100, currency };
+}
+
+/**
+ * Convert a number with comma or dot decimals and thousands separators to
+ * a plain decimal string
+ *
+ * @param {string} text - Number text, e.g. "1.234,56", "1,234.56", "12,5"
+ * @returns {string} - Normalised number, e.g. "1234.56"
+ */
+function normalizeDecimal(text) {
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal separator
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    return text.split(thousands).join('').replace(decimal, '.');
+  }
+
+  if (lastComma !== -1) {
+    // "12,50" is a decimal; "1,234" or "1,234,567" are thousands
+    const groups = text.split(',');
+    const isThousands = groups.length > 2 || groups[1].length === 3;
+    return isThousands ? groups.join('') : text.replace(',', '.');
+  }
+
+  if ((text.match(/\./g) || []).length > 1) {
+    // "1.234.567" uses dots as thousands separators
+    return text.split('.').join('');
+  }
+
+  return text;
+}
+
+/**
+ * Try to read a date from the start of the remaining tokens
+ *
+ * @param {Array<Object>} tokens - Remaining tokens
+ * @param {string} today - Current day in YYYY-MM-DD format
+ * @returns {Object|null} - Match ({ date, length }) or null
+ */
+function matchDate(tokens, today) {
+  const words = tokens.slice(0, 3).map(token => (token.quoted ? null : token.value.toLowerCase()));
+  let offset = 0;
+
+  // Allow an optional "on" before the date ("on monday", "on 2025-03-15")
+  if (words[0] === 'on' && words.length > 1) {
+    offset = 1;
+  }
+
+  const word = words[offset];
+  if (!word) {
+    return null;
+  }
+
+  if (word === 'today') {
+    return { date: today, length: offset + 1 };
+  }
+  if (word === 'yesterday') {
+    return { date: addDays(today, -1), length: offset + 1 };
+  }
+
+  // "3 days ago", "1 day ago"
+  if (/^\d+$/.test(word) && /^days?$/.test(words[offset + 1] || '') && words[offset + 2] === 'ago') {
+    return { date: addDays(today, -parseInt(word, 10)), length: offset + 3 };
+  }
+
+  // "mon", "monday", "last monday": the most recent such day, today included
+  // (unless "last" is used)
+  const isLast = word === 'last' && words[offset + 1];
+  const weekdayWord = isLast ? words[offset + 1] : word;
+  const weekday = WEEKDAYS.findIndex(day => weekdayWord.startsWith(day) && isWeekdayName(weekdayWord, day));
+  if (weekday !== -1) {
+    const todayWeekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    let back = (todayWeekday - weekday + 7) % 7;
+    if (isLast && back === 0) {
+      back = 7;
+    }
+    return { date: addDays(today, -back), length: offset + (isLast ? 2 : 1) };
+  }
+
+  // YYYY-MM-DD
+  const iso = word.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    return { date: validateDate(+iso[1], +iso[2], +iso[3], word), length: offset + 1 };
+  }
+
+  // DD/MM or DD/MM/YYYY
+  const dayMonth = word.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+  if (dayMonth) {
+    let year = dayMonth[3] ? +dayMonth[3] : +today.substring(0, 4);
+    if (year < 100) {
+      year += 2000;
+    }
+    let date = validateDate(year, +dayMonth[2], +dayMonth[1], word);
+    // Without a year, a day later than today means last year
+    if (!dayMonth[3] && date > today) {
+      date = validateDate(year - 1, +dayMonth[2], +dayMonth[1], word);
+    }
+    return { date, length: offset + 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Check that a word is a (possibly abbreviated) weekday name
+ *
+ * @param {string} word - Lowercase word
+ * @param {string} day - Three-letter weekday
+ * @returns {boolean} - True for "mon", "mon.", "monday", "tues" etc.
+ */
+function isWeekdayName(word, day) {
+  const full = {
+    sun: 'sunday', mon: 'monday', tue: 'tuesday', wed: 'wednesday', thu: 'thursday', fri: 'friday', sat: 'saturday'
+  }[day];
+  const bare = word.replace(/\.$/, '');
+  return full.startsWith(bare) && bare.length >= 3;
+}
+
+/**
+ * Build and validate a calendar date
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {string} original - Original text, for the error message
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function validateDate(year, month, day, original) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new Error(`Invalid date "${original}". Use YYYY-MM-DD, DD/MM, "yesterday" or a weekday.`);
+  }
+  return getDateKey(year, month - 1, day);
+}
+
+/**
+ * Resolve a currency symbol to a code
+ *
+ * @param {string|null} code - Code the symbol maps to (null for a bare "$")
+ * @param {string} defaultCurrency - Default currency
+ * @returns {string} - Currency code
+ */
+function resolveSymbol(code, defaultCurrency) {
+  if (code) {
+    return code;
+  }
+  return DOLLAR_CURRENCIES.includes(defaultCurrency) ? defaultCurrency : 'USD';
+}
+
+/**
+ * Check whether a word is an ISO 4217 currency code
+ *
+ * @param {string} word - Word to check
+ * @returns {boolean} - True if it is a known currency code
+ */
+function isCurrencyCode(word) {
+  if (!/^[A-Za-z]{3}$/.test(word)) {
+    return false;
+  }
+  const code = word.toUpperCase();
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('currency').includes(code);
+  }
+  return /^[A-Z]{3}$/.test(word);
+}
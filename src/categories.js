@@ -0,0 +1,290 @@
+/**
+ * Expense categorisation
+ *
+ * The category of an expense is decided in this order:
+ *
+ *   1. Manual (cash) expenses keep the category they were entered with
+ *   2. The first matching user rule: a merchant name pattern or a merchant
+ *      category code (MCC)
+ *   3. The categories of the expense's Revolut splits, each counting for its
+ *      share of the amount
+ *   4. A label in a Revolut label group named "Category"
+ *   5. "Uncategorized"
+ *
+ * Revolut expenses are categorised when they are synced and the result is
+ * stored on the expense as `categorization`, so rules only need to be loaded
+ * by the sync. Stored history can be recategorised after the rules change.
+ * Rules are stored in the SPEND_CONFIG KV namespace, first match wins.
+ */
+
+const RULES_KEY = 'category_rules';
+
+export const RULE_TYPES = ['merchant', 'mcc'];
+
+export const UNCATEGORIZED = 'Uncategorized';
+
+// Label group whose label is used as the category
+const CATEGORY_LABEL_GROUP = 'category';
+
+// Longest merchant pattern accepted, to keep matching cheap
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Get the categorisation rules from KV store
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array>} - Rules ({ type, pattern, category }) in priority order
+ */
+export async function getCategoryRules(env) {
+  const rules = await env.SPEND_CONFIG.get(RULES_KEY, { type: 'json' });
+  return rules || [];
+}
+
+/**
+ * Save categorisation rules to KV store
+ *
+ * @param {Object} env - Environment variables
+ * @param {Array} rules - Rules in priority order
+ * @returns {Promise<void>}
+ */
+export async function saveCategoryRules(env, rules) {
+  await env.SPEND_CONFIG.put(RULES_KEY, JSON.stringify(rules));
+}
+
+/**
+ * Parse a rule from a /rule add command
+ *
+ * Accepted forms: "merchant uber|lyft Transport", "merchant ^amzn Online
+ * Shopping", "mcc 5812 Dining". Merchant patterns are case-insensitive
+ * regular expressions without spaces (use \s to match one).
+ *
+ * @param {string} input - Command arguments after "add"
+ * @returns {Object} - Rule ({ type, pattern, category })
+ */
+export function parseCategoryRule(input) {
+  const [typeText = '', pattern = '', ...categoryWords] = input.trim().split(/\s+/).filter(Boolean);
+  const type = typeText.toLowerCase();
+  const category = categoryWords.join(' ');
+
+  if (!RULE_TYPES.includes(type)) {
+    throw new Error(`Invalid rule type "${typeText}". Use one of: ${RULE_TYPES.join(', ')}.`);
+  }
+
+  if (!pattern || !category) {
+    throw new Error('A rule needs a pattern and a category.');
+  }
+
+  if (type === 'mcc') {
+    if (!/^\d{4}$/.test(pattern)) {
+      throw new Error(`Invalid MCC "${pattern}". Merchant category codes have four digits.`);
+    }
+  } else {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`Merchant patterns can be at most ${MAX_PATTERN_LENGTH} characters long.`);
+    }
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid merchant pattern "${pattern}": ${error.message}`);
+    }
+  }
+
+  return { type, pattern, category };
+}
+
+/**
+ * Describe a rule for messages, e.g. "merchant /uber|lyft/ → Transport"
+ *
+ * @param {Object} rule - Rule
+ * @returns {string} - Description
+ */
+export function describeCategoryRule(rule) {
+  const pattern = rule.type === 'mcc' ? rule.pattern : `/${rule.pattern}/`;
+  return `${rule.type} ${pattern} → ${rule.category}`;
+}
+
+/**
+ * Categorise an expense and store the result on it
+ *
+ * Manual expenses are returned unchanged; their category is the one they
+ * were entered with.
+ *
+ * @param {Object} expense - Expense
+ * @param {Array} rules - Categorisation rules
+ * @returns {Object} - Expense with `categorization` ({ categories, source, rule })
+ */
+export function categorizeExpense(expense, rules = []) {
+  if (isManualExpense(expense)) {
+    return expense;
+  }
+  return { ...expense, categorization: classifyExpense(expense, rules) };
+}
+
+/**
+ * Get the categories an expense is counted under, with the share of its
+ * amount that goes to each, largest first
+ *
+ * Expenses stored before they were categorised are classified without rules.
+ *
+ * @param {Object} expense - Expense
+ * @returns {Array<Object>} - Shares ({ category, share }) adding up to 1
+ */
+export function getCategoryShares(expense) {
+  if (!isManualExpense(expense) && expense.categorization?.categories?.length > 0) {
+    return expense.categorization.categories;
+  }
+  return classifyExpense(expense, []).categories;
+}
+
+/**
+ * Get the category an expense is counted under; for split expenses, the
+ * category of the largest split
+ *
+ * @param {Object} expense - Expense
+ * @returns {string} - Category name
+ */
+export function getExpenseCategory(expense) {
+  return getCategoryShares(expense)[0].category;
+}
+
+/**
+ * Get the merchant name of an expense
+ *
+ * Revolut expenses carry the merchant as a string; manual entries store it
+ * as `merchant.name` next to the category.
+ *
+ * @param {Object} expense - Expense
+ * @returns {string|null} - Merchant name, or null when unknown
+ */
+export function getExpenseMerchant(expense) {
+  if (typeof expense.merchant === 'string') {
+    return expense.merchant;
+  }
+  return expense.merchant?.name || null;
+}
+
+/**
+ * Get the merchant category code of a card expense
+ *
+ * @param {Object} expense - Expense
+ * @returns {string|null} - Four-digit MCC, or null when unknown
+ */
+export function getExpenseMcc(expense) {
+  const mcc = expense.mcc ?? expense.merchant?.category_code;
+  return mcc === undefined || mcc === null ? null : String(mcc).padStart(4, '0');
+}
+
+/**
+ * Work out the categories of an expense
+ *
+ * @param {Object} expense - Expense
+ * @param {Array} rules - Categorisation rules
+ * @returns {Object} - Categorisation ({ categories, source, rule })
+ */
+function classifyExpense(expense, rules) {
+  const single = (category, source, rule = null) => ({ categories: [{ category, share: 1 }], source, rule });
+
+  if (isManualExpense(expense)) {
+    return single(expense.merchant?.category || UNCATEGORIZED, 'manual');
+  }
+
+  const rule = rules.find(candidate => matchesRule(expense, candidate));
+  if (rule) {
+    return single(rule.category, 'rule', describeCategoryRule(rule));
+  }
+
+  const splits = getSplitCategories(expense);
+  if (splits.length > 0) {
+    return { categories: splits, source: 'split', rule: null };
+  }
+
+  // Older stored expenses may carry a plain category
+  if (typeof expense.category === 'string' && expense.category) {
+    return single(expense.category, 'expense');
+  }
+
+  const label = getCategoryLabel(expense);
+  if (label) {
+    return single(label, 'label');
+  }
+
+  return single(UNCATEGORIZED, 'none');
+}
+
+/**
+ * Check whether a rule applies to an expense
+ *
+ * @param {Object} expense - Expense
+ * @param {Object} rule - Categorisation rule
+ * @returns {boolean} - True if the rule matches
+ */
+function matchesRule(expense, rule) {
+  if (rule.type === 'mcc') {
+    return getExpenseMcc(expense) === rule.pattern;
+  }
+
+  const merchant = getExpenseMerchant(expense);
+  if (!merchant) {
+    return false;
+  }
+  try {
+    return new RegExp(rule.pattern, 'i').test(merchant);
+  } catch (error) {
+    console.error(`Skipping category rule with invalid pattern "${rule.pattern}":`, error);
+    return false;
+  }
+}
+
+/**
+ * Get the categories of an expense's Revolut splits, weighted by the amount of
+ * each split (equally when the splits have no amounts)
+ *
+ * @param {Object} expense - Expense
+ * @returns {Array<Object>} - Shares ({ category, share }), largest first, or empty without split categories
+ */
+function getSplitCategories(expense) {
+  const splits = (Array.isArray(expense.splits) ? expense.splits : [])
+    .map(split => ({
+      category: typeof split.category === 'string' ? split.category : split.category?.name,
+      amount: Math.abs(parseFloat(split.amount?.amount ?? split.amount) || 0)
+    }))
+    .filter(split => split.category);
+
+  if (splits.length === 0) {
+    return [];
+  }
+
+  const total = splits.reduce((sum, split) => sum + split.amount, 0);
+  const shares = {};
+  for (const split of splits) {
+    const share = total > 0 ? split.amount / total : 1 / splits.length;
+    shares[split.category] = (shares[split.category] || 0) + share;
+  }
+
+  return Object.entries(shares)
+    .map(([category, share]) => ({ category, share }))
+    .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Get the first label of the expense's "Category" label group
+ *
+ * @param {Object} expense - Expense
+ * @returns {string|null} - Label, or null when there is none
+ */
+function getCategoryLabel(expense) {
+  const labels = expense.labels && typeof expense.labels === 'object' ? expense.labels : {};
+  const group = Object.keys(labels).find(name => name.toLowerCase() === CATEGORY_LABEL_GROUP);
+  const values = group ? [].concat(labels[group]) : [];
+  return values.find(value => typeof value === 'string' && value) || null;
+}
+
+/**
+ * Check whether an expense was entered by hand with its own category
+ *
+ * @param {Object} expense - Expense
+ * @returns {boolean} - True for manual expenses
+ */
+function isManualExpense(expense) {
+  return Boolean(expense.is_manual_entry);
+}
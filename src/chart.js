@@ -0,0 +1,763 @@
+/**
+ * Chart rendering
+ *
+ * Charts are drawn in the worker and encoded as PNG, so no spend data leaves
+ * for a chart service and a chart doesn't depend on one being up. Bar charts
+ * are described by their title, x-axis labels, bar datasets (grouped side by
+ * side) and line datasets (dashed, with gaps where a value is null), in the
+ * style of the daily chart: rounded purple bars, a dashed target line, a
+ * legend at the top right and the amount axis on the right. Doughnut charts
+ * and heat-maps are drawn in the same style. Amounts are formatted like the
+ * captions (see formatCurrency in currency.js). Text uses a built-in 5×7
+ * pixel font covering printable ASCII and the £, € and ¥ signs; accents are
+ * dropped and other characters are drawn as "?".
+ */
+import { DEFAULT_DAILY_TARGET, getDailyTarget } from './target';
+import { getDailySeries } from './spend';
+import { formatCurrency } from './currency';
+import { toLocalDateKey } from './time';
+
+// Charts are 600×350 drawn at twice the size, for sharp text on high-density screens
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 350;
+const PIXEL_RATIO = 2;
+
+// Colours of the daily chart
+const PRIMARY_COLOR = '#7C3AED'; // Purple
+const TARGET_COLOR = '#F43F5E'; // Rose/Pink
+const TEXT_COLOR = '#666666';
+const GRID_ALPHA = 0.06;
+
+// Colours of doughnut segments, in order
+const SEGMENT_COLORS = ['#7C3AED', '#F43F5E', '#0EA5E9', '#F59E0B', '#10B981', '#EC4899', '#6366F1', '#94A3B8'];
+
+// Opacity of the lightest heat-map cell, so cells without spend still show
+const HEATMAP_MIN_ALPHA = 0.06;
+
+// Size of a glyph of the built-in font, and the distance from one character
+// to the next, in font pixels
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const GLYPH_ADVANCE = 6;
+
+// Text sizes, as multiples of the 5×7 font in device pixels
+const TITLE_TEXT_SIZE = 4;
+const TEXT_SIZE = 3;
+const SMALL_TEXT_SIZE = 2;
+
+// Layout, in device pixels: the outer margin, the top of the legend and of
+// the plot below it, and the height of a line of labels
+const PADDING = 10 * PIXEL_RATIO;
+const LEGEND_TOP = PADDING + GLYPH_HEIGHT * TITLE_TEXT_SIZE + 10 * PIXEL_RATIO;
+const CONTENT_TOP = LEGEND_TOP + GLYPH_HEIGHT * TEXT_SIZE + 14 * PIXEL_RATIO;
+const LINE_HEIGHT = (GLYPH_HEIGHT + 3) * TEXT_SIZE;
+
+// Share of a label's slot taken by its bar group, and of a bar's share of the group taken by the bar (as in Chart.js)
+const CATEGORY_PERCENTAGE = 0.8;
+const BAR_PERCENTAGE = 0.9;
+
+// Glyphs of the printable ASCII characters (space to "~"), five columns each
+// with the top row in the lowest bit
+const FONT_GLYPHS = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649552250', '0005030000',
+  '001c224100', '0041221c00', '082a1c2a08', '08083e0808', '0050300000', '0808080808', '0060600000', '2010080402',
+  '3e5149453e', '00427f4000', '4261514946', '2141454b31', '1814127f10', '2745454539', '3c4a494930', '0171090503',
+  '3649494936', '064949291e', '0036360000', '0056360000', '0814224100', '1414141414', '0041221408', '0201510906',
+  '3249794136', '7e1111117e', '7f49494936', '3e41414122', '7f4141221c', '7f49494941', '7f09090101', '3e41415132',
+  '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f0204027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '4649494931', '01017f0101', '3f4040403f', '1f2040201f', '7f2018207f',
+  '6314081463', '0304780403', '6151494543', '007f414100', '0204081020', '0041417f00', '0402010204', '4040404040',
+  '0001020400', '2054545478', '7f48444438', '3844444420', '384444487f', '3854545418', '087e090102', '081454543c',
+  '7f08040478', '00447d4000', '2040443d00', '007f102844', '00417f4000', '7c04180478', '7c08040478', '3844444438',
+  '7c14141408', '081414187c', '7c08040408', '4854545420', '043f444020', '3c4040207c', '1c2040201c', '3c4030403c',
+  '4428102844', '0c5050503c', '4464544c44', '0008364100', '00007f0000', '0041360800', '0201020402'
+].join('');
+
+// Glyphs of the currency signs outside ASCII that amounts may be formatted with
+const CURRENCY_GLYPHS = {
+  '£': '487e494142',
+  '€': '143e555541',
+  '¥': '292a7c2a29'
+};
+
+// Renderers of each chart type, drawing everything below the title
+const CHART_RENDERERS = {
+  bar: drawBarChart,
+  doughnut: drawDoughnutChart,
+  heatmap: drawHeatmap
+};
+
+let crcTable = null;
+
+/**
+ * Render the daily spend chart: the last 14 days of spend as bars, the
+ * daily target as a dashed line, and the forecast of the next days as a
+ * dashed line after the bars
+ *
+ * @param {Object} spendRate - Spend rate calculation results
+ * @param {string} title - Chart title
+ * @returns {Promise<Uint8Array>} - PNG image
+ */
+export async function renderSpendChart(spendRate, title = 'Daily Spend Rate (Last 14 Days)') {
+  // Get the last 14 calendar days of data, with zero bars for days without spend
+  const dailyRates = spendRate.historicalData?.dailyRates || {};
+  const lastDate = spendRate.period?.to || Object.keys(dailyRates).sort().pop() || toLocalDateKey(new Date(), spendRate.timeZone);
+  const recentDays = getDailySeries(dailyRates, lastDate, 14);
+
+  // Append the projected days, drawn as a dashed line starting at the last bar
+  const forecastDays = spendRate.forecast?.daily || [];
+  const chartDates = [...recentDays.map(({ date }) => date), ...forecastDays.map(({ date }) => date)];
+  const forecastData = [...recentDays.slice(0, -1).map(() => null), recentDays[recentDays.length - 1].amount, ...forecastDays.map(({ amount }) => amount)];
+
+  // Target line from the configured target for each date
+  const targetConfig = spendRate.targetConfig || { daily: DEFAULT_DAILY_TARGET };
+  const targetData = chartDates.map(date => getDailyTarget(targetConfig, date));
+  const currency = spendRate.currency || 'AUD';
+
+  return renderChart({
+    title,
+    // Dates as DD/MM
+    labels: chartDates.map(date => date.split('-').slice(1).reverse().join('/')),
+    currency,
+    bars: [
+      {
+        label: 'Daily Spend',
+        data: [...recentDays.map(({ amount }) => amount), ...forecastDays.map(() => null)],
+        color: PRIMARY_COLOR,
+        gradient: [0.2, 0.8],
+        thickness: 12
+      }
+    ],
+    lines: [
+      { label: new Set(targetData).size === 1 ? `Target (${formatCurrency(targetData[0], currency)}/day)` : 'Target', data: targetData, color: TARGET_COLOR, dash: [3, 3] },
+      ...(forecastDays.length > 0 ? [{ label: 'Forecast', data: forecastData, color: PRIMARY_COLOR, dash: [6, 4] }] : [])
+    ]
+  });
+}
+
+/**
+ * Render a chart as a PNG image
+ *
+ * Sizes are in chart pixels (the chart is 600×350). Charts are one of:
+ * - `bar` (the default): grouped bars and lines over `labels`, with the
+ *   amount axis on the right. A bar's opacity is either fixed (`alpha`) or a
+ *   vertical gradient (`gradient`, from the bottom of the plot to the top)
+ * - `doughnut`: one ring segment per entry of `data`, with a legend of `labels`
+ * - `heatmap`: a grid of `values` (one row per entry of `rows`, one column per
+ *   entry of `columns`), darker for larger values; null cells are left empty
+ *
+ * @param {Object} chart - Chart description
+ * @param {string} chart.type - Chart type (bar, doughnut or heatmap)
+ * @param {string} chart.title - Chart title
+ * @param {Array<string|Array<string>>} chart.labels - X-axis labels (an array for a label over several lines), or doughnut segment labels
+ * @param {Array<Object>} chart.bars - Bar datasets ({ label, data, color, alpha, gradient, thickness, radius })
+ * @param {Array<Object>} chart.lines - Line datasets ({ label, data, color, width, dash })
+ * @param {Array<number>} chart.data - Doughnut segment values
+ * @param {Array<string>} chart.rows - Heat-map row labels
+ * @param {Array<string|Array<string>>} chart.columns - Heat-map column labels
+ * @param {Array<Array<number|null>>} chart.values - Heat-map values, by row and column
+ * @param {string} chart.currency - Currency shown on the amount axis
+ * @returns {Promise<Uint8Array>} - PNG image
+ */
+export async function renderChart(chart) {
+  const canvas = createCanvas(CHART_WIDTH * PIXEL_RATIO, CHART_HEIGHT * PIXEL_RATIO);
+
+  drawText(canvas, chart.title, canvas.width / 2, PADDING, { size: TITLE_TEXT_SIZE, align: 'center', bold: true });
+  CHART_RENDERERS[chart.type || 'bar'](canvas, chart);
+
+  return encodePng(canvas);
+}
+
+/**
+ * Draw a bar chart with optional line datasets
+ *
+ * @param {Object} canvas - Canvas
+ * @param {Object} chart - Chart description (see renderChart)
+ */
+function drawBarChart(canvas, { labels, bars = [], lines = [], currency = 'AUD' }) {
+  drawLegend(canvas, [...bars, ...lines].map(dataset => ({
+    label: dataset.label,
+    color: dataset.color,
+    alpha: dataset.gradient ? dataset.gradient[1] : dataset.alpha
+  })));
+
+  // Amount axis on the right, from zero (or the lowest value) to a round maximum
+  const values = [...bars, ...lines].flatMap(({ data }) => data).filter(Number.isFinite);
+  const scale = getScale(Math.min(0, ...values), Math.max(0, ...values));
+  const ticks = [];
+  for (let index = 0; index <= Math.round((scale.max - scale.min) / scale.step); index++) {
+    const value = scale.min + index * scale.step;
+    ticks.push({ value, label: formatTick(value, scale.step, currency) });
+  }
+  const tickWidth = Math.max(...ticks.map(({ label }) => measureText(label, TEXT_SIZE)));
+  const currencyX = canvas.width - PADDING - GLYPH_HEIGHT * TEXT_SIZE;
+
+  const labelLines = Math.max(1, ...labels.map(label => [].concat(label).length));
+  const plot = {
+    left: PADDING + 5 * PIXEL_RATIO,
+    right: currencyX - 8 * PIXEL_RATIO - tickWidth - 10 * PIXEL_RATIO,
+    top: CONTENT_TOP,
+    bottom: canvas.height - PADDING - labelLines * LINE_HEIGHT - 8 * PIXEL_RATIO
+  };
+  const toY = value => plot.bottom - (value - scale.min) / (scale.max - scale.min) * (plot.bottom - plot.top);
+
+  for (const { value, label } of ticks) {
+    const y = Math.round(toY(value));
+    fillRect(canvas, plot.left, y - PIXEL_RATIO / 2, plot.right, y + PIXEL_RATIO / 2, [0, 0, 0], GRID_ALPHA);
+    drawText(canvas, label, plot.right + 10 * PIXEL_RATIO, y - GLYPH_HEIGHT * TEXT_SIZE / 2, { size: TEXT_SIZE });
+  }
+  drawText(canvas, currency, currencyX, (plot.top + plot.bottom) / 2, { size: TEXT_SIZE, align: 'center', vertical: true });
+
+  // Bar groups, one slot per label
+  const slot = (plot.right - plot.left) / Math.max(labels.length, 1);
+  const groupWidth = slot * CATEGORY_PERCENTAGE;
+  const center = index => plot.left + slot * (index + 0.5);
+
+  bars.forEach((dataset, datasetIndex) => {
+    const maxThickness = (dataset.thickness ?? 16) * PIXEL_RATIO;
+    const thickness = Math.min(maxThickness, groupWidth / bars.length * BAR_PERCENTAGE);
+    const color = parseColor(dataset.color);
+    const alphaAt = dataset.gradient
+      ? y => dataset.gradient[0] + (dataset.gradient[1] - dataset.gradient[0]) * (plot.bottom - y) / (plot.bottom - plot.top)
+      : () => dataset.alpha ?? 1;
+
+    dataset.data.forEach((value, index) => {
+      if (!Number.isFinite(value) || value === 0) {
+        return;
+      }
+      const x = center(index) - groupWidth / 2 + (datasetIndex + 0.5) * groupWidth / bars.length;
+      fillBar(canvas, {
+        left: x - thickness / 2,
+        right: x + thickness / 2,
+        top: toY(Math.max(value, 0)),
+        bottom: toY(Math.min(value, 0)),
+        radius: (dataset.radius ?? 6) * PIXEL_RATIO,
+        roundTop: value > 0,
+        roundBottom: value < 0
+      }, color, alphaAt);
+    });
+  });
+
+  for (const dataset of lines) {
+    // Consecutive values form a line; a null value breaks it
+    const runs = [[]];
+    dataset.data.forEach((value, index) => {
+      if (Number.isFinite(value)) {
+        runs[runs.length - 1].push({ x: center(index), y: toY(value) });
+      } else if (runs[runs.length - 1].length > 0) {
+        runs.push([]);
+      }
+    });
+    for (const points of runs.filter(run => run.length > 1)) {
+      strokeLine(canvas, points, {
+        color: parseColor(dataset.color),
+        width: (dataset.width ?? 2) * PIXEL_RATIO,
+        dash: (dataset.dash || []).map(length => length * PIXEL_RATIO)
+      });
+    }
+  }
+
+  drawLabels(canvas, labels, { center, slot, top: plot.bottom + 8 * PIXEL_RATIO });
+}
+
+/**
+ * Draw a doughnut chart with its legend on the right
+ *
+ * Segments run clockwise from the top, in the order of the data; values of
+ * zero or below are left out.
+ *
+ * @param {Object} canvas - Canvas
+ * @param {Object} chart - Chart description (see renderChart)
+ */
+function drawDoughnutChart(canvas, { labels, data }) {
+  const total = data.reduce((sum, value) => sum + Math.max(value, 0), 0);
+  const segments = [];
+  let angle = 0;
+  data.forEach((value, index) => {
+    if (value > 0) {
+      const end = angle + value / total * 2 * Math.PI;
+      segments.push({ start: angle, end, color: parseColor(SEGMENT_COLORS[index % SEGMENT_COLORS.length]) });
+      angle = end;
+    }
+  });
+
+  const outer = (canvas.height - PADDING - CONTENT_TOP) / 2 + 10 * PIXEL_RATIO;
+  const inner = outer * 0.55;
+  const centerX = PADDING + 20 * PIXEL_RATIO + outer;
+  const centerY = (CONTENT_TOP + canvas.height - PADDING) / 2 - 10 * PIXEL_RATIO;
+  // Segments are separated by a white gap, like Chart.js draws its borders
+  const gap = segments.length > 1 ? PIXEL_RATIO : 0;
+
+  for (let y = Math.floor(centerY - outer); y <= Math.ceil(centerY + outer); y++) {
+    for (let x = Math.floor(centerX - outer); x <= Math.ceil(centerX + outer); x++) {
+      const dx = x + 0.5 - centerX;
+      const dy = y + 0.5 - centerY;
+      const distance = Math.hypot(dx, dy);
+      const ring = Math.min(clamp(outer - distance + 0.5), clamp(distance - inner + 0.5));
+      if (ring <= 0) {
+        continue;
+      }
+      // Angle clockwise from the top
+      const position = (Math.atan2(dx, -dy) + 2 * Math.PI) % (2 * Math.PI);
+      const segment = segments.find(({ end }) => position < end) || segments[segments.length - 1];
+      const edge = Math.min(position - segment.start, segment.end - position) * distance;
+      blendPixel(canvas, x, y, segment.color, ring * clamp(edge - gap + 0.5));
+    }
+  }
+
+  // Legend on the right, one entry per line
+  const dotRadius = 5 * PIXEL_RATIO;
+  const legendX = centerX + outer + 40 * PIXEL_RATIO;
+  const rowHeight = 22 * PIXEL_RATIO;
+  const shown = data.map((value, index) => ({ value, index })).filter(({ value }) => value > 0);
+  const legendTop = centerY - shown.length * rowHeight / 2;
+  const maxLength = Math.floor((canvas.width - PADDING - legendX - dotRadius * 2 - 6 * PIXEL_RATIO) / (GLYPH_ADVANCE * TEXT_SIZE));
+  shown.forEach(({ index }, row) => {
+    const y = legendTop + row * rowHeight;
+    const label = normalizeText(labels[index]);
+    fillCircle(canvas, legendX + dotRadius, y + GLYPH_HEIGHT * TEXT_SIZE / 2, dotRadius, parseColor(SEGMENT_COLORS[index % SEGMENT_COLORS.length]));
+    drawText(canvas, label.length > maxLength ? label.substring(0, maxLength) : label, legendX + dotRadius * 2 + 6 * PIXEL_RATIO, y, { size: TEXT_SIZE });
+  });
+}
+
+/**
+ * Draw a heat-map: a grid of cells shaded by value, with the row labels on
+ * the left and the column labels underneath
+ *
+ * @param {Object} canvas - Canvas
+ * @param {Object} chart - Chart description (see renderChart)
+ */
+function drawHeatmap(canvas, { rows, columns, values, currency = 'AUD' }) {
+  const max = Math.max(0, ...values.flat().filter(Number.isFinite));
+  const color = parseColor(PRIMARY_COLOR);
+  const alphaOf = value => HEATMAP_MIN_ALPHA + (1 - HEATMAP_MIN_ALPHA) * (max > 0 ? Math.max(value, 0) / max : 0);
+
+  drawLegend(canvas, [
+    { label: formatTick(0, 1, currency), color: PRIMARY_COLOR, alpha: HEATMAP_MIN_ALPHA },
+    { label: formatTick(max, 1, currency), color: PRIMARY_COLOR }
+  ]);
+
+  const labelLines = Math.max(1, ...columns.map(label => [].concat(label).length));
+  const rowLabelWidth = Math.max(0, ...rows.map(label => measureText(label, TEXT_SIZE)));
+  const grid = {
+    left: PADDING + rowLabelWidth + 10 * PIXEL_RATIO,
+    right: canvas.width - PADDING,
+    top: CONTENT_TOP,
+    bottom: canvas.height - PADDING - labelLines * LINE_HEIGHT - 8 * PIXEL_RATIO
+  };
+  const cellWidth = (grid.right - grid.left) / Math.max(columns.length, 1);
+  const cellHeight = (grid.bottom - grid.top) / Math.max(rows.length, 1);
+  const gap = 2 * PIXEL_RATIO;
+
+  rows.forEach((label, row) => {
+    const top = grid.top + row * cellHeight;
+    drawText(canvas, label, grid.left - 10 * PIXEL_RATIO, top + (cellHeight - GLYPH_HEIGHT * TEXT_SIZE) / 2, { size: TEXT_SIZE, align: 'right' });
+    columns.forEach((column, index) => {
+      const value = values[row][index];
+      if (!Number.isFinite(value)) {
+        return;
+      }
+      const left = grid.left + index * cellWidth;
+      fillBar(canvas, {
+        left: left + gap / 2,
+        right: left + cellWidth - gap / 2,
+        top: top + gap / 2,
+        bottom: top + cellHeight - gap / 2,
+        radius: 3 * PIXEL_RATIO,
+        roundTop: true,
+        roundBottom: true
+      }, color, () => alphaOf(value));
+    });
+  });
+
+  drawLabels(canvas, columns, { center: index => grid.left + cellWidth * (index + 0.5), slot: cellWidth, top: grid.bottom + 8 * PIXEL_RATIO });
+}
+
+/**
+ * Draw a legend at the top right, as coloured dots
+ *
+ * @param {Object} canvas - Canvas
+ * @param {Array<Object>} items - Legend items ({ label, color, alpha })
+ */
+function drawLegend(canvas, items) {
+  const dotRadius = 5 * PIXEL_RATIO;
+  let x = canvas.width - PADDING;
+  for (const { label, color, alpha } of [...items].reverse()) {
+    drawText(canvas, label, x, LEGEND_TOP, { size: TEXT_SIZE, align: 'right' });
+    x -= measureText(label, TEXT_SIZE) + 6 * PIXEL_RATIO;
+    fillCircle(canvas, x - dotRadius, LEGEND_TOP + GLYPH_HEIGHT * TEXT_SIZE / 2, dotRadius, parseColor(color), alpha ?? 1);
+    x -= dotRadius * 2 + 20 * PIXEL_RATIO;
+  }
+}
+
+/**
+ * Draw the x-axis labels under their slots. On dense axes, where a slot
+ * can't fit a few characters, only every so many labels is drawn; otherwise
+ * labels that don't fit are drawn smaller and then cut short.
+ *
+ * @param {Object} canvas - Canvas
+ * @param {Array<string|Array<string>>} labels - Labels
+ * @param {Object} layout - Label layout ({ center, slot, top })
+ */
+function drawLabels(canvas, labels, { center, slot, top }) {
+  const gap = 6 * PIXEL_RATIO;
+  const lines = labels.map(label => [].concat(label).map(line => normalizeText(line)));
+  const widest = textSize => Math.max(0, ...lines.flat().map(line => measureText(line, textSize)));
+
+  let size = TEXT_SIZE;
+  let step = 1;
+  if (slot < 4 * GLYPH_ADVANCE * TEXT_SIZE) {
+    step = Math.ceil((widest(TEXT_SIZE) + gap) / slot);
+  } else if (widest(TEXT_SIZE) + gap > slot) {
+    size = SMALL_TEXT_SIZE;
+  }
+
+  const maxLength = Math.floor((slot * step - gap + size) / (GLYPH_ADVANCE * size));
+  lines.forEach((labelLines, index) => {
+    if (index % step !== 0) {
+      return;
+    }
+    labelLines.forEach((line, lineIndex) => {
+      drawText(canvas, line.length > maxLength ? line.substring(0, maxLength) : line, center(index), top + lineIndex * LINE_HEIGHT, { size, align: 'center' });
+    });
+  });
+}
+
+/**
+ * Get a round scale for the amount axis
+ *
+ * @param {number} low - Lowest value (zero or below)
+ * @param {number} high - Highest value (zero or above)
+ * @returns {Object} - Scale ({ min, max, step })
+ */
+function getScale(low, high) {
+  const range = high - low || 1;
+  const rough = range / 5;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const normalized = rough / magnitude;
+  const step = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+  const min = Math.floor(low / step) * step;
+  const max = Math.max(Math.ceil(high / step) * step, min + step);
+  return { min, max, step };
+}
+
+/**
+ * Format an amount axis tick, e.g. "$150" or "€2.5"
+ *
+ * @param {number} value - Tick value
+ * @param {number} step - Distance between ticks
+ * @param {string} currency - Currency code
+ * @returns {string} - Tick label
+ */
+function formatTick(value, step, currency) {
+  const decimals = step < 1 ? Math.ceil(-Math.log10(step)) : 0;
+  // Round first so a value that rounds to zero isn't shown as "-$0"
+  const amount = Number(value.toFixed(decimals)) || 0;
+  return formatCurrency(amount, currency, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/**
+ * Create a white canvas
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} - Canvas ({ width, height, pixels }) with RGB pixels
+ */
+function createCanvas(width, height) {
+  return { width, height, pixels: new Uint8Array(width * height * 3).fill(255) };
+}
+
+/**
+ * Blend a colour into a pixel
+ *
+ * @param {Object} canvas - Canvas
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {Array<number>} color - RGB colour
+ * @param {number} alpha - Opacity (0 to 1)
+ */
+function blendPixel(canvas, x, y, color, alpha) {
+  if (alpha <= 0 || x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) {
+    return;
+  }
+  const offset = (y * canvas.width + x) * 3;
+  for (let channel = 0; channel < 3; channel++) {
+    const current = canvas.pixels[offset + channel];
+    canvas.pixels[offset + channel] = Math.round(current + (color[channel] - current) * Math.min(alpha, 1));
+  }
+}
+
+/**
+ * Fill a rectangle
+ *
+ * @param {Object} canvas - Canvas
+ * @param {number} left - Left edge
+ * @param {number} top - Top edge
+ * @param {number} right - Right edge
+ * @param {number} bottom - Bottom edge
+ * @param {Array<number>} color - RGB colour
+ * @param {number} alpha - Opacity
+ */
+function fillRect(canvas, left, top, right, bottom, color, alpha = 1) {
+  for (let y = Math.round(top); y < Math.round(bottom); y++) {
+    for (let x = Math.round(left); x < Math.round(right); x++) {
+      blendPixel(canvas, x, y, color, alpha);
+    }
+  }
+}
+
+/**
+ * Fill a bar with anti-aliased edges and rounded corners at its top, its
+ * bottom or both
+ *
+ * @param {Object} canvas - Canvas
+ * @param {Object} bar - Bar ({ left, right, top, bottom, radius, roundTop, roundBottom })
+ * @param {Array<number>} color - RGB colour
+ * @param {Function} alphaAt - Opacity at a row
+ */
+function fillBar(canvas, { left, right, top, bottom, radius, roundTop = false, roundBottom = false }, color, alphaAt) {
+  const r = Math.min(radius, (right - left) / 2, (bottom - top) / (roundTop && roundBottom ? 2 : 1));
+
+  for (let y = Math.floor(top); y < Math.ceil(bottom); y++) {
+    const cy = y + 0.5;
+    const alpha = alphaAt(cy);
+    // Centre row of the corners this row passes through, if any
+    const cornerY = roundTop && cy < top + r ? top + r : roundBottom && cy > bottom - r ? bottom - r : null;
+    for (let x = Math.floor(left); x < Math.ceil(right); x++) {
+      const cx = x + 0.5;
+      let coverage = clamp(Math.min(cx - left, right - cx, cy - top, bottom - cy) + 0.5);
+
+      if (cornerY !== null && (cx < left + r || cx > right - r)) {
+        const cornerX = cx < left + r ? left + r : right - r;
+        coverage = Math.min(coverage, clamp(r - Math.hypot(cx - cornerX, cy - cornerY) + 0.5));
+      }
+      blendPixel(canvas, x, y, color, coverage * alpha);
+    }
+  }
+}
+
+/**
+ * Fill an anti-aliased circle
+ *
+ * @param {Object} canvas - Canvas
+ * @param {number} centerX - Centre column
+ * @param {number} centerY - Centre row
+ * @param {number} radius - Radius
+ * @param {Array<number>} color - RGB colour
+ * @param {number} alpha - Opacity
+ */
+function fillCircle(canvas, centerX, centerY, radius, color, alpha = 1) {
+  for (let y = Math.floor(centerY - radius); y <= Math.ceil(centerY + radius); y++) {
+    for (let x = Math.floor(centerX - radius); x <= Math.ceil(centerX + radius); x++) {
+      const coverage = clamp(radius - Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY) + 0.5);
+      blendPixel(canvas, x, y, color, coverage * alpha);
+    }
+  }
+}
+
+/**
+ * Stroke an anti-aliased, optionally dashed, line through some points
+ *
+ * Each pixel takes the strongest coverage of any segment, so segments don't
+ * darken where they meet.
+ *
+ * @param {Object} canvas - Canvas
+ * @param {Array<Object>} points - Points ({ x, y })
+ * @param {Object} style - Line style ({ color, width, dash }), dash as [on, off] lengths
+ */
+function strokeLine(canvas, points, { color, width, dash }) {
+  const coverage = new Map();
+  const half = width / 2;
+  let distance = 0;
+
+  for (let index = 1; index < points.length; index++) {
+    const from = points[index - 1];
+    const to = points[index];
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+
+    for (let y = Math.floor(Math.min(from.y, to.y) - half - 1); y <= Math.ceil(Math.max(from.y, to.y) + half + 1); y++) {
+      for (let x = Math.floor(Math.min(from.x, to.x) - half - 1); x <= Math.ceil(Math.max(from.x, to.x) + half + 1); x++) {
+        const px = x + 0.5 - from.x;
+        const py = y + 0.5 - from.y;
+        const t = length > 0 ? clamp((px * dx + py * dy) / (length * length)) : 0;
+        if (dash.length > 0 && (distance + t * length) % (dash[0] + dash[1]) >= dash[0]) {
+          continue;
+        }
+        const value = clamp(half - Math.hypot(px - t * dx, py - t * dy) + 0.5);
+        const key = y * canvas.width + x;
+        if (value > 0 && value > (coverage.get(key) || 0)) {
+          coverage.set(key, value);
+        }
+      }
+    }
+    distance += length;
+  }
+
+  for (const [key, value] of coverage) {
+    blendPixel(canvas, key % canvas.width, Math.floor(key / canvas.width), color, value);
+  }
+}
+
+/**
+ * Draw text in the built-in pixel font
+ *
+ * @param {Object} canvas - Canvas
+ * @param {string} text - Text
+ * @param {number} x - Left edge, centre or right edge, depending on the alignment
+ * @param {number} y - Top edge (or, for vertical text, the centre)
+ * @param {Object} options - Text options ({ size, align, bold, vertical, color })
+ */
+function drawText(canvas, text, x, y, { size = TEXT_SIZE, align = 'left', bold = false, vertical = false, color = TEXT_COLOR } = {}) {
+  const characters = normalizeText(text);
+  const rgb = parseColor(color);
+  const textWidth = measureText(characters, size);
+  const start = Math.round(align === 'center' ? x - textWidth / 2 : align === 'right' ? x - textWidth : x);
+  const top = Math.round(y);
+
+  [...characters].forEach((character, index) => {
+    const glyph = CURRENCY_GLYPHS[character] || FONT_GLYPHS.substr((character.charCodeAt(0) - 32) * GLYPH_WIDTH * 2, GLYPH_WIDTH * 2);
+    for (let column = 0; column < GLYPH_WIDTH; column++) {
+      const bits = parseInt(glyph.substr(column * 2, 2), 16);
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        if (!(bits & (1 << row))) {
+          continue;
+        }
+        const offset = index * GLYPH_ADVANCE + column;
+        // Vertical text reads from top to bottom, centred on (x, y)
+        const pixelX = vertical ? Math.round(x) + (GLYPH_HEIGHT - 1 - row) * size : start + offset * size;
+        const pixelY = vertical ? Math.round(y - textWidth / 2) + offset * size : top + row * size;
+        fillRect(canvas, pixelX, pixelY, pixelX + size + (bold ? 1 : 0), pixelY + size, rgb);
+      }
+    }
+  });
+}
+
+/**
+ * Measure the width of text in the built-in pixel font
+ *
+ * @param {string} text - Text
+ * @param {number} size - Text size
+ * @returns {number} - Width in pixels
+ */
+function measureText(text, size) {
+  const length = normalizeText(text).length;
+  return length > 0 ? (length * GLYPH_ADVANCE - 1) * size : 0;
+}
+
+/**
+ * Reduce text to the characters of the built-in font: accents are dropped
+ * and other characters become "?"
+ *
+ * @param {string} text - Text
+ * @returns {string} - Normalised text
+ */
+function normalizeText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e£€¥]/gu, '?');
+}
+
+/**
+ * Parse a hex colour
+ *
+ * @param {string} color - Colour, e.g. "#7C3AED"
+ * @returns {Array<number>} - RGB colour
+ */
+function parseColor(color) {
+  const hex = color.replace('#', '');
+  return [0, 2, 4].map(offset => parseInt(hex.substring(offset, offset + 2), 16));
+}
+
+/**
+ * Clamp a value to the range 0 to 1
+ *
+ * @param {number} value - Value
+ * @returns {number} - Clamped value
+ */
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Encode a canvas as a PNG image (8-bit RGB, zlib-compressed with
+ * CompressionStream)
+ *
+ * @param {Object} canvas - Canvas
+ * @returns {Promise<Uint8Array>} - PNG image
+ */
+async function encodePng({ width, height, pixels }) {
+  // Each row starts with its filter type (0, none)
+  const rowLength = width * 3;
+  const raw = new Uint8Array((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+  }
+  const compressed = new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 2, 0, 0, 0], 8);
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    createPngChunk('IHDR', header),
+    createPngChunk('IDAT', compressed),
+    createPngChunk('IEND', new Uint8Array(0))
+  ];
+  const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    png.set(part, offset);
+    offset += part.length;
+  }
+  return png;
+}
+
+/**
+ * Create a PNG chunk (length, type, data and CRC)
+ *
+ * @param {string} type - Chunk type, e.g. "IHDR"
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} - Chunk
+ */
+function createPngChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let index = 0; index < 4; index++) {
+    chunk[4 + index] = type.charCodeAt(index);
+  }
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+/**
+ * Calculate the CRC-32 of some bytes, as used by PNG
+ *
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {number} - CRC-32
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
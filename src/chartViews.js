@@ -0,0 +1,386 @@
+/**
+ * Chart views of the /chart command
+ *
+ * /chart shows one view of stored spend at a time, with buttons that switch
+ * the same message to another view: daily spend over 14, 30 or 90 days,
+ * cumulative spend this month against the target and the monthly "All"
+ * budget, spend per category over the reporting period as a doughnut, a
+ * heat-map of spend per weekday over the last weeks, and month-over-month
+ * totals. The selected view travels in the callback data of the buttons
+ * (chart:<view>), so any message can be re-rendered without stored state.
+ * Each view has a template that builds its chart and its caption lines.
+ */
+import { getDailyTarget } from './target';
+import { getBudgetPeriod, ALL_CATEGORIES } from './budgets';
+import { describePeriod } from './period';
+import { normalizeExpense } from './currency';
+import { getCategoryAmounts, getDailySeries, getExpenseAmount, getExpenseDateKey, isCountedExpense } from './spend';
+import { addDays, getDateKey } from './time';
+import { escapeHtml } from './html';
+
+export const CHART_VIEWS = ['daily14', 'daily30', 'daily90', 'mtd', 'categories', 'weekdays', 'months'];
+export const DEFAULT_CHART_VIEW = 'daily14';
+
+// Names accepted after /chart for each view; the first is the one shown in the usage
+const VIEW_ALIASES = {
+  daily14: ['14', 'daily'],
+  daily30: ['30'],
+  daily90: ['90'],
+  mtd: ['month', 'budget'],
+  categories: ['category'],
+  weekdays: ['weekday', 'heatmap'],
+  months: ['monthly']
+};
+
+// Labels of the buttons that switch to each view
+const VIEW_BUTTONS = {
+  daily14: '14 days',
+  daily30: '30 days',
+  daily90: '90 days',
+  mtd: '📈 This month',
+  categories: '🍩 Categories',
+  weekdays: '🗓 Weekdays',
+  months: '📊 Months'
+};
+
+// Weeks in the weekday heat-map, months in the month-over-month chart and
+// categories in the doughnut (the rest are combined into "Other")
+const HEATMAP_WEEKS = 12;
+const CHART_MONTHS = 12;
+const DOUGHNUT_CATEGORIES = 7;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const VIEW_TEMPLATES = {
+  daily14: data => buildDailyView(data, 14),
+  daily30: data => buildDailyView(data, 30),
+  daily90: data => buildDailyView(data, 90),
+  mtd: buildMonthToDateView,
+  categories: buildCategoriesView,
+  weekdays: buildWeekdaysView,
+  months: buildMonthsView
+};
+
+/**
+ * Parse the view asked for after /chart
+ *
+ * @param {string} input - View name or alias, e.g. "30" or "categories"
+ * @returns {string|null} - View, the default view for empty input, or null when unknown
+ */
+export function parseChartView(input) {
+  const name = input.trim().toLowerCase();
+  if (!name) {
+    return DEFAULT_CHART_VIEW;
+  }
+  return CHART_VIEWS.find(view => view === name || VIEW_ALIASES[view].includes(name)) || null;
+}
+
+/**
+ * Get the label of a view's button
+ *
+ * @param {string} view - Chart view
+ * @returns {string} - Button label
+ */
+export function getChartViewButton(view) {
+  return VIEW_BUTTONS[view];
+}
+
+/**
+ * Get the name a view can be asked for with, for usage text
+ *
+ * @param {string} view - Chart view
+ * @returns {string} - Name, e.g. "30"
+ */
+export function getChartViewName(view) {
+  return VIEW_ALIASES[view][0];
+}
+
+/**
+ * Get the first day a chart view needs history from
+ *
+ * @param {string} view - Chart view
+ * @param {Object} options - View options
+ * @param {string} options.today - Current day (YYYY-MM-DD)
+ * @param {Object} options.period - Reporting period (see period.js), for the categories view
+ * @returns {string} - First day to load (YYYY-MM-DD)
+ */
+export function getChartHistoryStart(view, { today, period }) {
+  switch (view) {
+    case 'daily30':
+      return addDays(today, -29);
+    case 'daily90':
+      return addDays(today, -89);
+    case 'mtd':
+      return getBudgetPeriod('month', today).from;
+    case 'categories':
+      return period.from;
+    case 'weekdays':
+      return addDays(getBudgetPeriod('week', today).from, -7 * (HEATMAP_WEEKS - 1));
+    case 'months':
+      return shiftMonth(getBudgetPeriod('month', today).from, -(CHART_MONTHS - 1));
+    case 'daily14':
+    default:
+      return addDays(today, -13);
+  }
+}
+
+/**
+ * Build a chart view from stored expenses
+ *
+ * @param {string} view - Chart view
+ * @param {Array} expenses - Stored expenses, covering getChartHistoryStart(view) to `today`
+ * @param {Object} options - View options
+ * @param {string} options.today - Current day (YYYY-MM-DD)
+ * @param {Object} options.period - Reporting period (see period.js)
+ * @param {string} options.currency - Reporting currency
+ * @param {Object} options.fxRates - FX rate table (see currency.js)
+ * @param {string} options.accountCurrency - Currency of the Revolut account (see getAccountCurrency in currency.js)
+ * @param {Object} options.targetConfig - Daily target configuration (see target.js)
+ * @param {Array} options.budgets - Configured budgets; the monthly "All" budget is drawn on the month-to-date chart
+ * @param {string} options.timeZone - IANA timezone expenses are bucketed into days in
+ * @param {Function} options.formatAmount - Amount formatter for the caption
+ * @returns {Object} - View ({ view, chart, summary }): the chart description (see renderChart) and the caption lines (HTML)
+ */
+export function buildChartView(view, expenses, { today, period, currency, fxRates, accountCurrency = null, targetConfig, budgets = [], timeZone = 'UTC', formatAmount }) {
+  const counted = expenses
+    .map(exp => normalizeExpense(exp, currency, fxRates, accountCurrency))
+    .filter(isCountedExpense)
+    .filter(exp => getExpenseDateKey(exp, timeZone) <= today);
+
+  const dailyTotals = {};
+  for (const exp of counted) {
+    const date = getExpenseDateKey(exp, timeZone);
+    dailyTotals[date] = (dailyTotals[date] || 0) + getExpenseAmount(exp);
+  }
+
+  const { chart, summary } = VIEW_TEMPLATES[view]({ counted, dailyTotals, today, period, currency, targetConfig, budgets, timeZone, formatAmount });
+  return { view, chart: { currency, ...chart }, summary };
+}
+
+/**
+ * View template of daily spend over the last days, with the daily target
+ *
+ * @param {Object} data - View data (see buildChartView)
+ * @param {number} days - Number of days
+ * @returns {Object} - Chart description and caption lines
+ */
+function buildDailyView({ dailyTotals, today, targetConfig, formatAmount }, days) {
+  const series = getDailySeries(dailyTotals, today, days);
+  const targets = series.map(({ date }) => getDailyTarget(targetConfig, date));
+  const total = series.reduce((sum, { amount }) => sum + amount, 0);
+  const overTarget = series.filter(({ amount }, index) => amount > targets[index]).length;
+
+  return {
+    chart: {
+      title: `Daily Spend (Last ${days} Days)`,
+      labels: series.map(({ date }) => formatDate(date)),
+      bars: [{ label: 'Daily Spend', data: series.map(({ amount }) => amount), color: '#7C3AED', gradient: [0.2, 0.8], thickness: 12 }],
+      lines: [{ label: 'Target', data: targets, color: '#F43F5E', dash: [3, 3] }]
+    },
+    summary: [
+      `📊 <b>Last ${days} days:</b> ${formatAmount(total)} (${formatAmount(total / days)}/day)`,
+      `🎯 Over target on ${overTarget} of ${days} days`
+    ]
+  };
+}
+
+/**
+ * View template of cumulative spend this month against the cumulative target
+ * and the monthly "All" budget
+ *
+ * @param {Object} data - View data (see buildChartView)
+ * @returns {Object} - Chart description and caption lines
+ */
+function buildMonthToDateView({ dailyTotals, today, targetConfig, budgets, formatAmount }) {
+  const month = getBudgetPeriod('month', today);
+  const days = listDays(month.from, month.to);
+  const budget = budgets.find(entry => entry.period === 'month' && entry.category.toLowerCase() === ALL_CATEGORIES);
+
+  let spent = 0;
+  let target = 0;
+  const spentData = [];
+  const targetData = [];
+  for (const day of days) {
+    spent += dailyTotals[day] || 0;
+    target += getDailyTarget(targetConfig, day);
+    spentData.push(day <= today ? spent : null);
+    targetData.push(target);
+  }
+  const spentToDate = spentData[days.indexOf(today)];
+  const targetToDate = targetData[days.indexOf(today)];
+
+  return {
+    chart: {
+      title: `${MONTH_NAMES[Number(today.substring(5, 7)) - 1]} ${today.substring(0, 4)} to Date`,
+      labels: days.map(formatDate),
+      lines: [
+        { label: 'Spent', data: spentData, color: '#7C3AED', width: 3 },
+        { label: 'Target', data: targetData, color: '#F43F5E', dash: [3, 3] },
+        ...(budget ? [{ label: 'Budget', data: days.map(() => budget.limit), color: '#F59E0B', dash: [6, 4] }] : [])
+      ]
+    },
+    summary: [
+      `📈 <b>Month to date:</b> ${formatAmount(spentToDate)} (target ${formatAmount(targetToDate)})`,
+      budget
+        ? `💼 <b>Budget:</b> ${formatAmount(spentToDate)} of ${formatAmount(budget.limit)} (${(spentToDate / budget.limit * 100).toFixed(0)}%)`
+        : `🎯 <b>Month target:</b> ${formatAmount(targetData[targetData.length - 1])}`
+    ]
+  };
+}
+
+/**
+ * View template of spend per category over the reporting period
+ *
+ * Split expenses count in each of their categories. Categories with no net
+ * spend (only refunds) are left out.
+ *
+ * @param {Object} data - View data (see buildChartView)
+ * @returns {Object} - Chart description and caption lines
+ */
+function buildCategoriesView({ counted, period, timeZone, formatAmount }) {
+  const byCategory = {};
+  for (const exp of counted) {
+    if (getExpenseDateKey(exp, timeZone) < period.from) {
+      continue;
+    }
+    for (const { category, amount } of getCategoryAmounts(exp)) {
+      byCategory[category] = (byCategory[category] || 0) + amount;
+    }
+  }
+
+  const categories = Object.entries(byCategory)
+    .map(([category, amount]) => ({ category, amount }))
+    .filter(({ amount }) => amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+  const shown = categories.length > DOUGHNUT_CATEGORIES + 1
+    ? [
+      ...categories.slice(0, DOUGHNUT_CATEGORIES),
+      { category: 'Other', amount: categories.slice(DOUGHNUT_CATEGORIES).reduce((sum, { amount }) => sum + amount, 0) }
+    ]
+    : categories;
+  const total = shown.reduce((sum, { amount }) => sum + amount, 0);
+
+  return {
+    chart: {
+      type: 'doughnut',
+      title: 'Spend by Category',
+      // Percentage first, so it survives a long name being cut short
+      labels: shown.map(({ category, amount }) => `${(amount / total * 100).toFixed(0)}% ${category}`),
+      data: shown.map(({ amount }) => amount)
+    },
+    summary: [
+      `📊 <b>Period:</b> ${describePeriod(period)}`,
+      shown.length > 0
+        ? `📂 <b>Top category:</b> ${escapeHtml(shown[0].category)}, ${formatAmount(shown[0].amount)}`
+        : '📂 No spend in this period'
+    ]
+  };
+}
+
+/**
+ * View template of spend per weekday (rows) and week (columns), with days
+ * still to come left empty
+ *
+ * @param {Object} data - View data (see buildChartView)
+ * @returns {Object} - Chart description and caption lines
+ */
+function buildWeekdaysView({ dailyTotals, today, formatAmount }) {
+  const firstWeek = addDays(getBudgetPeriod('week', today).from, -7 * (HEATMAP_WEEKS - 1));
+  const weeks = Array.from({ length: HEATMAP_WEEKS }, (_, index) => addDays(firstWeek, index * 7));
+
+  const values = WEEKDAY_NAMES.map((_, weekday) => weeks.map(week => {
+    const date = addDays(week, weekday);
+    return date <= today ? dailyTotals[date] || 0 : null;
+  }));
+
+  // The weekday with the highest average spend over the days that have passed
+  const averages = values.map(row => {
+    const days = row.filter(value => value !== null);
+    return days.reduce((sum, value) => sum + value, 0) / days.length;
+  });
+  const busiest = averages.indexOf(Math.max(...averages));
+
+  return {
+    chart: {
+      type: 'heatmap',
+      title: `Spend by Weekday (Last ${HEATMAP_WEEKS} Weeks)`,
+      rows: WEEKDAY_NAMES,
+      columns: weeks.map(formatDate),
+      values
+    },
+    summary: [
+      `🗓 <b>Busiest day:</b> ${WEEKDAY_NAMES[busiest]}, ${formatAmount(averages[busiest])} on average`,
+      `😌 <b>Quietest day:</b> ${WEEKDAY_NAMES[averages.indexOf(Math.min(...averages))]}, ${formatAmount(Math.min(...averages))} on average`
+    ]
+  };
+}
+
+/**
+ * View template of monthly totals against the monthly target; the current
+ * month is still in progress
+ *
+ * @param {Object} data - View data (see buildChartView)
+ * @returns {Object} - Chart description and caption lines
+ */
+function buildMonthsView({ dailyTotals, today, targetConfig, formatAmount }) {
+  const currentMonth = getBudgetPeriod('month', today).from;
+  const months = Array.from({ length: CHART_MONTHS }, (_, index) => shiftMonth(currentMonth, index - (CHART_MONTHS - 1)));
+
+  const totals = months.map(from => listDays(from, getBudgetPeriod('month', from).to)
+    .reduce((sum, day) => sum + (dailyTotals[day] || 0), 0));
+  const targets = months.map(from => listDays(from, getBudgetPeriod('month', from).to)
+    .reduce((sum, day) => sum + getDailyTarget(targetConfig, day), 0));
+  const completed = totals.slice(0, -1);
+
+  return {
+    chart: {
+      title: `Monthly Spend (Last ${CHART_MONTHS} Months)`,
+      labels: months.map(from => [MONTH_NAMES[Number(from.substring(5, 7)) - 1], from.substring(0, 4)]),
+      bars: [{ label: 'Monthly Spend', data: totals, color: '#7C3AED', gradient: [0.2, 0.8] }],
+      lines: [{ label: 'Target', data: targets, color: '#F43F5E', dash: [3, 3] }]
+    },
+    summary: [
+      `📊 <b>This month:</b> ${formatAmount(totals[totals.length - 1])} so far, ${formatAmount(completed[completed.length - 1])} last month`,
+      `📅 <b>Monthly average:</b> ${formatAmount(completed.reduce((sum, total) => sum + total, 0) / completed.length)} over the ${completed.length} months before`
+    ]
+  };
+}
+
+/**
+ * Format a date as DD/MM
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} - Formatted date
+ */
+function formatDate(dateKey) {
+  const [, month, day] = dateKey.split('-');
+  return `${day}/${month}`;
+}
+
+/**
+ * List every day from one date to another, inclusive
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Array<string>} - Days (YYYY-MM-DD)
+ */
+function listDays(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Get the first day of a month some months from another month
+ *
+ * @param {string} dateKey - Day in the month to start from (YYYY-MM-DD)
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} - First day of the month (YYYY-MM-DD)
+ */
+function shiftMonth(dateKey, months) {
+  const [year, month] = dateKey.split('-').map(Number);
+  return getDateKey(year, month - 1 + months, 1);
+}
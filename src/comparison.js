@@ -0,0 +1,165 @@
+/**
+ * Period-over-period comparison
+ *
+ * Compares spend up to a day with the same point of the period before it:
+ * the week so far (from Monday) with the same days of last week, the month
+ * so far with the same days of last month, and the 7-day with the 30-day
+ * moving average. The categories whose month-to-date spend changed most
+ * against last month are listed as the biggest movers.
+ */
+
+import { addDays, getDateKey } from './time';
+import { escapeHtml } from './html';
+
+// Movers kept in the comparison, and shown in the Telegram caption
+const MAX_MOVERS = 5;
+const MAX_CAPTION_MOVERS = 3;
+
+/**
+ * Get the first day a comparison needs history from
+ *
+ * @param {string} to - Last day compared (YYYY-MM-DD)
+ * @returns {string} - First day to load (YYYY-MM-DD)
+ */
+export function getComparisonHistoryStart(to) {
+  return getComparisonPeriods(to).month.previousFrom;
+}
+
+/**
+ * Compare spend up to a day with the same point of the week and month before
+ *
+ * @param {Array<Object>} entries - Spend per expense and category ({ date, category, amount }) in the reporting currency
+ * @param {Object} options - Comparison options
+ * @param {string} options.to - Last day compared (YYYY-MM-DD)
+ * @param {Object} options.movingAverages - Moving averages at `to` (see calculateMovingAverages)
+ * @returns {Object} - Comparison ({ week, month, averages, movers }); changes are in percent, null without anything to compare against
+ */
+export function compareSpend(entries, { to, movingAverages }) {
+  const periods = getComparisonPeriods(to);
+  const sumBetween = (from, until) => entries
+    .filter(({ date }) => date >= from && date <= until)
+    .reduce((total, { amount }) => total + amount, 0);
+
+  const compare = range => {
+    const current = sumBetween(range.from, range.to);
+    const previous = sumBetween(range.previousFrom, range.previousTo);
+    return { ...range, current, previous, change: getChange(current, previous) };
+  };
+
+  // Month-to-date spend per category, against the same days of last month
+  const { month } = periods;
+  const byCategory = {};
+  for (const { date, category, amount } of entries) {
+    const field = date >= month.from && date <= month.to
+      ? 'current'
+      : date >= month.previousFrom && date <= month.previousTo ? 'previous' : null;
+    if (field) {
+      byCategory[category] = byCategory[category] || { category, current: 0, previous: 0 };
+      byCategory[category][field] += amount;
+    }
+  }
+
+  const movers = Object.values(byCategory)
+    .map(entry => ({ ...entry, difference: entry.current - entry.previous, change: getChange(entry.current, entry.previous) }))
+    .filter(({ difference }) => Math.abs(difference) >= 0.01)
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+    .slice(0, MAX_MOVERS);
+
+  const sevenDay = movingAverages.simple[7];
+  const thirtyDay = movingAverages.simple[30];
+
+  return {
+    week: compare(periods.week),
+    month: compare(month),
+    averages: { current: sevenDay, previous: thirtyDay, change: getChange(sevenDay, thirtyDay) },
+    movers
+  };
+}
+
+/**
+ * Format the week and month comparison as caption lines (HTML)
+ *
+ * @param {Object} comparison - Comparison (see compareSpend)
+ * @param {Function} formatAmount - Amount formatter
+ * @returns {string} - Comparison lines
+ */
+export function describeComparison(comparison, formatAmount) {
+  const { week, month } = comparison;
+  return [
+    `┌─ This week: ${formatAmount(week.current)} (${formatChange(week.change, week.current)} vs ${formatAmount(week.previous)})`,
+    `└─ This month: ${formatAmount(month.current)} (${formatChange(month.change, month.current)} vs ${formatAmount(month.previous)})`
+  ].join('\n');
+}
+
+/**
+ * Format the biggest movers of a comparison as caption lines (HTML)
+ *
+ * @param {Object} comparison - Comparison (see compareSpend)
+ * @param {Function} formatAmount - Amount formatter
+ * @returns {string} - Mover lines, empty when no category moved
+ */
+export function describeMovers(comparison, formatAmount) {
+  const movers = comparison.movers.slice(0, MAX_CAPTION_MOVERS);
+  return movers.map((mover, index) => {
+    const branch = index === movers.length - 1 ? '└─' : index === 0 ? '┌─' : '├─';
+    const sign = mover.difference > 0 ? '+' : '−';
+    return `${branch} ${escapeHtml(mover.category)}: ${sign}${formatAmount(Math.abs(mover.difference))} (${formatChange(mover.change, mover.current)})`;
+  }).join('\n');
+}
+
+/**
+ * Format a change with an arrow, e.g. "▲ 12%"
+ *
+ * @param {number|null} change - Change in percent
+ * @param {number} current - New amount, to tell new spend from no spend
+ * @returns {string} - Formatted change
+ */
+export function formatChange(change, current) {
+  if (change === null) {
+    return current > 0 ? '▲ new' : '–';
+  }
+  if (Math.round(change) === 0) {
+    return '= 0%';
+  }
+  return `${change > 0 ? '▲' : '▼'} ${Math.abs(change).toFixed(0)}%`;
+}
+
+/**
+ * Get the ranges compared for a day
+ *
+ * @param {string} to - Last day compared (YYYY-MM-DD)
+ * @returns {Object} - Ranges ({ week, month }), each { from, to, previousFrom, previousTo }
+ */
+function getComparisonPeriods(to) {
+  const date = new Date(`${to}T00:00:00Z`);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  // Weeks start on Monday
+  const weekFrom = addDays(to, -((date.getUTCDay() + 6) % 7));
+
+  // The same day of last month, or its last day when it is shorter
+  const previousMonthDays = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const previousMonthFrom = getDateKey(year, month - 1, 1);
+
+  return {
+    week: { from: weekFrom, to, previousFrom: addDays(weekFrom, -7), previousTo: addDays(to, -7) },
+    month: {
+      from: getDateKey(year, month, 1),
+      to,
+      previousFrom: previousMonthFrom,
+      previousTo: getDateKey(year, month - 1, Math.min(date.getUTCDate(), previousMonthDays))
+    }
+  };
+}
+
+/**
+ * Get the relative change from one amount to another
+ *
+ * @param {number} current - New amount
+ * @param {number} previous - Amount compared against
+ * @returns {number|null} - Change in percent, or null when there is nothing to compare against
+ */
+function getChange(current, previous) {
+  return previous > 0 ? (current - previous) / previous * 100 : null;
+}
@@ -0,0 +1,330 @@
+/**
+ * Currency normalisation for multi-currency spend
+ *
+ * Every expense is converted to a single reporting currency before it is
+ * counted. The conversion prefers what Revolut tells us about the expense
+ * itself (a billed amount, or an exchange rate into the account currency when
+ * that is the reporting currency) and falls back to an FX rate table kept in
+ * the SPEND_CONFIG KV namespace. The table can be edited by
+ * hand or refreshed from a pluggable rate source.
+ */
+
+const FX_RATES_KEY = 'fx_rates';
+
+// Refresh rates from the configured source when they are older than this
+const FX_RATES_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rate sources, keyed by the name used in FX_RATE_SOURCE. Each source receives
+ * the environment and the base currency and resolves to a map of currency code
+ * to the value of one unit of that currency in the base currency.
+ */
+const rateSources = {
+  url: fetchRatesFromUrl
+};
+
+/**
+ * Register an additional FX rate source
+ *
+ * @param {string} name - Name used to select the source in FX_RATE_SOURCE
+ * @param {Function} source - Async function (env, base) => { CODE: rate }
+ */
+export function registerFxRateSource(name, source) {
+  rateSources[name] = source;
+}
+
+/**
+ * Get the currency all spend is reported in
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string} - Currency code
+ */
+export function getReportingCurrency(env) {
+  return (env.REPORTING_CURRENCY || env.DEFAULT_CURRENCY || 'AUD').toUpperCase();
+}
+
+/**
+ * Get the currency of the Revolut account expenses are paid from, which the
+ * `exchange_rate` of an expense converts into
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string} - Currency code
+ */
+export function getAccountCurrency(env) {
+  return (env.ACCOUNT_CURRENCY || env.DEFAULT_CURRENCY || 'AUD').toUpperCase();
+}
+
+/**
+ * Format an amount in a currency for messages and charts, e.g. "$1,234.50"
+ *
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code
+ * @param {Object} options - Extra Intl.NumberFormat options, e.g. { maximumFractionDigits: 0 }
+ * @returns {string} - Formatted amount
+ */
+export function formatCurrency(amount, currency = 'AUD', options = {}) {
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      ...options
+    }).format(amount);
+  } catch (error) {
+    console.error(`Error formatting currency: ${error.message}`);
+    // Fallback formatting
+    return `${currency} ${amount.toFixed(options.maximumFractionDigits ?? 2)}`;
+  }
+}
+
+/**
+ * Get the FX rate table from KV store
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Rate table ({ base, rates, updated_at, source })
+ */
+export async function getFxRates(env) {
+  const table = await env.SPEND_CONFIG.get(FX_RATES_KEY, { type: 'json' });
+  return table || { base: getReportingCurrency(env), rates: {}, updated_at: null, source: null };
+}
+
+/**
+ * Save the FX rate table to KV store
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} table - Rate table to save
+ * @returns {Promise<void>}
+ */
+export async function saveFxRates(env, table) {
+  await env.SPEND_CONFIG.put(FX_RATES_KEY, JSON.stringify(table));
+}
+
+/**
+ * Set the rate of one currency in a rate table
+ *
+ * @param {Object} table - Rate table
+ * @param {string} currency - Currency code
+ * @param {number|string} rate - Value of one unit of the currency in the table's base currency
+ * @returns {Object} - Updated rate table
+ */
+export function setFxRate(table, currency, rate) {
+  const code = String(currency || '').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new Error(`Invalid currency code "${currency}". Use a 3-letter ISO code such as EUR.`);
+  }
+
+  const value = typeof rate === 'number' ? rate : parseFloat(rate);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Invalid FX rate. Please provide a positive number.');
+  }
+
+  return {
+    ...table,
+    rates: { ...table.rates, [code]: value },
+    updated_at: new Date().toISOString(),
+    source: 'manual'
+  };
+}
+
+/**
+ * Refresh the rate table from a rate source
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} sourceName - Name of a registered rate source (defaults to FX_RATE_SOURCE)
+ * @returns {Promise<Object>} - Updated rate table
+ */
+export async function refreshFxRates(env, sourceName = env.FX_RATE_SOURCE) {
+  const source = rateSources[sourceName];
+  if (!source) {
+    throw new Error(`Unknown FX rate source "${sourceName}". Available sources: ${Object.keys(rateSources).join(', ')}`);
+  }
+
+  const base = getReportingCurrency(env);
+  const current = await getFxRates(env);
+  const rates = await source(env, base);
+
+  // Fetched rates replace stored ones, but manually added currencies the
+  // source does not know about are kept
+  const table = {
+    base,
+    rates: current.base === base ? { ...current.rates, ...rates } : rates,
+    updated_at: new Date().toISOString(),
+    source: sourceName
+  };
+
+  await saveFxRates(env, table);
+  return table;
+}
+
+/**
+ * Get the rate table, refreshing it first when a source is configured and the
+ * stored rates are stale. A failed refresh falls back to the stored rates.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Rate table
+ */
+export async function getCurrentFxRates(env) {
+  const table = await getFxRates(env);
+  if (!env.FX_RATE_SOURCE) {
+    return table;
+  }
+
+  const age = table.updated_at ? Date.now() - new Date(table.updated_at).getTime() : Infinity;
+  if (table.source === env.FX_RATE_SOURCE && age < FX_RATES_MAX_AGE_MS) {
+    return table;
+  }
+
+  try {
+    return await refreshFxRates(env);
+  } catch (error) {
+    console.error('Error refreshing FX rates:', error.message);
+    return table;
+  }
+}
+
+/**
+ * Convert an amount between currencies using a rate table
+ *
+ * @param {number} amount - Amount to convert
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency to convert to
+ * @param {Object} table - Rate table
+ * @returns {number|null} - Converted amount, or null if a rate is missing
+ */
+export function convertAmount(amount, from, to, table) {
+  const rate = getTableRate(from, to, table);
+  return rate === null ? null : amount * rate;
+}
+
+/**
+ * Attach the amount in the reporting currency to an expense
+ *
+ * The original `spent_amount` is left untouched; the converted amount is
+ * stored as `converted_amount` ({ amount, currency, rate, source }). Existing
+ * conversions to the same currency are kept so history stays stable, except
+ * ones that could not be converted before and ones made with an exchange rate
+ * into another account currency.
+ *
+ * @param {Object} expense - Expense
+ * @param {string} currency - Reporting currency
+ * @param {Object} table - Rate table
+ * @param {string|null} accountCurrency - Currency the expense's `exchange_rate` converts into (see getAccountCurrency); the rate is only used when this is the reporting currency
+ * @returns {Object} - Expense with `converted_amount`
+ */
+export function normalizeExpense(expense, currency, table, accountCurrency = null) {
+  if (!expense.spent_amount || typeof expense.spent_amount.amount !== 'number') {
+    return expense;
+  }
+
+  const existing = expense.converted_amount;
+  const stale = existing && (existing.source === 'unconverted' || (existing.source === 'exchange_rate' && accountCurrency !== currency));
+  if (existing && existing.currency === currency && !stale) {
+    return expense;
+  }
+
+  const { amount, currency: spentCurrency = currency } = expense.spent_amount;
+  let conversion;
+
+  const billed = getBilledAmount(expense);
+  const exchangeRate = parseFloat(expense.exchange_rate);
+
+  if (spentCurrency === currency) {
+    conversion = { amount, rate: 1, source: 'same_currency' };
+  } else if (billed && billed.currency === currency) {
+    // Revolut already tells us what was charged in the reporting currency
+    conversion = {
+      amount: Math.sign(amount || 1) * Math.abs(billed.amount),
+      rate: amount ? Math.abs(billed.amount / amount) : null,
+      source: 'billed_amount'
+    };
+  } else if (!billed && accountCurrency === currency && Number.isFinite(exchangeRate) && exchangeRate > 0) {
+    // Without a billed amount the exchange rate converts into the account currency,
+    // which is only usable as is when that is also the reporting currency
+    conversion = { amount: amount * exchangeRate, rate: exchangeRate, source: 'exchange_rate' };
+  } else {
+    const rate = getTableRate(spentCurrency, currency, table);
+    conversion = rate === null
+      ? { amount, rate: null, source: 'unconverted' }
+      : { amount: amount * rate, rate, source: 'fx_table' };
+  }
+
+  if (conversion.source === 'unconverted') {
+    console.warn(`No FX rate from ${spentCurrency} to ${currency} for expense ${expense.id}; counting it unconverted`);
+  }
+
+  return {
+    ...expense,
+    converted_amount: { ...conversion, currency }
+  };
+}
+
+/**
+ * Get the billed amount of an expense, if Revolut provided one
+ *
+ * @param {Object} expense - Expense
+ * @returns {Object|null} - Billed amount ({ amount, currency }) or null
+ */
+function getBilledAmount(expense) {
+  if (expense.billing_amount && typeof expense.billing_amount.amount === 'number') {
+    return expense.billing_amount;
+  }
+  if (typeof expense.bill_amount === 'number' && expense.bill_currency) {
+    return { amount: expense.bill_amount, currency: expense.bill_currency };
+  }
+  return null;
+}
+
+/**
+ * Get the rate between two currencies from a rate table
+ *
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} table - Rate table
+ * @returns {number|null} - Rate, or null if either currency is missing
+ */
+function getTableRate(from, to, table) {
+  if (from === to) {
+    return 1;
+  }
+
+  const toBase = code => (code === table.base ? 1 : table.rates?.[code]);
+  const fromRate = toBase(from);
+  const toRate = toBase(to);
+
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  return fromRate / toRate;
+}
+
+/**
+ * Fetch rates from the JSON API at FX_RATES_URL
+ *
+ * The URL may contain a {base} placeholder and must return an object with a
+ * `rates` map quoting each currency per one unit of the base currency
+ * (the format used by most public FX APIs). Rates are inverted to the table's
+ * "value of one unit in the base currency" convention.
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} base - Base currency
+ * @returns {Promise<Object>} - Map of currency code to rate
+ */
+async function fetchRatesFromUrl(env, base) {
+  if (!env.FX_RATES_URL) {
+    throw new Error('FX_RATES_URL is not configured');
+  }
+
+  const response = await fetch(env.FX_RATES_URL.replace('{base}', base));
+  if (!response.ok) {
+    throw new Error(`Failed to fetch FX rates: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const rates = {};
+  for (const [code, quote] of Object.entries(data.rates || {})) {
+    if (code !== base && typeof quote === 'number' && quote > 0) {
+      rates[code] = 1 / quote;
+    }
+  }
+  return rates;
+}
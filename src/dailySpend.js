@@ -1,9 +1,20 @@
 /**
  * Core functionality for processing daily spend rate
  */
-import { refreshToken, getExpenses, getHistoricalSpendData, saveHistoricalSpendData } from './revolut';
+import { refreshToken, getExpenses, getSyncWindow, saveLastProcessedDate } from './revolut';
 import { calculateDailySpendRate } from './spend';
-import { sendNotification, sendSpendRateVisual } from './notification';
+import { getExpensesInRange, mutateHistory } from './history';
+import { sendNotification, sendSpendRateVisual, sendBudgetAlert, sendAnomalyAlert, sendReport } from './notification';
+import { getTargetConfig } from './target';
+import { getBudgets, checkBudgetAlerts } from './budgets';
+import { getReportingCurrency, getAccountCurrency, getCurrentFxRates } from './currency';
+import { getSpendPeriod } from './period';
+import { getBreakdownHistoryStart } from './breakdown';
+import { getTimezone, getToday } from './time';
+import { forecastSpend, getForecastHistoryStart } from './forecast';
+import { checkAnomalies } from './anomalies';
+import { getCategoryRules } from './categories';
+import { buildReport, getReportHistoryStart } from './reports';
 
 /**
  * Process daily spend rate calculation and send notifications
@@ -12,36 +23,78 @@ import { sendNotification, sendSpendRateVisual } from './notification';
  * @param {Object} options - Processing options
  * @param {boolean} options.skipNotification - Whether to skip sending notification
  * @param {string} options.messageId - Message ID to update (if applicable)
+ * @param {boolean} options.detectAnomalies - Whether to check recent expenses for anomalies (scheduled runs)
  * @returns {Promise<Object>} - Spend rate calculation results
  */
 export async function processDailySpendRate(env, options = {}) {
-  const { skipNotification = false, messageId = null } = options;
+  const { skipNotification = false, messageId = null, detectAnomalies = false } = options;
   console.log('Starting daily spend rate calculation...');
   
   try {
-    // Check if token needs refresh
-    let token = await env.REVOLUT_TOKEN.get('token');
-    const tokenExpiry = await env.REVOLUT_TOKEN_EXPIRY.get('expiry');
+    // Get the configured daily target
+    const targetConfig = await getTargetConfig(env);
     
-    if (!token || !tokenExpiry || Date.now() > parseInt(tokenExpiry)) {
-      console.log('Refreshing token...');
-      const authResult = await refreshToken(env);
-      token = authResult.token;
-    }
+    // Get the reporting currency and FX rates to convert expenses with
+    const currency = getReportingCurrency(env);
+    const fxRates = await getCurrentFxRates(env);
     
-    // Get historical spend data
-    const historicalData = await getHistoricalSpendData(env);
+    // Fetch new expenses and merge them into stored history
+    await syncExpenses(env, { currency, fxRates });
     
-    // Get expenses (incremental update by default)
-    const expenses = await getExpenses(token, env, { incrementalUpdate: true });
+    // Calculate daily spend rate over the configured period, loading enough
+    // history before it for the moving averages and the forecast
+    const period = getSpendPeriod(env);
+    const historyStart = [getBreakdownHistoryStart(period.from, period.to), getForecastHistoryStart(period.to)].sort()[0];
+    const history = await getExpensesInRange(env, historyStart, period.to);
+    const rate = calculateDailySpendRate(history, {
+      targetConfig,
+      currency,
+      fxRates,
+      accountCurrency: getAccountCurrency(env),
+      timeZone: getTimezone(env),
+      period
+    });
     
-    console.log(`Retrieved ${expenses.length} new expenses`);
+    // Project month-end and quarter-end spend from the same daily totals
+    const spendRate = {
+      ...rate,
+      forecast: forecastSpend(rate.historicalData.dailyRates, {
+        today: period.to,
+        targetConfig,
+        budgets: await getBudgets(env)
+      })
+    };
     
-    // Calculate daily spend rate
-    const spendRate = calculateDailySpendRate(expenses, historicalData);
+    // Alert on budgets that crossed a threshold since the last run
+    try {
+      await checkBudgetAlerts(env, (progress, threshold) => sendBudgetAlert({
+        progress,
+        threshold,
+        currency: spendRate.currency,
+        botToken: env.TELEGRAM_BOT_TOKEN,
+        chatId: env.TELEGRAM_CHAT_ID
+      }));
+    } catch (error) {
+      console.error('Error checking budgets:', error.message);
+      // Continue despite budget check error
+    }
     
-    // Save updated historical data
-    await saveHistoricalSpendData(env, spendRate.historicalData);
+    // Alert on unusual expenses and spend spikes
+    if (detectAnomalies) {
+      try {
+        await checkAnomalies(env, { currency, fxRates }, (anomaly, id) => sendAnomalyAlert({
+          anomaly,
+          id,
+          currency,
+          timeZone: getTimezone(env),
+          botToken: env.TELEGRAM_BOT_TOKEN,
+          chatId: env.TELEGRAM_CHAT_ID
+        }));
+      } catch (error) {
+        console.error('Error checking anomalies:', error.message);
+        // Continue despite anomaly check error
+      }
+    }
     
     // Send notification unless skipped
     if (!skipNotification) {
@@ -77,23 +130,87 @@ export async function processDailySpendRate(env, options = {}) {
 }
 
 /**
- * Format spend rate data for JSON response
+ * Build a weekly or monthly report from stored history and send it
  * 
- * @param {Object} spendRate - Spend rate calculation results
- * @returns {Object} - Formatted data for API response
+ * @param {Object} env - Environment variables
+ * @param {string} type - Report type (weekly or monthly, see reports.js)
+ * @param {Object} options - Processing options
+ * @param {boolean} options.skipSync - Whether to skip fetching new expenses first (they were just synced)
+ * @param {string} options.chatId - Telegram chat ID to send the report to (defaults to TELEGRAM_CHAT_ID)
+ * @returns {Promise<Object>} - The report
  */
-export function formatSpendRateForResponse(spendRate) {
-  return {
-    success: true,
-    data: {
-      dailyRate: spendRate.dailyRate,
-      totalAmount: spendRate.totalAmount,
-      movingAverage7Day: spendRate.movingAverage7Day,
-      movingAverage30Day: spendRate.movingAverage30Day, 
-      periodDays: spendRate.periodDays,
-      topCategories: spendRate.topCategories,
-      currency: spendRate.currency,
-      targetSpendAmount: spendRate.targetSpendAmount
+export async function processReport(env, type, options = {}) {
+  const { skipSync = false, chatId = env.TELEGRAM_CHAT_ID } = options;
+  console.log(`Starting ${type} report...`);
+  
+  try {
+    const currency = getReportingCurrency(env);
+    const fxRates = await getCurrentFxRates(env);
+    
+    // Include expenses from the last day of the report that came in after the last sync
+    if (!skipSync) {
+      await syncExpenses(env, { currency, fxRates });
     }
-  };
-} 
\ No newline at end of file
+    
+    const today = getToday(env);
+    const history = await getExpensesInRange(env, getReportHistoryStart(type, today), today);
+    const report = buildReport(type, history, {
+      today,
+      currency,
+      fxRates,
+      accountCurrency: getAccountCurrency(env),
+      targetConfig: await getTargetConfig(env),
+      budgets: await getBudgets(env),
+      timeZone: getTimezone(env)
+    });
+    
+    await sendReport({ report, botToken: env.TELEGRAM_BOT_TOKEN, chatId });
+    console.log(`${type} report sent successfully`);
+    
+    return report;
+  } catch (error) {
+    console.error(`Error processing ${type} report:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch new and changed expenses from Revolut and merge them into stored history
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Sync options
+ * @param {string} options.currency - Reporting currency
+ * @param {Object} options.fxRates - FX rate table (see currency.js)
+ * @returns {Promise<void>}
+ */
+async function syncExpenses(env, { currency, fxRates }) {
+  // Check if token needs refresh
+  let token = await env.REVOLUT_TOKEN.get('token');
+  const tokenExpiry = await env.REVOLUT_TOKEN_EXPIRY.get('expiry');
+  
+  if (!token || !tokenExpiry || Date.now() > parseInt(tokenExpiry)) {
+    console.log('Refreshing token...');
+    const authResult = await refreshToken(env);
+    token = authResult.token;
+  }
+  
+  // Get expenses (incremental update plus the re-sync look-back window)
+  const { fromDate, toDate } = await getSyncWindow(env, { incrementalUpdate: true });
+  const { expenses, lastProcessedDate, syncWindow } = await getExpenses(token, env, { fromDate, toDate });
+  
+  console.log(`Retrieved ${expenses.length} expenses`);
+  
+  // Merge fetched expenses into the stored months they belong to; stored
+  // expenses are reconciled against exactly the days that were fetched
+  await mutateHistory(env, 'sync', {
+    expenses,
+    syncWindow,
+    currency,
+    fxRates,
+    accountCurrency: getAccountCurrency(env),
+    rules: await getCategoryRules(env)
+  });
+  
+  // Only advance the cursor once the expenses are stored, so a failed sync is retried
+  await saveLastProcessedDate(env, lastProcessedDate);
+}
@@ -0,0 +1,194 @@
+/**
+ * Spend forecasting
+ *
+ * Projects month-end and quarter-end totals from daily spend history: a run
+ * rate over the last four weeks, scaled by how much each weekday usually
+ * spends compared to the average (measured over the last eight weeks). The
+ * confidence range comes from how far past days strayed from that model.
+ */
+import { getDailyTarget, WEEKDAYS } from './target';
+import { getBudgetPeriod, ALL_CATEGORIES } from './budgets';
+import { getDailySeries } from './spend';
+import { addDays } from './time';
+import { escapeHtml } from './html';
+
+export const FORECAST_HORIZONS = ['month', 'quarter'];
+
+// Days of complete history used for the weekday profile and the spread
+const SEASONALITY_DAYS = 56;
+
+// Days of complete history the run rate is taken over
+const RUN_RATE_DAYS = 28;
+
+// Two-sided confidence level of the range, and its z-score
+const CONFIDENCE = 0.8;
+const CONFIDENCE_Z = 1.2816;
+
+// Days ahead included in the daily projection (drawn on the chart)
+const FORECAST_DAYS = 7;
+
+/**
+ * Get the first day a forecast needs history from
+ *
+ * @param {string} today - Current day (YYYY-MM-DD)
+ * @returns {string} - First day to load (YYYY-MM-DD)
+ */
+export function getForecastHistoryStart(today) {
+  const seasonalityStart = addDays(today, -SEASONALITY_DAYS);
+  const horizonStart = FORECAST_HORIZONS
+    .map(horizon => getBudgetPeriod(horizon, today).from)
+    .reduce((a, b) => (a < b ? a : b));
+  return seasonalityStart < horizonStart ? seasonalityStart : horizonStart;
+}
+
+/**
+ * Forecast spend to the end of the current month and quarter
+ *
+ * Today is treated as partly spent: it is expected to reach its usual amount
+ * unless it already has.
+ *
+ * @param {Object} dailyRates - Daily spend totals keyed by YYYY-MM-DD, covering getForecastHistoryStart(today) to today
+ * @param {Object} options - Forecast options
+ * @param {string} options.today - Current day (YYYY-MM-DD)
+ * @param {Object} options.targetConfig - Daily target configuration (see target.js)
+ * @param {Array} options.budgets - Configured budgets; total ("All") budgets for a forecast horizon are checked
+ * @returns {Object} - Forecast ({ today, runRate, weekdayFactors, confidence, horizons, daily })
+ */
+export function forecastSpend(dailyRates, { today, targetConfig, budgets = [] }) {
+  const history = getDailySeries(dailyRates, addDays(today, -1), SEASONALITY_DAYS);
+  const runRate = average(history.slice(-RUN_RATE_DAYS).map(({ amount }) => amount));
+
+  // How much each weekday spends relative to an average day
+  const overall = average(history.map(({ amount }) => amount));
+  const factors = WEEKDAYS.map((weekday, index) => {
+    const amounts = history.filter(({ date }) => getWeekday(date) === index).map(({ amount }) => amount);
+    return overall > 0 && amounts.length > 0 ? average(amounts) / overall : 1;
+  });
+
+  const expectedOn = date => runRate * factors[getWeekday(date)];
+
+  // Spread of past days around the model, used for the confidence range
+  const residuals = history.map(({ date, amount }) => amount - expectedOn(date));
+  const spread = Math.sqrt(residuals.reduce((total, value) => total + value * value, 0) / Math.max(1, residuals.length - 1));
+
+  const horizons = {};
+  for (const horizon of FORECAST_HORIZONS) {
+    const period = getBudgetPeriod(horizon, today);
+
+    const actual = getDailySeries(dailyRates, today, countDays(period.from, today))
+      .reduce((total, { amount }) => total + amount, 0);
+
+    // The rest of today plus every remaining day of the period
+    let expected = Math.max(0, expectedOn(today) - (dailyRates[today] || 0));
+    let remainingDays = 1;
+    for (let day = addDays(today, 1); day <= period.to; day = addDays(day, 1)) {
+      expected += expectedOn(day);
+      remainingDays++;
+    }
+
+    // Days are treated as independent, so the range grows with the square root of the days left
+    const margin = CONFIDENCE_Z * spread * Math.sqrt(remainingDays);
+    const projected = actual + expected;
+
+    let target = 0;
+    for (let day = period.from; day <= period.to; day = addDays(day, 1)) {
+      target += getDailyTarget(targetConfig, day);
+    }
+
+    const budget = budgets.find(entry => entry.period === horizon && entry.category.toLowerCase() === ALL_CATEGORIES);
+
+    horizons[horizon] = {
+      from: period.from,
+      to: period.to,
+      remainingDays,
+      actual,
+      projected,
+      low: actual + Math.max(0, expected - margin),
+      high: projected + margin,
+      target,
+      overTarget: projected > target,
+      budget: budget
+        ? { name: budget.name, limit: budget.limit, overBudget: projected > budget.limit }
+        : null
+    };
+  }
+
+  const daily = [];
+  for (let i = 1; i <= FORECAST_DAYS; i++) {
+    const date = addDays(today, i);
+    daily.push({ date, amount: expectedOn(date) });
+  }
+
+  return {
+    today,
+    runRate,
+    weekdayFactors: Object.fromEntries(WEEKDAYS.map((weekday, index) => [weekday, factors[index]])),
+    confidence: CONFIDENCE,
+    horizons,
+    daily
+  };
+}
+
+/**
+ * Format a forecast as caption lines (HTML)
+ *
+ * @param {Object} forecast - Forecast (see forecastSpend)
+ * @param {Function} formatAmount - Amount formatter
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.warnings - Whether to add the target and budget overshoot lines
+ * @returns {string} - Forecast lines
+ */
+export function describeForecast(forecast, formatAmount, { warnings = true } = {}) {
+  const names = { month: 'Month', quarter: 'Quarter' };
+  const lines = FORECAST_HORIZONS.map((horizon, index) => {
+    const { projected, low, high } = forecast.horizons[horizon];
+    const branch = index === FORECAST_HORIZONS.length - 1 ? '└─' : '┌─';
+    return `${branch} ${names[horizon]} end: <b>${formatAmount(projected)}</b> (${formatAmount(low)}–${formatAmount(high)})`;
+  });
+
+  if (!warnings) {
+    return lines.join('\n');
+  }
+
+  for (const horizon of FORECAST_HORIZONS) {
+    const { projected, target, budget } = forecast.horizons[horizon];
+    if (budget?.overBudget) {
+      lines.push(`🚨 ${names[horizon]} on track to exceed the ${escapeHtml(budget.name)} budget of ${formatAmount(budget.limit)} by ${formatAmount(projected - budget.limit)}`);
+    } else if (projected > target) {
+      lines.push(`⚠️ ${names[horizon]} on track to exceed the target of ${formatAmount(target)} by ${formatAmount(projected - target)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Average a list of numbers
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number} - Average, or 0 for an empty list
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+}
+
+/**
+ * Get the weekday of a YYYY-MM-DD date
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {number} - Weekday (0 = Sunday)
+ */
+function getWeekday(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Count the days from one date to another, inclusive
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {number} - Number of days
+ */
+function countDays(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1;
+}
@@ -0,0 +1,574 @@
+/**
+ * Partitioned spend history storage
+ *
+ * History lives in the storage of the SpendHistory Durable Object (see
+ * spendHistory.js) as one value per calendar month, so no single value grows
+ * without bound and callers only load the months they need:
+ *
+ *   index           { version, months: ['2025-01', ...], migratedFrom }
+ *   month:YYYY-MM   { expenses: [...] }
+ *
+ * Months use UTC days, so partitions don't depend on the configured timezone;
+ * range queries select expenses by their local day. Daily totals are not
+ * stored: readers derive them from the expenses they load (see getSpendHistory).
+ * Everything goes through the Durable Object: reads are named queries
+ * (see queryHistory) and writes are named operations applied one at a time
+ * (see mutateHistory), so every reader sees every completed write.
+ * Older deployments kept history in the HISTORICAL_SPEND_DATA KV namespace,
+ * either as the same month partitions or as a single `spendData` value; it is
+ * copied into Durable Object storage the first time the object starts.
+ */
+import { REFUND_LOOKBACK_DAYS, getExpenseAmount, getExpenseDateKey, isCountedExpense, linkRefunds, mergeExpenses } from './spend';
+import { normalizeExpense } from './currency';
+import { categorizeExpense, getCategoryShares } from './categories';
+import { getTimezone, addDays } from './time';
+
+const INDEX_KEY = 'index';
+const LEGACY_KEY = 'spendData';
+const STORAGE_VERSION = 3;
+
+/**
+ * Get expenses dated within a range of local days
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} from - First day (YYYY-MM-DD), inclusive
+ * @param {string} to - Last day (YYYY-MM-DD), inclusive
+ * @returns {Promise<Array>} - List of expenses
+ */
+export async function getExpensesInRange(env, from, to) {
+  const { expenses } = await getSpendHistory(env, from, to);
+  return expenses;
+}
+
+/**
+ * Get expenses and daily totals within a range of local days
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} from - First day (YYYY-MM-DD), inclusive
+ * @param {string} to - Last day (YYYY-MM-DD), inclusive
+ * @returns {Promise<Object>} - History ({ expenses, dailyRates }) in the configured timezone
+ */
+export async function getSpendHistory(env, from, to) {
+  const timeZone = getTimezone(env);
+  const { expenses } = await queryHistory(env, 'range', { from, to, timeZone });
+  return { expenses, dailyRates: calculateDailyTotals(expenses, timeZone) };
+}
+
+/**
+ * Get the first and last month that have stored history
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} - Range ({ from, to } as YYYY-MM) or null when empty
+ */
+export async function getHistoryBounds(env) {
+  return queryHistory(env, 'bounds');
+}
+
+/**
+ * Get the most recent manually entered (cash) expenses
+ *
+ * @param {Object} env - Environment variables
+ * @param {number} limit - Maximum number of expenses to return
+ * @returns {Promise<Array>} - Manual expenses, newest first
+ */
+export async function getManualExpenses(env, limit = 10) {
+  return queryHistory(env, 'manualExpenses', { limit });
+}
+
+/**
+ * Find a manually entered expense by its short ID
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} shortId - Short ID (see getShortExpenseId)
+ * @returns {Promise<Object|null>} - The expense, or null if none matches
+ */
+export async function findManualExpense(env, shortId) {
+  const matches = await queryHistory(env, 'manualExpensesById', { shortId: shortId.toLowerCase() });
+
+  if (matches.length > 1) {
+    throw new Error(`More than one expense matches "${shortId}"`);
+  }
+  return matches[0] || null;
+}
+
+/**
+ * Get the short ID used to refer to a manual expense in Telegram commands
+ *
+ * Manual expense IDs look like `cash_<timestamp>_<random>`; the short ID is
+ * the first six characters of the random part.
+ *
+ * @param {Object} expense - Expense
+ * @returns {string} - Short ID
+ */
+export function getShortExpenseId(expense) {
+  const random = expense.id.split('_').pop();
+  return random.substring(0, 6).toLowerCase();
+}
+
+/**
+ * Sum counted expenses per day
+ *
+ * @param {Array} expenses - List of expenses
+ * @param {string} timeZone - IANA timezone the days are in (defaults to UTC)
+ * @returns {Object} - Daily totals keyed by YYYY-MM-DD
+ */
+export function calculateDailyTotals(expenses, timeZone = 'UTC') {
+  return expenses.filter(isCountedExpense).reduce((acc, exp) => {
+    const date = getExpenseDateKey(exp, timeZone);
+    acc[date] = (acc[date] || 0) + getExpenseAmount(exp);
+    return acc;
+  }, {});
+}
+
+/**
+ * Read-only queries, keyed by name. Each receives the Durable Object storage
+ * and a JSON-serialisable payload.
+ */
+const HISTORY_QUERIES = {
+  // Expenses dated within a range of local days
+  async range(storage, { from, to, timeZone }) {
+    const index = await getHistoryIndex(storage);
+
+    // A local day can fall on the UTC day before or after it, so load the
+    // neighbouring month when the range starts or ends on a month boundary
+    const firstMonth = addDays(from, -1).substring(0, 7);
+    const lastMonth = addDays(to, 1).substring(0, 7);
+    const months = index.months.filter(month => month >= firstMonth && month <= lastMonth);
+    const partitions = await Promise.all(months.map(month => getPartition(storage, month)));
+
+    const expenses = [];
+    for (const partition of partitions) {
+      expenses.push(...partition.expenses.filter(exp => {
+        const date = getExpenseDateKey(exp, timeZone);
+        return date >= from && date <= to;
+      }));
+    }
+
+    return { expenses };
+  },
+
+  // First and last stored month
+  async bounds(storage) {
+    const { months } = await getHistoryIndex(storage);
+    if (months.length === 0) {
+      return null;
+    }
+    return { from: months[0], to: months[months.length - 1] };
+  },
+
+  // Most recent manual expenses; months are read newest first until enough are found
+  async manualExpenses(storage, { limit }) {
+    const { months } = await getHistoryIndex(storage);
+    const found = [];
+
+    for (const month of [...months].reverse()) {
+      const partition = await getPartition(storage, month);
+      const manual = partition.expenses
+        .filter(exp => exp.is_manual_entry)
+        .sort((a, b) => getExpenseDateKey(b).localeCompare(getExpenseDateKey(a)) || b.id.localeCompare(a.id));
+      found.push(...manual);
+
+      if (found.length >= limit) {
+        break;
+      }
+    }
+
+    return found.slice(0, limit);
+  },
+
+  // Manual expenses with a short ID, from the newest month that has any
+  async manualExpensesById(storage, { shortId }) {
+    const { months } = await getHistoryIndex(storage);
+
+    for (const month of [...months].reverse()) {
+      const partition = await getPartition(storage, month);
+      const matches = partition.expenses.filter(exp => exp.is_manual_entry && getShortExpenseId(exp) === shortId);
+      if (matches.length > 0) {
+        return matches;
+      }
+    }
+
+    return [];
+  }
+};
+
+/**
+ * Mutations that can be applied to history, keyed by name. Each receives the
+ * Durable Object storage and a JSON-serialisable payload. They are only ever
+ * run by the SpendHistory Durable Object, one at a time. Mutations of a single
+ * expense return `{ found: false, error }` when it is not stored rather than
+ * throwing, as an exception would reset the Durable Object.
+ */
+const HISTORY_OPERATIONS = {
+  // Merge expenses fetched from Revolut for a sync window, categorising them
+  // with `rules` and linking refunds to the expenses they refund
+  async sync(storage, { expenses, syncWindow, currency, fxRates, accountCurrency = null, rules = [] }) {
+    const dates = expenses.map(exp => getExpenseDateKey(exp));
+    const from = [syncWindow.from, ...dates].reduce((a, b) => (a < b ? a : b));
+    const to = [syncWindow.to, ...dates].reduce((a, b) => (a > b ? a : b));
+
+    // Refunded expenses may be in months before the ones being rewritten; those are only read
+    const index = await getHistoryIndex(storage);
+    const earlierMonths = listMonths(addDays(from, -REFUND_LOOKBACK_DAYS).substring(0, 7), from.substring(0, 7))
+      .filter(month => month < from.substring(0, 7) && index.months.includes(month));
+    const earlier = (await Promise.all(earlierMonths.map(month => getPartition(storage, month))))
+      .flatMap(partition => partition.expenses);
+
+    let summary;
+    await updateExpensesInRange(storage, from, to, stored => {
+      const { expenses: merged, ...counts } = mergeExpenses(stored, expenses, syncWindow);
+      summary = counts;
+      const categorized = merged.map(exp => categorizeExpense(normalizeExpense(exp, currency, fxRates, accountCurrency), rules));
+      return linkRefunds(categorized, earlier);
+    });
+
+    console.log(`Merged expenses: ${summary.added} added, ${summary.updated} updated, ${summary.removed} removed`);
+    return summary;
+  },
+
+  // Add a single (manual) expense
+  async addExpense(storage, { expense }) {
+    const date = getExpenseDateKey(expense);
+    await updateExpensesInRange(storage, date, date, stored => [...stored, expense]);
+    return { id: expense.id };
+  },
+
+  // Change fields of a stored expense dated on `date`
+  async updateExpense(storage, { id, date, changes }) {
+    let updated = null;
+    const newDate = changes.expense_date || date;
+    const [from, to] = [date, newDate].sort();
+
+    await updateExpensesInRange(storage, from, to, stored => stored.map(exp => {
+      if (exp.id !== id) {
+        return exp;
+      }
+      // Drop the stored conversion so the new amount is converted again
+      const { converted_amount, ...rest } = exp;
+      updated = { ...rest, ...changes, updated_at: new Date().toISOString() };
+      return updated;
+    }));
+
+    if (!updated) {
+      return { found: false, error: `Expense ${id} not found` };
+    }
+    return { found: true, expense: updated };
+  },
+
+  // Categorise every stored expense again, e.g. after the rules changed
+  async recategorize(storage, { rules = [] }) {
+    const index = await getHistoryIndex(storage);
+    let updated = 0;
+
+    // One month at a time, rewriting only months where something changed
+    for (const month of index.months) {
+      const { expenses } = await getPartition(storage, month);
+      let changed = false;
+      const categorized = expenses.map(exp => {
+        const result = categorizeExpense(exp, rules);
+        if (JSON.stringify(result.categorization) !== JSON.stringify(exp.categorization)) {
+          changed = true;
+        }
+        if (JSON.stringify(getCategoryShares(result)) !== JSON.stringify(getCategoryShares(exp))) {
+          updated++;
+        }
+        return result;
+      });
+      if (changed) {
+        await putPartition(storage, month, categorized);
+      }
+    }
+
+    console.log(`Recategorised ${updated} expenses in ${index.months.length} months`);
+    return { months: index.months.length, updated };
+  },
+
+  // Delete a stored expense dated on `date`
+  async deleteExpense(storage, { id, date }) {
+    let deleted = null;
+
+    await updateExpensesInRange(storage, date, date, stored => stored.filter(exp => {
+      if (exp.id === id) {
+        deleted = exp;
+        return false;
+      }
+      return true;
+    }));
+
+    if (!deleted) {
+      return { found: false, error: `Expense ${id} not found` };
+    }
+    return { found: true, expense: deleted };
+  }
+};
+
+/**
+ * Apply a history mutation
+ *
+ * All writes to history go through the SpendHistory Durable Object, which runs
+ * them one at a time so that overlapping invocations (cron, /trigger, the
+ * Update button, Telegram commands) cannot overwrite each other's changes.
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} operation - Name of the operation
+ * @param {Object} payload - Operation payload
+ * @returns {Promise<Object>} - Operation result
+ */
+export async function mutateHistory(env, operation, payload = {}) {
+  return callSpendHistory(env, `mutate/${operation}`, payload);
+}
+
+/**
+ * Run a read-only history query in the SpendHistory Durable Object
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} query - Name of the query
+ * @param {Object} payload - Query payload
+ * @returns {Promise<*>} - Query result
+ */
+export async function queryHistory(env, query, payload = {}) {
+  return callSpendHistory(env, `query/${query}`, payload);
+}
+
+/**
+ * Run a history mutation against Durable Object storage
+ *
+ * Only the SpendHistory Durable Object should call this; everything else uses
+ * mutateHistory.
+ *
+ * @param {Object} storage - Durable Object storage
+ * @param {string} operation - Name of the operation
+ * @param {Object} payload - Operation payload
+ * @returns {Promise<Object>} - Operation result
+ */
+export async function runHistoryOperation(storage, operation, payload) {
+  const run = HISTORY_OPERATIONS[operation];
+  if (!run) {
+    throw new Error(`Unknown history operation "${operation}"`);
+  }
+  return run(storage, payload);
+}
+
+/**
+ * Run a history query against Durable Object storage
+ *
+ * Only the SpendHistory Durable Object should call this; everything else uses
+ * queryHistory.
+ *
+ * @param {Object} storage - Durable Object storage
+ * @param {string} query - Name of the query
+ * @param {Object} payload - Query payload
+ * @returns {Promise<*>} - Query result
+ */
+export async function runHistoryQuery(storage, query, payload) {
+  const run = HISTORY_QUERIES[query];
+  if (!run) {
+    throw new Error(`Unknown history query "${query}"`);
+  }
+  return run(storage, payload);
+}
+
+/**
+ * Copy history kept in KV by older deployments into Durable Object storage
+ *
+ * Runs once, when storage has no index yet. Month partitions are copied as
+ * they are; a legacy single `spendData` value is split into months. The KV
+ * values are left in place so they can be inspected or deleted by hand.
+ *
+ * @param {Object} storage - Durable Object storage
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - The index
+ */
+export async function migrateHistory(storage, env) {
+  const existing = await storage.get(INDEX_KEY);
+  if (existing) {
+    return existing;
+  }
+
+  const kv = env.HISTORICAL_SPEND_DATA;
+  const kvIndex = kv ? await kv.get(INDEX_KEY, { type: 'json' }) : null;
+  let index;
+
+  if (kvIndex) {
+    console.log(`Migrating ${kvIndex.months.length} month partitions from KV`);
+    for (const month of kvIndex.months) {
+      const partition = await kv.get(`month:${month}`, { type: 'json' });
+      await putPartition(storage, month, partition?.expenses || []);
+    }
+    index = { version: STORAGE_VERSION, months: [...kvIndex.months].sort(), migratedFrom: 'kv' };
+  } else {
+    const legacy = kv ? await kv.get(LEGACY_KEY, { type: 'json' }) : null;
+    const byMonth = groupByMonth(legacy?.expenses || []);
+    const months = Object.keys(byMonth).sort();
+
+    if (legacy) {
+      console.log(`Migrating ${legacy.expenses?.length || 0} expenses from ${LEGACY_KEY} into ${months.length} month partitions`);
+    }
+
+    for (const month of months) {
+      await putPartition(storage, month, byMonth[month]);
+    }
+    index = { version: STORAGE_VERSION, months, migratedFrom: legacy ? LEGACY_KEY : null };
+  }
+
+  // Months that turned out to be empty were not written
+  const stored = await Promise.all(index.months.map(month => storage.get(`month:${month}`)));
+  index.months = index.months.filter((month, i) => stored[i]);
+
+  await storage.put(INDEX_KEY, index);
+  return index;
+}
+
+/**
+ * Send a query or mutation to the SpendHistory Durable Object
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} path - "query/<name>" or "mutate/<name>"
+ * @param {Object} payload - JSON-serialisable payload
+ * @returns {Promise<*>} - Result
+ */
+async function callSpendHistory(env, path, payload) {
+  const stub = env.SPEND_HISTORY.get(env.SPEND_HISTORY.idFromName('history'));
+  const response = await stub.fetch(`https://spend-history/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  const data = await response.json();
+  if (response.status === 404) {
+    // The expense a mutation targets is not stored; the message is shown as is
+    throw new Error(data.error);
+  }
+  if (!response.ok || !data.success) {
+    const [kind, name] = path.split('/');
+    throw new Error(`History ${kind === 'query' ? 'query' : 'operation'} "${name}" failed: ${data.error || response.status}`);
+  }
+
+  return data.result;
+}
+
+/**
+ * Read-modify-write the expenses of every month overlapping a range
+ *
+ * The updater receives all stored expenses of the affected months (not just
+ * the days in the range) and returns the new list for them. Returned expenses
+ * are regrouped by month, so an updater may also move an expense to another
+ * month or add expenses outside the range.
+ *
+ * @param {Object} storage - Durable Object storage
+ * @param {string} from - First day (YYYY-MM-DD), inclusive
+ * @param {string} to - Last day (YYYY-MM-DD), inclusive
+ * @param {Function} updater - (expenses) => new expenses (may be async)
+ * @returns {Promise<Array>} - Updated expenses of the affected months
+ */
+async function updateExpensesInRange(storage, from, to, updater) {
+  const index = await getHistoryIndex(storage);
+  const months = listMonths(from.substring(0, 7), to.substring(0, 7));
+  const stored = months.filter(month => index.months.includes(month));
+  const partitions = await Promise.all(stored.map(month => getPartition(storage, month)));
+
+  const current = partitions.flatMap(partition => partition.expenses);
+  const updated = await updater(current);
+
+  // Writing a stored month that was not loaded would drop its other expenses
+  const byMonth = groupByMonth(updated);
+  const unloaded = Object.keys(byMonth).filter(month => !months.includes(month) && index.months.includes(month));
+  if (unloaded.length > 0) {
+    throw new Error(`Cannot write expenses to months outside the updated range: ${unloaded.join(', ')}`);
+  }
+
+  // Rewrite every month that was loaded or now receives expenses
+  const touched = new Set([...stored, ...Object.keys(byMonth)]);
+  await Promise.all([...touched].map(month => putPartition(storage, month, byMonth[month] || [])));
+
+  const nextMonths = new Set(index.months);
+  for (const month of touched) {
+    if (byMonth[month]) {
+      nextMonths.add(month);
+    } else {
+      nextMonths.delete(month);
+    }
+  }
+  await storage.put(INDEX_KEY, { ...index, months: [...nextMonths].sort() });
+
+  return updated;
+}
+
+/**
+ * Read the history index
+ *
+ * @param {Object} storage - Durable Object storage
+ * @returns {Promise<Object>} - Index ({ version, months })
+ */
+async function getHistoryIndex(storage) {
+  const index = await storage.get(INDEX_KEY);
+  return index || { version: STORAGE_VERSION, months: [], migratedFrom: null };
+}
+
+/**
+ * Read one month partition
+ *
+ * @param {Object} storage - Durable Object storage
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {Promise<Object>} - Partition ({ expenses })
+ */
+async function getPartition(storage, month) {
+  const partition = await storage.get(`month:${month}`);
+  return partition || { expenses: [] };
+}
+
+/**
+ * Write one month partition, deleting it when it has no expenses
+ *
+ * @param {Object} storage - Durable Object storage
+ * @param {string} month - Month (YYYY-MM)
+ * @param {Array} expenses - Expenses of the month
+ * @returns {Promise<void>}
+ */
+async function putPartition(storage, month, expenses) {
+  if (expenses.length === 0) {
+    await storage.delete(`month:${month}`);
+    return;
+  }
+
+  await storage.put(`month:${month}`, { expenses });
+}
+
+/**
+ * Group expenses by the month they are dated in
+ *
+ * @param {Array} expenses - List of expenses
+ * @returns {Object} - Expenses keyed by YYYY-MM
+ */
+function groupByMonth(expenses) {
+  return expenses.reduce((acc, exp) => {
+    const month = getExpenseDateKey(exp).substring(0, 7);
+    (acc[month] = acc[month] || []).push(exp);
+    return acc;
+  }, {});
+}
+
+/**
+ * List the months between two months, inclusive
+ *
+ * @param {string} from - First month (YYYY-MM)
+ * @param {string} to - Last month (YYYY-MM)
+ * @returns {Array<string>} - Months as YYYY-MM
+ */
+function listMonths(from, to) {
+  const months = [];
+  let [year, month] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+
+  while (year < toYear || (year === toYear && month <= toMonth)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+
+  return months;
+}
@@ -0,0 +1,16 @@
+/**
+ * HTML helpers for Telegram messages sent with parse_mode HTML
+ */
+
+/**
+ * Escape text for use in a Telegram HTML message
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -1,8 +1,22 @@
 /**
  * Daily Spend Rate - Main entry point
  */
-import { processDailySpendRate } from './dailySpend';
-import { handleTriggerRoute, handleCalculateRoute, handleTelegramWebhook } from './routes';
+import { processDailySpendRate, processReport } from './dailySpend';
+import { 
+  handleTriggerRoute, 
+  handleCalculateRoute, 
+  handleForecastRoute, 
+  handleMerchantsRoute, 
+  handleTargetRoute, 
+  handleFxRoute, 
+  handleTelegramWebhook 
+} from './routes';
+import { withApiKey } from './apiKeys';
+import { isDailyRunDue, markDailyRun } from './time';
+import { getDueReports, markReportSent } from './reports';
+
+// Durable Object classes must be exported from the main module
+export { SpendHistory } from './spendHistory';
 
 // Store the last sent message ID for updates
 const LAST_MESSAGE_KEY = 'last_message_id';
@@ -11,9 +25,43 @@ export default {
   // Handler for scheduled events (cron triggers)
   async scheduled(event, env, ctx) {
     try {
+      // The cron runs hourly; only report once a day at the configured local hour
+      const now = new Date(event.scheduledTime);
+      const dailyDue = await isDailyRunDue(env, now);
+      
+      // Weekly and monthly reports are due on their own schedules (see src/reports.js)
+      const dueReports = await getDueReports(env, now);
+      
+      if (!dailyDue && dueReports.length === 0) {
+        return;
+      }
+      
       // Get the last message ID for updating
       const lastMessageId = await env.TELEGRAM_STATE.get(LAST_MESSAGE_KEY);
-      ctx.waitUntil(processDailySpendRate(env, { messageId: lastMessageId }));
+      
+      // Only mark a run as done once it succeeded, so a failed run is retried next hour.
+      // Reports run after the daily message so they can use the history it just synced.
+      ctx.waitUntil((async () => {
+        let synced = false;
+        if (dailyDue) {
+          try {
+            await processDailySpendRate(env, { messageId: lastMessageId, detectAnomalies: true });
+            await markDailyRun(env, now);
+            synced = true;
+          } catch (error) {
+            console.error('Error in scheduled daily run:', error);
+          }
+        }
+        
+        for (const type of dueReports) {
+          try {
+            await processReport(env, type, { skipSync: synced });
+            await markReportSent(env, type, now);
+          } catch (error) {
+            console.error(`Error in scheduled ${type} report:`, error);
+          }
+        }
+      })());
     } catch (error) {
       console.error('Error in scheduled task:', error);
     }
@@ -25,11 +73,24 @@ export default {
     
     // Handle different routes
     switch (url.pathname) {
+      // API routes need a key with the right scope; reads only need "read"
       case '/trigger':
-        return handleTriggerRoute(request, env);
+        return withApiKey(request, env, ctx, 'trigger', handleTriggerRoute);
         
       case '/calculate':
-        return handleCalculateRoute(request, env);
+        return withApiKey(request, env, ctx, 'read', handleCalculateRoute);
+        
+      case '/forecast':
+        return withApiKey(request, env, ctx, 'read', handleForecastRoute);
+        
+      case '/merchants':
+        return withApiKey(request, env, ctx, 'read', handleMerchantsRoute);
+        
+      case '/target':
+        return withApiKey(request, env, ctx, request.method === 'GET' ? 'read' : 'admin', handleTargetRoute);
+        
+      case '/fx':
+        return withApiKey(request, env, ctx, request.method === 'GET' ? 'read' : 'admin', handleFxRoute);
         
       case '/telegram-webhook':
         return handleTelegramWebhook(request, env, ctx);
@@ -0,0 +1,230 @@
+/**
+ * Merchant analytics
+ *
+ * Aggregates stored expenses per merchant (total, count, average ticket,
+ * first and last seen) and finds recurring merchants such as subscriptions:
+ * merchants that charge a similar amount on a regular cadence. Merchants are
+ * matched by name, ignoring case and repeated spaces; expenses without a
+ * merchant are left out. Refunds lower a merchant's total but are not
+ * charges, so they don't count towards the number of charges, the average
+ * ticket or recurring patterns.
+ */
+import { getExpenseAmount, getExpenseDateKey, isCountedExpense, isRefundExpense } from './spend';
+import { getExpenseCategory, getExpenseMerchant } from './categories';
+import { addDays } from './time';
+
+// Days of history before the end of the range used to find recurring
+// merchants, enough to see a yearly charge twice
+const RECURRING_HISTORY_DAYS = 400;
+
+// Fewest charges before a merchant can count as recurring
+const MIN_RECURRING_CHARGES = 3;
+
+// Share of the gaps between charges (and of the amounts) that must fit the pattern
+const MIN_REGULAR_SHARE = 0.75;
+
+// How far a charge may be from the usual amount, relative to it
+const AMOUNT_TOLERANCE = 0.1;
+
+// Recurring cadences with their length and allowed deviation in days
+const CADENCES = [
+  { name: 'weekly', days: 7, tolerance: 1 },
+  { name: 'fortnightly', days: 14, tolerance: 2 },
+  { name: 'monthly', days: 30.44, tolerance: 4 },
+  { name: 'quarterly', days: 91.31, tolerance: 8 },
+  { name: 'yearly', days: 365.25, tolerance: 15 }
+];
+
+// Average days per month, for the monthly cost of recurring merchants
+const DAYS_PER_MONTH = 30.44;
+
+/**
+ * Get the first day merchant analytics need history from
+ *
+ * @param {string} from - First day of the range (YYYY-MM-DD)
+ * @param {string} to - Last day of the range (YYYY-MM-DD)
+ * @returns {string} - First day to load (YYYY-MM-DD)
+ */
+export function getMerchantHistoryStart(from, to) {
+  const recurringStart = addDays(to, -(RECURRING_HISTORY_DAYS - 1));
+  return recurringStart < from ? recurringStart : from;
+}
+
+/**
+ * Summarise spend per merchant over a date range and find recurring merchants
+ *
+ * @param {Array} expenses - Expenses in the reporting currency, covering getMerchantHistoryStart(from, to) to `to`
+ * @param {Object} options - Summary options
+ * @param {string} options.from - First day of the range (YYYY-MM-DD)
+ * @param {string} options.to - Last day of the range (YYYY-MM-DD)
+ * @param {string} options.timeZone - IANA timezone expenses are bucketed into days in
+ * @returns {Object} - Summary ({ merchants, recurring, recurringMonthlyTotal })
+ */
+export function summarizeMerchants(expenses, { from, to, timeZone = 'UTC' }) {
+  const groups = {};
+  for (const exp of expenses.filter(isCountedExpense)) {
+    const name = getExpenseMerchant(exp);
+    const date = getExpenseDateKey(exp, timeZone);
+    if (!name || date > to) {
+      continue;
+    }
+    const key = normalizeMerchantName(name);
+    groups[key] = groups[key] || [];
+    groups[key].push({ name, date, amount: getExpenseAmount(exp), category: getExpenseCategory(exp), refund: isRefundExpense(exp) });
+  }
+
+  const merchants = [];
+  const recurring = [];
+
+  for (const group of Object.values(groups)) {
+    group.sort((a, b) => a.date.localeCompare(b.date));
+    const charges = group.filter(entry => !entry.refund);
+    const latest = charges[charges.length - 1];
+    const pattern = findRecurringPattern(charges, to);
+
+    if (pattern) {
+      recurring.push({ merchant: latest.name, category: latest.category, ...pattern });
+    }
+
+    const inRange = charges.filter(charge => charge.date >= from);
+    if (inRange.length === 0) {
+      continue;
+    }
+
+    const spent = inRange.reduce((sum, charge) => sum + charge.amount, 0);
+    const refunded = group
+      .filter(entry => entry.refund && entry.date >= from)
+      .reduce((sum, entry) => sum - entry.amount, 0);
+    merchants.push({
+      merchant: latest.name,
+      category: getMostCommon(inRange.map(charge => charge.category)),
+      total: spent - refunded,
+      refunded,
+      count: inRange.length,
+      averageTicket: spent / inRange.length,
+      firstSeen: inRange[0].date,
+      lastSeen: inRange[inRange.length - 1].date,
+      recurring: pattern?.active ? pattern.cadence : null
+    });
+  }
+
+  merchants.sort((a, b) => b.total - a.total);
+  recurring.sort((a, b) => b.monthlyCost - a.monthlyCost);
+
+  return {
+    merchants,
+    recurring,
+    recurringMonthlyTotal: recurring
+      .filter(entry => entry.active)
+      .reduce((sum, entry) => sum + entry.monthlyCost, 0)
+  };
+}
+
+/**
+ * Check whether a merchant's charges repeat on a regular cadence with a
+ * similar amount
+ *
+ * Charges on the same day are added together first.
+ *
+ * @param {Array<Object>} charges - Charges ({ date, amount }) sorted by date
+ * @param {string} today - Last day of the history (YYYY-MM-DD)
+ * @returns {Object|null} - Pattern ({ cadence, intervalDays, typicalAmount, monthlyCost, charges, lastCharge, nextExpected, active }), or null
+ */
+function findRecurringPattern(charges, today) {
+  const byDay = [];
+  for (const charge of charges) {
+    const last = byDay[byDay.length - 1];
+    if (last && last.date === charge.date) {
+      last.amount += charge.amount;
+    } else {
+      byDay.push({ date: charge.date, amount: charge.amount });
+    }
+  }
+
+  if (byDay.length < MIN_RECURRING_CHARGES) {
+    return null;
+  }
+
+  const intervals = byDay.slice(1).map((charge, index) => daysBetween(byDay[index].date, charge.date));
+  const cadence = CADENCES.find(({ days, tolerance }) =>
+    intervals.filter(interval => Math.abs(interval - days) <= tolerance).length >= MIN_REGULAR_SHARE * intervals.length);
+  if (!cadence) {
+    return null;
+  }
+
+  const amounts = byDay.map(charge => charge.amount);
+  const typicalAmount = median(amounts);
+  const similar = amounts.filter(amount => Math.abs(amount - typicalAmount) <= AMOUNT_TOLERANCE * typicalAmount);
+  if (similar.length < MIN_REGULAR_SHARE * amounts.length) {
+    return null;
+  }
+
+  const intervalDays = median(intervals);
+  const lastCharge = byDay[byDay.length - 1].date;
+  const nextExpected = addDays(lastCharge, Math.round(intervalDays));
+
+  return {
+    cadence: cadence.name,
+    intervalDays,
+    typicalAmount,
+    monthlyCost: typicalAmount * DAYS_PER_MONTH / intervalDays,
+    charges: byDay.length,
+    lastCharge,
+    nextExpected,
+    // A charge that is overdue by more than the cadence allows suggests it was cancelled
+    active: daysBetween(nextExpected, today) <= cadence.tolerance
+  };
+}
+
+/**
+ * Normalise a merchant name for grouping
+ *
+ * @param {string} name - Merchant name
+ * @returns {string} - Lower-case name with single spaces
+ */
+function normalizeMerchantName(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Get the most common value of a list, preferring the latest on a tie
+ *
+ * @param {Array<string>} values - Values
+ * @returns {string} - Most common value
+ */
+function getMostCommon(values) {
+  const counts = {};
+  let best = values[values.length - 1];
+  for (const value of values) {
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  for (const value of [...values].reverse()) {
+    if (counts[value] > counts[best]) {
+      best = value;
+    }
+  }
+  return best;
+}
+
+/**
+ * Get the median of a list of numbers
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number} - Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Count the days from one date to another
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {number} - Number of days (negative when `to` is earlier)
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
@@ -1,3 +1,12 @@
+import { formatLocalDateTime } from './time';
+import { getExpenseAmount } from './spend';
+import { formatCurrency } from './currency';
+import { getExpenseCategory, getExpenseMerchant } from './categories';
+import { generateCaptionText, sendTelegramPhoto } from './telegram';
+import { renderReportChart, generateReportCaption } from './reports';
+import { renderSpendChart } from './chart';
+import { escapeHtml } from './html';
+
 /**
  * Send daily spend rate notification via Telegram bot
  * 
@@ -27,230 +36,6 @@ export async function sendNotification({ spendRate, botToken, chatId }) {
   return await sendSpendRateVisual({ spendRate, botToken, chatId });
 }
 
-/**
- * Generate a URL for a spending chart using QuickChart API
- * 
- * @param {Object} spendRate - Spend rate calculation results
- * @returns {string} - URL to the generated chart image
- */
-function generateChartUrl(spendRate) {
-  // Get the last 14 days of data
-  const dailyRates = spendRate.historicalData?.dailyRates || {};
-  const dates = Object.keys(dailyRates).sort();
-  const recentDates = dates.slice(-14);
-  
-  // Extract data for the chart
-  const chartData = recentDates.map(date => dailyRates[date] || 0);
-  const chartLabels = recentDates.map(date => {
-    // Format date as DD/MM
-    const [year, month, day] = date.split('-');
-    return `${day}/${month}`;
-  });
-  
-  // Create target line data (constant value for all dates)
-  const targetData = Array(recentDates.length).fill(150);
-  
-  // Define modern color palette
-  const primaryColor = '#7C3AED'; // Purple
-  const primaryGradient = ['rgba(124, 58, 237, 0.8)', 'rgba(124, 58, 237, 0.2)']; // Purple gradient
-  const targetColor = '#F43F5E'; // Rose/Pink
-  
-  // Calculate gradient stops for better visual effect
-  const gradientStops = chartData.map((value, index) => {
-    return {
-      stop: index / (chartData.length - 1),
-      color: primaryGradient[0]
-    };
-  });
-  
-  // Add final gradient stop
-  gradientStops.push({
-    stop: 1,
-    color: primaryGradient[1]
-  });
-  
-  // Define chart configuration
-  const chartConfig = {
-    type: 'bar',
-    data: {
-      labels: chartLabels,
-      datasets: [
-        {
-          label: 'Daily Spend',
-          data: chartData,
-          backgroundColor: function(context) {
-            const chart = context.chart;
-            const { ctx, chartArea } = chart;
-            
-            if (!chartArea) {
-              return primaryColor;
-            }
-            
-            const gradient = ctx.createLinearGradient(0, chartArea.bottom, 0, chartArea.top);
-            gradient.addColorStop(0, primaryGradient[1]);
-            gradient.addColorStop(1, primaryGradient[0]);
-            
-            return gradient;
-          },
-          borderColor: 'transparent',
-          borderWidth: 0,
-          borderRadius: 6,
-          barThickness: 12,
-          maxBarThickness: 16
-        },
-        {
-          label: 'Target ($150/day)',
-          data: targetData,
-          type: 'line',
-          fill: false,
-          borderColor: targetColor,
-          borderWidth: 2,
-          borderDash: [3, 3],
-          pointRadius: 0,
-          tension: 0.4
-        }
-      ]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: true,
-      plugins: {
-        legend: {
-          display: true,
-          position: 'top',
-          align: 'end',
-          labels: {
-            boxWidth: 15,
-            usePointStyle: true,
-            pointStyle: 'circle',
-            padding: 20,
-            font: {
-              family: 'Inter, system-ui, sans-serif',
-              size: 12
-            }
-          }
-        },
-        title: {
-          display: true,
-          text: 'Daily Spend Rate (Last 14 Days)',
-          font: {
-            family: 'Inter, system-ui, sans-serif',
-            size: 16,
-            weight: 'bold'
-          },
-          padding: {
-            top: 10,
-            bottom: 20
-          }
-        },
-        tooltip: {
-          backgroundColor: 'rgba(0, 0, 0, 0.7)',
-          titleFont: {
-            family: 'Inter, system-ui, sans-serif',
-            size: 13
-          },
-          bodyFont: {
-            family: 'Inter, system-ui, sans-serif',
-            size: 12
-          },
-          padding: 12,
-          cornerRadius: 6,
-          caretSize: 6,
-          displayColors: false,
-          callbacks: {
-            label: function(context) {
-              let label = context.dataset.label || '';
-              if (label) {
-                label += ': ';
-              }
-              if (context.parsed.y !== null) {
-                label += `$${context.parsed.y.toFixed(2)}`;
-              }
-              return label;
-            }
-          }
-        }
-      },
-      layout: {
-        padding: {
-          left: 5,
-          right: 15,
-          top: 5,
-          bottom: 5
-        }
-      },
-      scales: {
-        x: {
-          grid: {
-            display: false,
-            drawBorder: false
-          },
-          ticks: {
-            padding: 8,
-            font: {
-              family: 'Inter, system-ui, sans-serif',
-              size: 11
-            }
-          }
-        },
-        y: {
-          position: 'right',
-          beginAtZero: true,
-          grid: {
-            color: 'rgba(0, 0, 0, 0.06)',
-            drawBorder: false,
-            lineWidth: 1
-          },
-          ticks: {
-            padding: 10,
-            font: {
-              family: 'Inter, system-ui, sans-serif',
-              size: 11
-            },
-            callback: (value) => `$${value}`
-          },
-          title: {
-            display: true,
-            text: `${spendRate.currency || 'AUD'}`,
-            font: {
-              family: 'Inter, system-ui, sans-serif',
-              size: 12
-            }
-          }
-        }
-      },
-      animation: {
-        duration: 1000,
-        easing: 'easeOutQuart'
-      }
-    }
-  };
-  
-  // Encode chart configuration as URL
-  const encodedConfig = encodeURIComponent(JSON.stringify(chartConfig));
-  return `https://quickchart.io/chart?c=${encodedConfig}&width=600&height=350&devicePixelRatio=2.0&backgroundColor=white`;
-}
-
-/**
- * Format currency for display
- * 
- * @param {number} amount - Amount to format
- * @param {string} currency - Currency code
- * @returns {string} - Formatted currency string
- */
-function formatCurrency(amount, currency = 'AUD') {
-  try {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency
-    }).format(amount);
-  } catch (error) {
-    console.error(`Error formatting currency: ${error.message}`);
-    // Fallback formatting
-    return `${currency} ${amount.toFixed(2)}`;
-  }
-}
-
 /**
  * Send a visual representation of spend rate data with update button
  * 
@@ -268,29 +53,11 @@ export async function sendSpendRateVisual({ spendRate, botToken, chatId, message
       throw new Error("Invalid bot token format. Bot tokens should be in the format 'number:string'.");
     }
     
-    // Generate chart URL
-    const chartUrl = generateChartUrl(spendRate);
+    // Render the chart
+    const chart = await renderSpendChart(spendRate);
     
     // Create caption text with key stats
-    const captionText = `
-<b>💰 DAILY SPEND STATS</b>
-━━━━━━━━━━━━━━━━━━━━━━
-
-📊 <b>Period:</b> Last ${spendRate.periodDays} days
-📈 <b>Daily Rate:</b> ${formatCurrency(spendRate.dailyRate, spendRate.currency)}
-💵 <b>Total:</b> ${formatCurrency(spendRate.totalAmount, spendRate.currency)}
-
-<b>📅 AVERAGES</b>
-┌─ 7-Day: ${formatCurrency(spendRate.movingAverage7Day, spendRate.currency)}
-└─ 30-Day: ${formatCurrency(spendRate.movingAverage30Day, spendRate.currency)}
-
-<b>🎯 TARGET ($150/day)</b>
-${spendRate.targetSpendAmount > 0 
-  ? `You need to spend <b>${formatCurrency(spendRate.targetSpendAmount, spendRate.currency)}</b> today to reach target`
-  : `Target exceeded by <b>${formatCurrency(Math.abs(spendRate.targetSpendAmount), spendRate.currency)}</b>`}
-
-<i>Last updated: ${new Date().toISOString().substring(0, 16).replace('T', ' ')}</i>
-`;
+    const captionText = generateCaptionText(spendRate);
     
     // Create inline keyboard for update button
     const inlineKeyboard = {
@@ -301,47 +68,32 @@ ${spendRate.targetSpendAmount > 0
       ]
     };
     
-    // Determine if we're sending a new message or editing an existing one
-    const endpoint = messageId 
-      ? `https://api.telegram.org/bot${botToken}/editMessageMedia` 
-      : `https://api.telegram.org/bot${botToken}/sendPhoto`;
-    
-    // Prepare request body
-    let requestBody;
+    // Send a new message, or edit an existing one; the chart is uploaded with the request
+    let response;
     
     if (messageId) {
       // Editing existing message
-      requestBody = {
+      response = await sendTelegramPhoto(botToken, 'editMessageMedia', {
         chat_id: chatId,
         message_id: messageId,
         media: {
           type: 'photo',
-          media: chartUrl,
+          media: 'attach://photo',
           caption: captionText,
           parse_mode: 'HTML'
         },
         reply_markup: inlineKeyboard
-      };
+      }, chart);
     } else {
       // Sending new message
-      requestBody = {
+      response = await sendTelegramPhoto(botToken, 'sendPhoto', {
         chat_id: chatId,
-        photo: chartUrl,
         caption: captionText,
         parse_mode: 'HTML',
         reply_markup: inlineKeyboard
-      };
+      }, chart);
     }
     
-    // Send or edit message
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
     const responseData = await response.json();
     
     if (!response.ok) {
@@ -355,4 +107,150 @@ ${spendRate.targetSpendAmount > 0
     console.error('Error sending Telegram visual notification:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Send a weekly or monthly report with its chart via Telegram bot
+ * 
+ * @param {Object} options
+ * @param {Object} options.report - Report (see reports.js)
+ * @param {string} options.botToken - Telegram bot token
+ * @param {string} options.chatId - Telegram chat ID to send the report to
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function sendReport({ report, botToken, chatId }) {
+  const response = await sendTelegramPhoto(botToken, 'sendPhoto', {
+    chat_id: chatId,
+    caption: generateReportCaption(report, amount => formatCurrency(amount, report.currency)),
+    parse_mode: 'HTML'
+  }, await renderReportChart(report));
+  
+  if (!response.ok) {
+    const responseData = await response.json();
+    throw new Error(`Failed to send ${report.type} report: ${JSON.stringify(responseData)}`);
+  }
+  
+  return true;
+}
+
+/**
+ * Send a budget threshold alert via Telegram bot
+ * 
+ * @param {Object} options
+ * @param {Object} options.progress - Budget progress (see budgets.js)
+ * @param {number} options.threshold - Crossed threshold percentage
+ * @param {string} options.currency - Currency code for amounts
+ * @param {string} options.botToken - Telegram bot token
+ * @param {string} options.chatId - Telegram chat ID to send messages to
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function sendBudgetAlert({ progress, threshold, currency, botToken, chatId }) {
+  const { budget, period, spent, remaining, percentage } = progress;
+  const icon = threshold >= 100 ? '🚨' : '⚠️';
+  
+  const text = `
+<b>${icon} BUDGET ${threshold >= 100 ? 'EXCEEDED' : `${threshold}% USED`}</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+📂 <b>Budget:</b> ${escapeHtml(budget.name)} (${formatCurrency(budget.limit, currency)}/${budget.period})
+💵 <b>Spent:</b> ${formatCurrency(spent, currency)} (${percentage.toFixed(1)}%)
+${remaining >= 0 
+  ? `✅ <b>Remaining:</b> ${formatCurrency(remaining, currency)}`
+  : `❌ <b>Over by:</b> ${formatCurrency(Math.abs(remaining), currency)}`}
+
+<i>Period: ${period.from} to ${period.to}</i>
+`;
+  
+  const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      chat_id: chatId,
+      text,
+      parse_mode: 'HTML'
+    })
+  });
+  
+  if (!response.ok) {
+    const responseData = await response.json();
+    throw new Error(`Failed to send budget alert: ${JSON.stringify(responseData)}`);
+  }
+  
+  return true;
+}
+
+/**
+ * Send an alert about an unusual expense or spend spike, with a button to
+ * mark it as fine
+ * 
+ * @param {Object} options
+ * @param {Object} options.anomaly - Detected anomaly (see anomalies.js)
+ * @param {string} options.id - Anomaly ID used by the "Looks fine" button
+ * @param {string} options.currency - Reporting currency
+ * @param {string} options.timeZone - IANA timezone expense times are shown in
+ * @param {string} options.botToken - Telegram bot token
+ * @param {string} options.chatId - Telegram chat ID to send the alert to
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function sendAnomalyAlert({ anomaly, id, currency, timeZone, botToken, chatId }) {
+  const { type, date, amount, typical, expenses } = anomaly;
+  const [expense] = expenses;
+  const merchant = expense ? escapeHtml(getExpenseMerchant(expense) || getExpenseCategory(expense)) : '';
+  
+  const headlines = {
+    large_for_merchant: ['🔍 UNUSUAL EXPENSE', `${formatCurrency(amount, currency)} at <b>${merchant}</b>, which usually charges around ${formatCurrency(typical, currency)}.`],
+    large_for_category: ['🔍 UNUSUAL EXPENSE', `${formatCurrency(amount, currency)} in <b>${escapeHtml(expense && getExpenseCategory(expense))}</b>, where expenses are usually around ${formatCurrency(typical, currency)}.`],
+    new_merchant: ['🆕 LARGE CHARGE FROM A NEW MERCHANT', `${formatCurrency(amount, currency)} at <b>${merchant}</b>, a merchant not seen before.`],
+    daily_spike: ['📈 SPEND SPIKE', `${formatCurrency(amount, currency)} spent on ${date}, against a 30-day average of ${formatCurrency(typical, currency)} a day.`],
+    duplicate: ['👯 POSSIBLE DUPLICATE CHARGE', `Two charges of ${formatCurrency(amount, currency)} at <b>${merchant}</b> within minutes of each other.`]
+  };
+  const [title, description] = headlines[type];
+  
+  // List the expenses involved, largest first for spikes
+  const lines = expenses.slice(0, 5).map(exp => {
+    const original = exp.converted_amount && exp.spent_amount.currency !== currency
+      ? ` (${formatCurrency(Math.abs(exp.spent_amount.amount), exp.spent_amount.currency)})`
+      : '';
+    const name = escapeHtml(getExpenseMerchant(exp) || getExpenseCategory(exp));
+    // Manual entries only have a date
+    const when = exp.expense_date || exp.created_at;
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(when) ? when : formatLocalDateTime(when, timeZone);
+    return `• ${time} · ${formatCurrency(getExpenseAmount(exp), currency)}${original} · ${name}`;
+  });
+  if (expenses.length > 5) {
+    lines.push(`<i>…and ${expenses.length - 5} more</i>`);
+  }
+  
+  const text = `
+<b>${title}</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${description}
+
+${lines.join('\n')}
+`;
+  
+  const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      chat_id: chatId,
+      text,
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[{ text: '👍 Looks fine', callback_data: `anomaly_ok:${id}` }]]
+      }
+    })
+  });
+  
+  if (!response.ok) {
+    const responseData = await response.json();
+    throw new Error(`Failed to send anomaly alert: ${JSON.stringify(responseData)}`);
+  }
+  
+  return true;
+}
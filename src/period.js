@@ -0,0 +1,187 @@
+/**
+ * Reporting periods
+ *
+ * The spend rate is calculated over an explicit calendar period ending today:
+ * a rolling number of days, month/quarter/year to date, or the current pay
+ * cycle. Every day of the period counts, including days without spend, so the
+ * daily rate doesn't drift as more history is stored.
+ */
+import { getToday, addDays, getDateKey } from './time';
+
+export const PERIOD_MODES = ['rolling', 'mtd', 'qtd', 'ytd', 'pay_cycle'];
+
+// Defaults for the configurable period settings
+const DEFAULT_PERIOD_MODE = 'rolling';
+const DEFAULT_ROLLING_DAYS = 90;
+const DEFAULT_PAY_CYCLE_DAY = 1;
+
+// Longest rolling period that can be requested
+const MAX_ROLLING_DAYS = 1096;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Get the period settings from the environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Period settings ({ mode, rollingDays, payCycleDay })
+ */
+export function getPeriodSettings(env) {
+  const mode = (env.SPEND_PERIOD || DEFAULT_PERIOD_MODE).toLowerCase();
+  if (!PERIOD_MODES.includes(mode)) {
+    console.error(`Unknown SPEND_PERIOD "${env.SPEND_PERIOD}", using ${DEFAULT_PERIOD_MODE}`);
+  }
+
+  const payCycleDay = parseInt(env.PAY_CYCLE_DAY, 10);
+
+  return {
+    mode: PERIOD_MODES.includes(mode) ? mode : DEFAULT_PERIOD_MODE,
+    rollingDays: parseInt(env.HISTORY_WINDOW_DAYS, 10) || DEFAULT_ROLLING_DAYS,
+    payCycleDay: payCycleDay >= 1 && payCycleDay <= 31 ? payCycleDay : DEFAULT_PAY_CYCLE_DAY
+  };
+}
+
+/**
+ * Get the configured reporting period ending on a given day
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} today - Last day of the period (YYYY-MM-DD), defaults to today in the configured timezone
+ * @returns {Object} - Period (see resolvePeriod)
+ */
+export function getSpendPeriod(env, today = getToday(env)) {
+  return resolvePeriod(getPeriodSettings(env), today);
+}
+
+/**
+ * Resolve a period mode into the calendar days it covers
+ *
+ * @param {Object} settings - Period settings
+ * @param {string} settings.mode - Period mode (rolling, mtd, qtd, ytd or pay_cycle)
+ * @param {number} settings.rollingDays - Length of a rolling period in days
+ * @param {number} settings.payCycleDay - Day of the month a pay cycle starts on
+ * @param {string} today - Last day of the period (YYYY-MM-DD)
+ * @returns {Object} - Period ({ mode, from, to, days, label }) with dates in YYYY-MM-DD format
+ */
+export function resolvePeriod({ mode = DEFAULT_PERIOD_MODE, rollingDays = DEFAULT_ROLLING_DAYS, payCycleDay = DEFAULT_PAY_CYCLE_DAY }, today) {
+  const date = new Date(`${today}T00:00:00Z`);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  let from;
+  let label;
+
+  switch (mode) {
+    case 'rolling':
+      if (!Number.isInteger(rollingDays) || rollingDays < 1 || rollingDays > MAX_ROLLING_DAYS) {
+        throw new Error(`A rolling period must be between 1 and ${MAX_ROLLING_DAYS} days`);
+      }
+      from = addDays(today, -(rollingDays - 1));
+      label = `Last ${rollingDays} days`;
+      break;
+    case 'mtd':
+      from = getDateKey(year, month, 1);
+      label = `Month to date (${formatMonth(year, month)})`;
+      break;
+    case 'qtd': {
+      const quarter = Math.floor(month / 3);
+      from = getDateKey(year, quarter * 3, 1);
+      label = `Quarter to date (Q${quarter + 1} ${year})`;
+      break;
+    }
+    case 'ytd':
+      from = getDateKey(year, 0, 1);
+      label = `Year to date (${year})`;
+      break;
+    case 'pay_cycle': {
+      if (!Number.isInteger(payCycleDay) || payCycleDay < 1 || payCycleDay > 31) {
+        throw new Error('The pay cycle day must be between 1 and 31');
+      }
+      // The cycle started this month once its day has passed, otherwise last month
+      const thisMonth = getPayCycleStart(year, month, payCycleDay);
+      from = thisMonth <= today ? thisMonth : getPayCycleStart(year, month - 1, payCycleDay);
+      label = `Pay cycle since ${formatDay(from)}`;
+      break;
+    }
+    default:
+      throw new Error(`Invalid period "${mode}". Use one of: ${PERIOD_MODES.join(', ')}.`);
+  }
+
+  return { mode, from, to: today, days: countDays(from, today), label };
+}
+
+/**
+ * Describe a custom date range as a period
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Object} - Period ({ mode, from, to, days, label })
+ */
+export function getCustomPeriod(from, to) {
+  return {
+    mode: 'custom',
+    from,
+    to,
+    days: countDays(from, to),
+    label: from === to ? formatDay(from) : `${formatDay(from)} – ${formatDay(to)}`
+  };
+}
+
+/**
+ * Describe a period for messages, e.g. "Month to date (Oct 2026), 18 days"
+ *
+ * @param {Object} period - Period (see resolvePeriod)
+ * @returns {string} - Description
+ */
+export function describePeriod(period) {
+  if (period.mode === 'rolling') {
+    return period.label;
+  }
+  return `${period.label}, ${period.days} ${period.days === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Get the day a pay cycle starts in a month; days past the end of a short
+ * month fall on its last day
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11, may be out of range)
+ * @param {number} payCycleDay - Day of the month the cycle starts on
+ * @returns {string} - Start day (YYYY-MM-DD)
+ */
+function getPayCycleStart(year, month, payCycleDay) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return getDateKey(year, month, Math.min(payCycleDay, lastDay));
+}
+
+/**
+ * Count the days from one date to another, inclusive
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {number} - Number of days
+ */
+function countDays(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Format a YYYY-MM-DD date as e.g. "15 Oct 2026"
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} - Formatted date
+ */
+function formatDay(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return `${day} ${formatMonth(year, month - 1)}`;
+}
+
+/**
+ * Format a month as e.g. "Oct 2026"
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @returns {string} - Formatted month
+ */
+function formatMonth(year, month) {
+  return `${MONTH_NAMES[month]} ${year}`;
+}
@@ -0,0 +1,603 @@
+/**
+ * Scheduled weekly and monthly reports
+ *
+ * Besides the daily message, two reports are sent on a schedule: a weekly
+ * digest of the last calendar week (Monday to Sunday) against the week before
+ * it, and a monthly statement of the last calendar month against the average
+ * of the three months before it, with the results of monthly budgets. Each
+ * report has its own chart and caption template.
+ *
+ * Schedules are set with WEEKLY_REPORT_SCHEDULE ("DAY [HOUR]", e.g. "mon" or
+ * "fri 18") and MONTHLY_REPORT_SCHEDULE ("DAY_OF_MONTH [HOUR]", e.g. "1" or
+ * "3 9"), or "off" to turn a report off. The hour defaults to DAILY_RUN_HOUR.
+ * The hourly cron sends a report on the first run at or after its hour on its
+ * day, like the daily message.
+ */
+import { getDailyTarget, WEEKDAYS } from './target';
+import { getBudgetPeriod, calculateBudgetProgress } from './budgets';
+import { getCustomPeriod } from './period';
+import { normalizeExpense } from './currency';
+import { getCategoryAmounts, getExpenseAmount, getExpenseDateKey, isCountedExpense, isSpendExpense, summarizeRefunds } from './spend';
+import { getExpenseCategory, getExpenseMerchant } from './categories';
+import { summarizeMerchants } from './merchants';
+import { getDailyRunHour, getToday, isScheduledRunDue, markScheduledRun, addDays } from './time';
+import { renderChart } from './chart';
+import { escapeHtml } from './html';
+
+export const REPORT_TYPES = ['weekly', 'monthly'];
+
+// Environment variables the schedules are read from, and their defaults
+const SCHEDULE_VARIABLES = { weekly: 'WEEKLY_REPORT_SCHEDULE', monthly: 'MONTHLY_REPORT_SCHEDULE' };
+const DEFAULT_SCHEDULES = { weekly: 'mon', monthly: '1' };
+
+const LAST_REPORT_KEY_PREFIX = 'last_report:';
+
+// Months the monthly statement is compared against
+const COMPARISON_MONTHS = 3;
+
+// Entries kept per list in a report, and shown per list in its caption
+const MAX_REPORT_ENTRIES = 5;
+const MAX_CAPTION_ENTRIES = 3;
+
+// Longest merchant or category name shown in a caption
+const MAX_CAPTION_NAME_LENGTH = 24;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const CHART_TEMPLATES = {
+  weekly: buildWeeklyChart,
+  monthly: buildMonthlyChart
+};
+
+const CAPTION_TEMPLATES = {
+  weekly: buildWeeklyCaption,
+  monthly: buildMonthlyCaption
+};
+
+/**
+ * Parse a report schedule
+ *
+ * @param {string} type - Report type (weekly or monthly)
+ * @param {string} input - Schedule, e.g. "mon", "fri 18", "1", "3 9" or "off"
+ * @returns {Object|null} - Schedule ({ day, hour }), with a null hour when none is given, or null when turned off
+ */
+export function parseReportSchedule(type, input) {
+  const [dayText = '', hourText, ...rest] = String(input).trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  if (dayText === 'off') {
+    return null;
+  }
+
+  if (rest.length > 0) {
+    throw new Error(`Invalid ${type} report schedule "${input}".`);
+  }
+
+  let day;
+  if (type === 'weekly') {
+    day = WEEKDAYS.indexOf(dayText.substring(0, 3));
+    if (dayText.length < 3 || day === -1) {
+      throw new Error(`Invalid weekday "${dayText}". Use one of: ${WEEKDAYS.join(', ')}.`);
+    }
+  } else {
+    day = /^\d+$/.test(dayText) ? parseInt(dayText, 10) : NaN;
+    if (!(day >= 1 && day <= 31)) {
+      throw new Error(`Invalid day of the month "${dayText}". Use a day from 1 to 31.`);
+    }
+  }
+
+  let hour = null;
+  if (hourText !== undefined) {
+    hour = /^\d+$/.test(hourText) ? parseInt(hourText, 10) : NaN;
+    if (!(hour >= 0 && hour <= 23)) {
+      throw new Error(`Invalid hour "${hourText}". Use an hour from 0 to 23.`);
+    }
+  }
+
+  return { day, hour };
+}
+
+/**
+ * Get the configured schedule of a report, falling back to the default when
+ * the configured one is invalid
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} type - Report type (weekly or monthly)
+ * @returns {Object|null} - Schedule ({ day, hour }), or null when turned off
+ */
+export function getReportSchedule(env, type) {
+  const input = env[SCHEDULE_VARIABLES[type]] || DEFAULT_SCHEDULES[type];
+  let schedule;
+  try {
+    schedule = parseReportSchedule(type, input);
+  } catch (error) {
+    console.error(`Invalid ${SCHEDULE_VARIABLES[type]} "${input}", using "${DEFAULT_SCHEDULES[type]}": ${error.message}`);
+    schedule = parseReportSchedule(type, DEFAULT_SCHEDULES[type]);
+  }
+  return schedule && { ...schedule, hour: schedule.hour ?? getDailyRunHour(env) };
+}
+
+/**
+ * Describe a report schedule for messages, e.g. "Mondays at 07:00"
+ *
+ * @param {string} type - Report type (weekly or monthly)
+ * @param {Object|null} schedule - Schedule (see getReportSchedule)
+ * @returns {string} - Description
+ */
+export function describeReportSchedule(type, schedule) {
+  if (!schedule) {
+    return 'off';
+  }
+  const time = `${String(schedule.hour).padStart(2, '0')}:00`;
+  if (type === 'weekly') {
+    const weekday = new Date(Date.UTC(2024, 0, 7 + schedule.day)).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    return `${weekday}s at ${time}`;
+  }
+  return `day ${schedule.day} of the month at ${time}${schedule.day > 28 ? ' (or its last day)' : ''}`;
+}
+
+/**
+ * Get the reports that are due in a scheduled run
+ *
+ * A report is due on its day, at or after its hour, unless it has already
+ * been sent that day. Monthly reports set to a day the month doesn't have
+ * are sent on its last day.
+ *
+ * @param {Object} env - Environment variables
+ * @param {Date} now - Time of the scheduled run
+ * @returns {Promise<Array<string>>} - Types of the reports to send
+ */
+export async function getDueReports(env, now = new Date()) {
+  const today = getToday(env, now);
+  const due = [];
+  for (const type of REPORT_TYPES) {
+    const schedule = getReportSchedule(env, type);
+    if (schedule && isReportDay(type, schedule, today) && await isScheduledRunDue(env, `${LAST_REPORT_KEY_PREFIX}${type}`, schedule.hour, now)) {
+      due.push(type);
+    }
+  }
+  return due;
+}
+
+/**
+ * Record that a scheduled report has been sent today
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} type - Report type (weekly or monthly)
+ * @param {Date} now - Time of the scheduled run
+ * @returns {Promise<void>}
+ */
+export async function markReportSent(env, type, now = new Date()) {
+  await markScheduledRun(env, `${LAST_REPORT_KEY_PREFIX}${type}`, now);
+}
+
+/**
+ * Get the period a report covers and the periods it is compared against
+ *
+ * @param {string} type - Report type (weekly or monthly)
+ * @param {string} today - Current day (YYYY-MM-DD)
+ * @returns {Object} - Periods ({ period, comparison }), each { from, to }; comparison periods oldest first
+ */
+export function getReportPeriods(type, today) {
+  const unit = type === 'weekly' ? 'week' : 'month';
+  const count = type === 'weekly' ? 1 : COMPARISON_MONTHS;
+
+  const toRange = ({ from, to }) => ({ from, to });
+  const period = toRange(getBudgetPeriod(unit, addDays(getBudgetPeriod(unit, today).from, -1)));
+  const comparison = [];
+  let before = period.from;
+  for (let i = 0; i < count; i++) {
+    const range = toRange(getBudgetPeriod(unit, addDays(before, -1)));
+    comparison.unshift(range);
+    before = range.from;
+  }
+
+  return { period, comparison };
+}
+
+/**
+ * Get the first day a report needs history from
+ *
+ * @param {string} type - Report type (weekly or monthly)
+ * @param {string} today - Current day (YYYY-MM-DD)
+ * @returns {string} - First day to load (YYYY-MM-DD)
+ */
+export function getReportHistoryStart(type, today) {
+  return getReportPeriods(type, today).comparison[0].from;
+}
+
+/**
+ * Build a report
+ *
+ * @param {string} type - Report type (weekly or monthly)
+ * @param {Array} expenses - Stored expenses, covering getReportHistoryStart(type, today) to today
+ * @param {Object} options - Report options
+ * @param {string} options.today - Current day (YYYY-MM-DD)
+ * @param {string} options.currency - Reporting currency
+ * @param {Object} options.fxRates - FX rate table (see currency.js)
+ * @param {string} options.accountCurrency - Currency of the Revolut account (see getAccountCurrency in currency.js)
+ * @param {Object} options.targetConfig - Daily target configuration (see target.js)
+ * @param {Array} options.budgets - Configured budgets; monthly budgets are reported in the monthly statement
+ * @param {string} options.timeZone - IANA timezone expenses are bucketed into days in
+ * @returns {Object} - Report
+ */
+export function buildReport(type, expenses, { today, currency, fxRates, accountCurrency = null, targetConfig, budgets = [], timeZone = 'UTC' }) {
+  const { period, comparison } = getReportPeriods(type, today);
+  const counted = expenses
+    .map(exp => normalizeExpense(exp, currency, fxRates, accountCurrency))
+    .filter(isCountedExpense);
+
+  const inRange = ({ from, to }) => counted.filter(exp => {
+    const date = getExpenseDateKey(exp, timeZone);
+    return date >= from && date <= to;
+  });
+  const sum = list => list.reduce((total, exp) => total + getExpenseAmount(exp), 0);
+
+  const current = inRange(period);
+  const comparisonExpenses = comparison.map(inRange);
+  const days = listDays(period.from, period.to);
+
+  const totalAmount = sum(current);
+  const comparisonTotals = comparison.map((range, index) => ({ ...range, amount: sum(comparisonExpenses[index]) }));
+  const comparisonAmount = average(comparisonTotals.map(({ amount }) => amount));
+
+  const report = {
+    type,
+    from: period.from,
+    to: period.to,
+    label: type === 'weekly' ? getCustomPeriod(period.from, period.to).label : formatMonth(period.from),
+    currency,
+    timeZone,
+    totalAmount,
+    grossAmount: sum(current.filter(isSpendExpense)),
+    refunds: summarizeRefunds(current, counted, timeZone),
+    expenseCount: current.length,
+    dailyRate: totalAmount / days.length,
+    comparison: comparisonTotals,
+    comparisonAmount,
+    change: getChange(totalAmount, comparisonAmount),
+    targetAmount: days.reduce((total, day) => total + getDailyTarget(targetConfig, day), 0),
+    categories: compareCategories(current, comparisonExpenses),
+    merchants: summarizeMerchants(current, { from: period.from, to: period.to, timeZone }).merchants
+      .slice(0, MAX_REPORT_ENTRIES)
+      .map(({ merchant, category, total, count }) => ({ merchant, category, total, count })),
+    biggestExpenses: current
+      .filter(isSpendExpense)
+      .sort((a, b) => getExpenseAmount(b) - getExpenseAmount(a))
+      .slice(0, MAX_REPORT_ENTRIES)
+      .map(exp => ({
+        id: exp.id,
+        date: getExpenseDateKey(exp, timeZone),
+        merchant: getExpenseMerchant(exp),
+        category: getExpenseCategory(exp),
+        amount: getExpenseAmount(exp)
+      }))
+  };
+
+  if (type === 'weekly') {
+    // Each day next to the same weekday of the week before
+    const previousTotals = getDailyTotals(comparisonExpenses[0], timeZone);
+    const currentTotals = getDailyTotals(current, timeZone);
+    report.days = days.map((date, index) => ({
+      date,
+      amount: currentTotals[date] || 0,
+      previousAmount: previousTotals[addDays(comparison[0].from, index)] || 0,
+      target: getDailyTarget(targetConfig, date)
+    }));
+  } else {
+    report.budgets = budgets
+      .filter(budget => budget.period === 'month')
+      .map(budget => {
+        const { spent, remaining, percentage } = calculateBudgetProgress(budget, current, period.to, timeZone);
+        return { name: budget.name, category: budget.category, limit: budget.limit, spent, remaining, percentage, withinBudget: remaining >= 0 };
+      });
+  }
+
+  return report;
+}
+
+/**
+ * Render the chart of a report
+ *
+ * @param {Object} report - Report (see buildReport)
+ * @returns {Promise<Uint8Array>} - PNG image
+ */
+export function renderReportChart(report) {
+  return renderChart(CHART_TEMPLATES[report.type](report));
+}
+
+/**
+ * Generate the caption of a report (HTML)
+ *
+ * @param {Object} report - Report (see buildReport)
+ * @param {Function} formatAmount - Amount formatter
+ * @returns {string} - Caption text
+ */
+export function generateReportCaption(report, formatAmount) {
+  return CAPTION_TEMPLATES[report.type](report, formatAmount);
+}
+
+/**
+ * Chart template of the weekly digest: spend per weekday against the week
+ * before, with the daily target
+ *
+ * @param {Object} report - Weekly report
+ * @returns {Object} - Chart description (see renderChart)
+ */
+function buildWeeklyChart(report) {
+  const labels = report.days.map(({ date }) => {
+    const [, month, day] = date.split('-');
+    return [WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()].replace(/^./, letter => letter.toUpperCase()), `${day}/${month}`];
+  });
+
+  return {
+    title: 'Last Week vs the Week Before',
+    labels,
+    currency: report.currency,
+    bars: [
+      { label: 'Week Before', data: report.days.map(({ previousAmount }) => previousAmount), color: '#7C3AED', alpha: 0.3 },
+      { label: 'Last Week', data: report.days.map(({ amount }) => amount), color: '#7C3AED' }
+    ],
+    lines: [
+      { label: 'Target', data: report.days.map(({ target }) => target), color: '#F43F5E', dash: [3, 3] }
+    ]
+  };
+}
+
+/**
+ * Chart template of the monthly statement: spend per category against the
+ * average of the comparison months
+ *
+ * @param {Object} report - Monthly report
+ * @returns {Object} - Chart description (see renderChart)
+ */
+function buildMonthlyChart(report) {
+  const categories = report.categories.slice(0, 8);
+
+  return {
+    title: `${report.label} by Category`,
+    labels: categories.map(({ category }) => category),
+    currency: report.currency,
+    bars: [
+      { label: `${COMPARISON_MONTHS}-Month Average`, data: categories.map(({ comparisonAmount }) => comparisonAmount), color: '#7C3AED', alpha: 0.3 },
+      { label: report.label, data: categories.map(({ amount }) => amount), color: '#7C3AED' }
+    ]
+  };
+}
+
+/**
+ * Caption template of the weekly digest
+ *
+ * @param {Object} report - Weekly report
+ * @param {Function} formatAmount - Amount formatter
+ * @returns {string} - Caption text (HTML)
+ */
+function buildWeeklyCaption(report, formatAmount) {
+  const sections = [
+    ['📂 TOP CATEGORIES', report.categories.map(({ category, amount, comparisonAmount }) =>
+      `${escapeHtml(shorten(category))}: ${formatAmount(amount)} (${formatChange(amount, comparisonAmount)})`)],
+    ['🏪 TOP MERCHANTS', report.merchants.map(({ merchant, total, count }) =>
+      `${escapeHtml(shorten(merchant))}: ${formatAmount(total)} · ${count}×`)],
+    ['💸 BIGGEST EXPENSES', report.biggestExpenses.map(({ date, merchant, category, amount }) =>
+      `${formatDay(date)} · ${escapeHtml(shorten(merchant || category))} · ${formatAmount(amount)}`)]
+  ];
+
+  return `
+<b>🗓 WEEKLY DIGEST</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+📊 <b>Week:</b> ${report.label}
+${describeTotals(report, formatAmount, 'the week before')}
+${describeSections(sections)}`;
+}
+
+/**
+ * Caption template of the monthly statement
+ *
+ * @param {Object} report - Monthly report
+ * @param {Function} formatAmount - Amount formatter
+ * @returns {string} - Caption text (HTML)
+ */
+function buildMonthlyCaption(report, formatAmount) {
+  const sections = [
+    ['💼 BUDGETS', report.budgets.map(({ name, limit, spent, percentage, withinBudget }) =>
+      `${withinBudget ? '✅' : '❌'} ${escapeHtml(shorten(name))}: ${formatAmount(spent)} of ${formatAmount(limit)} (${percentage.toFixed(0)}%)`)],
+    ['📂 TOP CATEGORIES', report.categories.map(({ category, amount, comparisonAmount }) =>
+      `${escapeHtml(shorten(category))}: ${formatAmount(amount)} (${formatChange(amount, comparisonAmount)})`)],
+    ['🏪 TOP MERCHANTS', report.merchants.map(({ merchant, total, count }) =>
+      `${escapeHtml(shorten(merchant))}: ${formatAmount(total)} · ${count}×`)]
+  ];
+
+  return `
+<b>📅 MONTHLY STATEMENT</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+📊 <b>Month:</b> ${report.label}
+${describeTotals(report, formatAmount, `the ${COMPARISON_MONTHS}-month average`)}
+${describeSections(sections)}`;
+}
+
+/**
+ * Format the total, daily rate, comparison and target lines of a caption
+ *
+ * @param {Object} report - Report
+ * @param {Function} formatAmount - Amount formatter
+ * @param {string} comparisonName - What the report is compared against, e.g. "the week before"
+ * @returns {string} - Caption lines
+ */
+function describeTotals(report, formatAmount, comparisonName) {
+  const refunded = report.refunds.count > 0 ? ` (after ${formatAmount(report.refunds.total)} refunded)` : '';
+  const difference = report.totalAmount - report.targetAmount;
+
+  return [
+    `💵 <b>Total:</b> ${formatAmount(report.totalAmount)}${refunded}`,
+    `📈 <b>Daily Rate:</b> ${formatAmount(report.dailyRate)}`,
+    `↕️ <b>vs ${comparisonName}:</b> ${formatChange(report.totalAmount, report.comparisonAmount)} (${formatAmount(report.comparisonAmount)})`,
+    `🎯 <b>Target:</b> ${formatAmount(report.targetAmount)}, ${difference > 0 ? `over by <b>${formatAmount(difference)}</b>` : `${formatAmount(-difference)} under`}`
+  ].join('\n');
+}
+
+/**
+ * Format caption sections, leaving out empty ones
+ *
+ * @param {Array<Array>} sections - Sections as [title, lines]
+ * @returns {string} - Caption sections
+ */
+function describeSections(sections) {
+  return sections
+    .filter(([, lines]) => lines.length > 0)
+    .map(([title, lines]) => {
+      const shown = lines.slice(0, MAX_CAPTION_ENTRIES);
+      const tree = shown.map((line, index) => `${index === shown.length - 1 ? '└─' : index === 0 ? '┌─' : '├─'} ${line}`);
+      return `\n<b>${title}</b>\n${tree.join('\n')}\n`;
+    })
+    .join('');
+}
+
+/**
+ * Compare spend per category against the average of the comparison periods
+ *
+ * @param {Array} expenses - Expenses of the report period
+ * @param {Array<Array>} comparisonExpenses - Expenses of each comparison period
+ * @returns {Array<Object>} - Categories ({ category, amount, comparisonAmount, change }), largest first
+ */
+function compareCategories(expenses, comparisonExpenses) {
+  const byCategory = {};
+  const add = (list, field, weight) => {
+    for (const exp of list) {
+      for (const { category, amount } of getCategoryAmounts(exp)) {
+        byCategory[category] = byCategory[category] || { category, amount: 0, comparisonAmount: 0 };
+        byCategory[category][field] += amount * weight;
+      }
+    }
+  };
+
+  add(expenses, 'amount', 1);
+  for (const list of comparisonExpenses) {
+    add(list, 'comparisonAmount', 1 / comparisonExpenses.length);
+  }
+
+  return Object.values(byCategory)
+    .filter(({ amount }) => amount > 0)
+    .sort((a, b) => b.amount - a.amount)
+    .map(entry => ({ ...entry, change: getChange(entry.amount, entry.comparisonAmount) }));
+}
+
+/**
+ * Check whether a report is scheduled for a day
+ *
+ * @param {string} type - Report type (weekly or monthly)
+ * @param {Object} schedule - Schedule (see getReportSchedule)
+ * @param {string} today - Day (YYYY-MM-DD)
+ * @returns {boolean} - True on the report's day
+ */
+function isReportDay(type, schedule, today) {
+  const date = new Date(`${today}T00:00:00Z`);
+  if (type === 'weekly') {
+    return date.getUTCDay() === schedule.day;
+  }
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  return date.getUTCDate() === Math.min(schedule.day, lastDay);
+}
+
+/**
+ * Get the relative change from one amount to another
+ *
+ * @param {number} amount - New amount
+ * @param {number} previous - Amount compared against
+ * @returns {number|null} - Change in percent, or null when there is nothing to compare against
+ */
+function getChange(amount, previous) {
+  return previous > 0 ? (amount - previous) / previous * 100 : null;
+}
+
+/**
+ * Format the change from one amount to another, e.g. "▲ 12%"
+ *
+ * @param {number} amount - New amount
+ * @param {number} previous - Amount compared against
+ * @returns {string} - Formatted change
+ */
+function formatChange(amount, previous) {
+  const change = getChange(amount, previous);
+  if (change === null) {
+    return amount > 0 ? 'new' : 'no change';
+  }
+  if (Math.round(change) === 0) {
+    return 'no change';
+  }
+  return `${change > 0 ? '▲' : '▼'} ${Math.abs(change).toFixed(0)}%`;
+}
+
+/**
+ * Sum expenses per day
+ *
+ * @param {Array} expenses - Expenses
+ * @param {string} timeZone - IANA timezone expenses are bucketed into days in
+ * @returns {Object} - Totals keyed by YYYY-MM-DD
+ */
+function getDailyTotals(expenses, timeZone) {
+  const totals = {};
+  for (const exp of expenses) {
+    const date = getExpenseDateKey(exp, timeZone);
+    totals[date] = (totals[date] || 0) + getExpenseAmount(exp);
+  }
+  return totals;
+}
+
+/**
+ * Average a list of numbers
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number} - Average, or 0 for an empty list
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+}
+
+/**
+ * Shorten a name for a caption line
+ *
+ * @param {string} name - Name
+ * @returns {string} - Name of at most MAX_CAPTION_NAME_LENGTH characters
+ */
+function shorten(name) {
+  const text = String(name);
+  return text.length > MAX_CAPTION_NAME_LENGTH ? `${text.substring(0, MAX_CAPTION_NAME_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Format a YYYY-MM-DD date as e.g. "14 Oct"
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} - Day and short month
+ */
+function formatDay(dateKey) {
+  const [, month, day] = dateKey.split('-').map(Number);
+  return `${day} ${MONTH_NAMES[month - 1].substring(0, 3)}`;
+}
+
+/**
+ * Format the month of a YYYY-MM-DD date, e.g. "October 2026"
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} - Month and year
+ */
+function formatMonth(dateKey) {
+  const [year, month] = dateKey.split('-').map(Number);
+  return `${MONTH_NAMES[month - 1]} ${year}`;
+}
+
+/**
+ * List every day from one date to another, inclusive
+ *
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Array<string>} - Days (YYYY-MM-DD)
+ */
+function listDays(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
@@ -1,4 +1,5 @@
 import { generateJwt } from './auth';
+import { getTimezone, toLocalDateKey } from './time';
 
 /**
  * Refresh the Revolut API access token
@@ -65,17 +66,127 @@ export async function refreshToken(env) {
   }
 }
 
+// Maximum number of expenses the Revolut API returns per request
+const EXPENSES_PAGE_SIZE = 500;
+
+// Number of days re-fetched on every incremental update
+const DEFAULT_RESYNC_DAYS = 14;
+
+// Retry policy for rate limited (429) and failed (5xx) requests
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
 /**
  * Get expenses from Revolut API
  * 
+ * The API returns expenses newest first and at most `count` per request, so
+ * pages are walked backwards by moving `to` to the oldest expense date seen
+ * until a short page signals the start of the window. The last processed date
+ * is not written here: the caller saves the returned cursor with
+ * saveLastProcessedDate once the expenses have been stored, so a failed write
+ * is fetched again on the next run.
+ * 
  * @param {string} token - Access token 
  * @param {Object} env - Environment variables
  * @param {Object} options - Options for fetching expenses
- * @returns {Array} - List of expenses
+ * @returns {Promise<Object>} - Expenses, the new cursor and the days fetched ({ expenses, lastProcessedDate, syncWindow })
  */
 export async function getExpenses(token, env, options = {}) {
+  const { fromDate, toDate } = await getSyncWindow(env, options);
+  
+  // Format dates as YYYY-MM-DD days in the configured timezone
+  const timeZone = getTimezone(env);
+  const formattedFromDate = toLocalDateKey(fromDate, timeZone);
+  const formattedToDate = toLocalDateKey(toDate, timeZone);
+  
+  const pageSize = options.count || EXPENSES_PAGE_SIZE;
+  
+  try {
+    const expenses = [];
+    const seenIds = new Set();
+    let pageTo = formattedToDate;
+    
+    while (true) {
+      const queryParams = new URLSearchParams({
+        from: formattedFromDate,
+        to: pageTo,
+        count: pageSize.toString(),
+      });
+      
+      const response = await fetchWithRetry(`https://b2b.revolut.com/api/1.0/expenses?${queryParams}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Failed to get expenses: ${error}`);
+      }
+      
+      const page = await response.json();
+      
+      // Pages overlap on the boundary date, so skip expenses already seen
+      const newExpenses = page.filter(expense => !seenIds.has(expense.id));
+      newExpenses.forEach(expense => seenIds.add(expense.id));
+      expenses.push(...newExpenses);
+      
+      console.log(`Fetched page of ${page.length} expenses (${newExpenses.length} new) up to ${pageTo}`);
+      
+      // A short page means we have reached the start of the window
+      if (page.length < pageSize) {
+        break;
+      }
+      
+      // A full page with nothing new means more than a page of expenses share
+      // one timestamp, which date pagination cannot get past
+      if (newExpenses.length === 0) {
+        throw new Error(`Unable to paginate expenses past ${pageTo}: page contained no new expenses`);
+      }
+      
+      pageTo = page.reduce((oldest, expense) => {
+        const date = expense.expense_date || expense.created_at;
+        return date < oldest ? date : oldest;
+      }, pageTo);
+    }
+    
+    return {
+      expenses,
+      lastProcessedDate: toDate.toISOString(),
+      syncWindow: { from: formattedFromDate, to: formattedToDate }
+    };
+  } catch (error) {
+    console.error('Error getting expenses:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the last processed date, the start of the next incremental sync
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} lastProcessedDate - Cursor returned by getExpenses (ISO timestamp)
+ * @returns {Promise<void>}
+ */
+export async function saveLastProcessedDate(env, lastProcessedDate) {
+  await env.LAST_PROCESSED_DATE.put('last_date', lastProcessedDate);
+}
+
+/**
+ * Get the date window to fetch expenses for
+ * 
+ * Incremental updates start from the day after the last processed date, but
+ * always reach back at least RESYNC_DAYS (default 14) so that late edits,
+ * state changes and deletions made in Revolut are picked up.
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Options for fetching expenses
+ * @returns {Promise<Object>} - Window ({ fromDate, toDate })
+ */
+export async function getSyncWindow(env, options = {}) {
   // Get last processed date from KV or use default (30 days ago)
-  let lastProcessedDate = await env.LAST_PROCESSED_DATE.get('last_date');
+  const lastProcessedDate = await env.LAST_PROCESSED_DATE.get('last_date');
   const today = new Date();
   
   let fromDate;
@@ -84,6 +195,14 @@ export async function getExpenses(token, env, options = {}) {
     // start from the day after last processed date
     fromDate = new Date(lastProcessedDate);
     fromDate.setDate(fromDate.getDate() + 1);
+    
+    // Re-fetch the look-back window to pick up late changes
+    const resyncDays = parseInt(env.RESYNC_DAYS ?? DEFAULT_RESYNC_DAYS, 10);
+    const resyncFrom = new Date(today);
+    resyncFrom.setDate(resyncFrom.getDate() - (Number.isNaN(resyncDays) ? DEFAULT_RESYNC_DAYS : resyncDays));
+    if (resyncFrom < fromDate) {
+      fromDate = resyncFrom;
+    }
   } else {
     // Otherwise use provided fromDate or default to 30 days ago
     fromDate = options.fromDate || new Date(today);
@@ -95,63 +214,73 @@ export async function getExpenses(token, env, options = {}) {
   // Use provided toDate or default to today
   const toDate = options.toDate || today;
   
-  // Format dates as YYYY-MM-DD
-  const formattedFromDate = fromDate.toISOString().split('T')[0];
-  const formattedToDate = toDate.toISOString().split('T')[0];
-  
-  // Build query parameters
-  const queryParams = new URLSearchParams({
-    from: formattedFromDate,
-    to: formattedToDate,
-  });
-  
-  // Add count parameter if provided
-  if (options.count) {
-    queryParams.append('count', options.count);
-  }
-  
-  try {
-    const response = await fetch(`https://b2b.revolut.com/api/1.0/expenses?${queryParams}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-      },
-    });
-    
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Failed to get expenses: ${error}`);
+  return { fromDate, toDate };
+}
+
+/**
+ * Fetch a Revolut API resource, retrying rate limited and server errors
+ * 
+ * Retries 429 and 5xx responses and network failures with exponential backoff,
+ * honouring the Retry-After header when the API sends one.
+ * 
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch options
+ * @returns {Promise<Response>} - The first non-retryable response
+ */
+async function fetchWithRetry(url, init) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      console.warn(`Request failed (${error.message}), retrying...`);
+      await sleep(getRetryDelay(attempt));
+      continue;
     }
     
-    const expenses = await response.json();
-    
-    // Update last processed date to current date
-    await env.LAST_PROCESSED_DATE.put('last_date', toDate.toISOString());
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= MAX_RETRIES) {
+      return response;
+    }
     
-    return expenses;
-  } catch (error) {
-    console.error('Error getting expenses:', error);
-    throw error;
+    const delay = getRetryDelay(attempt, response.headers.get('Retry-After'));
+    console.warn(`Revolut API responded with ${response.status}, retrying in ${delay}ms...`);
+    await sleep(delay);
   }
 }
 
 /**
- * Get historical spend data from KV store
+ * Get the delay before the next retry
  * 
- * @param {Object} env - Environment variables
- * @returns {Object} - Historical spend data
+ * @param {number} attempt - Zero-based attempt number
+ * @param {string|null} retryAfter - Retry-After header (seconds or HTTP date)
+ * @returns {number} - Delay in milliseconds
  */
-export async function getHistoricalSpendData(env) {
-  const data = await env.HISTORICAL_SPEND_DATA.get('spendData', { type: 'json' });
-  return data || { expenses: [], dailyRates: {} };
+function getRetryDelay(attempt, retryAfter = null) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds)
+      ? seconds * 1000
+      : new Date(retryAfter).getTime() - Date.now();
+    if (Number.isFinite(delay) && delay >= 0) {
+      return Math.min(delay, MAX_RETRY_DELAY_MS);
+    }
+  }
+  
+  // Exponential backoff with jitter
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
 }
 
 /**
- * Save historical spend data to KV store
+ * Wait for a number of milliseconds
  * 
- * @param {Object} env - Environment variables
- * @param {Object} data - Historical spend data to save
+ * @param {number} ms - Milliseconds to wait
  * @returns {Promise<void>}
  */
-export async function saveHistoricalSpendData(env, data) {
-  await env.HISTORICAL_SPEND_DATA.put('spendData', JSON.stringify(data));
-}
\ No newline at end of file
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
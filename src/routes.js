@@ -1,14 +1,56 @@
 /**
  * Route handlers for the Daily Spend Rate API
  */
-import { processDailySpendRate, formatSpendRateForResponse } from './dailySpend';
+import { processDailySpendRate, processReport } from './dailySpend';
+import { getExpensesInRange, calculateDailyTotals } from './history';
+import { GRANULARITIES, calculateSpendBreakdown, getBreakdownHistoryStart } from './breakdown';
+import { getTargetConfig, saveTargetConfig, validateTargetConfig } from './target';
+import { getReportingCurrency, getFxRates, saveFxRates, setFxRate, refreshFxRates, normalizeExpense, getAccountCurrency } from './currency';
+import { getPeriodSettings, resolvePeriod, getCustomPeriod } from './period';
+import { getTimezone, getToday } from './time';
+import { forecastSpend, getForecastHistoryStart } from './forecast';
+import { getBudgets } from './budgets';
+import { getExpenseCategory } from './categories';
+import { summarizeMerchants, getMerchantHistoryStart } from './merchants';
 import { 
   handleStartCommand, 
   handleStatsCommand, 
   handleTestCommand, 
   handleAddCashExpenseCommand,
-  handleUpdateCallback 
+  handleSetTargetCommand,
+  handleBudgetCommand,
+  handleRuleCommand,
+  handleFxCommand,
+  handleCashListCommand,
+  handleCashDeleteCommand,
+  handleCashEditCommand,
+  handleCashCallback,
+  handleCancelCommand,
+  handleConversationMessage,
+  handleConversationCallback,
+  handleApproveCommand,
+  handleRevokeCommand,
+  handleChatsCommand,
+  handleApiKeyCommand,
+  handleAccessCallback,
+  handleAnomalyCallback,
+  handleMerchantsCommand,
+  handleMerchantsCallback,
+  handleReportCommand,
+  handleChartCommand,
+  handleChartCallback,
+  handleUnauthorisedCommand,
+  handleUpdateCallback,
+  answerCallbackQuery
 } from './telegram';
+import { CHAT_ROLES, verifyWebhookSecret, getChatAccess, getRequiredRole, hasRole } from './access';
+
+// Longest range /calculate accepts
+const MAX_CALCULATE_RANGE_DAYS = 1096;
+
+// Merchants returned by /merchants by default, and at most
+const DEFAULT_MERCHANT_LIMIT = 50;
+const MAX_MERCHANT_LIMIT = 500;
 
 /**
  * Handle /trigger endpoint - manually trigger spend rate calculation
@@ -35,29 +77,219 @@ export async function handleTriggerRoute(request, env) {
 }
 
 /**
- * Handle /calculate endpoint - get spend rate as JSON
+ * Handle /calculate endpoint - spend breakdown from stored history
+ * 
+ * Read-only: nothing is fetched from Revolut and nothing is written. Accepts
+ * either `from` and `to` (YYYY-MM-DD) or a `period` mode (with `days` for a
+ * rolling period and an optional end day `to`), defaulting to the configured
+ * period, plus `category` (comma-separated), `currency` and `granularity`
+ * (day, week or month).
  * 
  * @param {Request} request - HTTP request
  * @param {Object} env - Environment variables
- * @returns {Promise<Response>} - HTTP response with JSON data
+ * @returns {Promise<Response>} - HTTP response
  */
 export async function handleCalculateRoute(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+  }
+  
+  let query;
+  try {
+    query = parseCalculateQuery(new URL(request.url).searchParams, env);
+  } catch (error) {
+    return jsonResponse({ success: false, error: error.message }, 400);
+  }
+  
+  try {
+    const targetConfig = await getTargetConfig(env);
+    const fxRates = await getFxRates(env);
+    const expenses = await getExpensesInRange(env, getBreakdownHistoryStart(query.from, query.to), query.to);
+    
+    const breakdown = calculateSpendBreakdown(expenses, {
+      ...query,
+      fxRates,
+      accountCurrency: getAccountCurrency(env),
+      targetConfig,
+      targetCurrency: getReportingCurrency(env),
+      timeZone: getTimezone(env)
+    });
+    return jsonResponse({ success: true, data: breakdown });
+  } catch (error) {
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+/**
+ * Handle /forecast endpoint - month-end and quarter-end projection from stored history
+ * 
+ * Read-only, like /calculate. Amounts are in the reporting currency.
+ * 
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Response>} - HTTP response
+ */
+export async function handleForecastRoute(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+  }
+  
   try {
-    const spendRate = await processDailySpendRate(env, { skipNotification: true });
-    const responseData = formatSpendRateForResponse(spendRate);
+    const today = getToday(env);
+    const currency = getReportingCurrency(env);
+    const fxRates = await getFxRates(env);
+    const expenses = await getExpensesInRange(env, getForecastHistoryStart(today), today);
+    const dailyRates = calculateDailyTotals(expenses.map(exp => normalizeExpense(exp, currency, fxRates, getAccountCurrency(env))), getTimezone(env));
     
-    return new Response(JSON.stringify(responseData), { 
-      status: 200,
-      headers: { 'Content-Type': 'application/json' }
+    const forecast = forecastSpend(dailyRates, {
+      today,
+      targetConfig: await getTargetConfig(env),
+      budgets: await getBudgets(env)
     });
+    return jsonResponse({ success: true, data: { currency, ...forecast } });
+  } catch (error) {
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+/**
+ * Handle /merchants endpoint - spend per merchant and recurring merchants from stored history
+ * 
+ * Read-only, like /calculate, and accepts the same range, `category` and
+ * `currency` parameters (a category matches the main category of each
+ * expense), plus `limit` and `offset` to page through the merchants.
+ * Recurring merchants are found in up to 400 days of history before `to`.
+ * 
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Response>} - HTTP response
+ */
+export async function handleMerchantsRoute(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+  }
+  
+  const params = new URL(request.url).searchParams;
+  let query;
+  let limit;
+  let offset;
+  try {
+    query = parseCalculateQuery(params, env);
+    limit = parsePagingParam(params, 'limit', DEFAULT_MERCHANT_LIMIT);
+    offset = parsePagingParam(params, 'offset', 0);
+    if (limit < 1 || limit > MAX_MERCHANT_LIMIT) {
+      throw new Error(`"limit" must be between 1 and ${MAX_MERCHANT_LIMIT}`);
+    }
   } catch (error) {
-    return new Response(JSON.stringify({
-      success: false,
-      error: error.message
-    }), { 
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
+    return jsonResponse({ success: false, error: error.message }, 400);
+  }
+  
+  try {
+    const { from, to, period, categories, currency } = query;
+    const wanted = categories.map(category => category.toLowerCase());
+    const fxRates = await getFxRates(env);
+    const expenses = (await getExpensesInRange(env, getMerchantHistoryStart(from, to), to))
+      .map(exp => normalizeExpense(exp, currency, fxRates, getAccountCurrency(env)))
+      .filter(exp => wanted.length === 0 || wanted.includes(getExpenseCategory(exp).toLowerCase()));
+    
+    const { merchants, ...summary } = summarizeMerchants(expenses, { from, to, timeZone: getTimezone(env) });
+    return jsonResponse({
+      success: true,
+      data: {
+        from,
+        to,
+        period,
+        currency,
+        categoryFilter: categories,
+        merchantCount: merchants.length,
+        limit,
+        offset,
+        merchants: merchants.slice(offset, offset + limit),
+        ...summary
+      }
     });
+  } catch (error) {
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+/**
+ * Handle /target endpoint - read (GET) or update (PUT/POST) the daily target
+ * 
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Response>} - HTTP response with JSON data
+ */
+export async function handleTargetRoute(request, env) {
+  try {
+    let config = await getTargetConfig(env);
+    
+    if (request.method === 'PUT' || request.method === 'POST') {
+      let body;
+      try {
+        body = await request.json();
+      } catch (error) {
+        return jsonResponse({ success: false, error: 'Request body must be valid JSON' }, 400);
+      }
+      
+      try {
+        config = validateTargetConfig(body, config);
+      } catch (error) {
+        return jsonResponse({ success: false, error: error.message }, 400);
+      }
+      
+      await saveTargetConfig(env, config);
+    } else if (request.method !== 'GET') {
+      return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    }
+    
+    return jsonResponse({ success: true, data: config });
+  } catch (error) {
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+/**
+ * Handle /fx endpoint - read (GET) or update (PUT/POST) the FX rate table
+ * 
+ * A PUT/POST body of { "rates": { "EUR": 1.65 } } merges manual rates into the
+ * table; POST with ?refresh=true refreshes it from the configured rate source.
+ * 
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Response>} - HTTP response with JSON data
+ */
+export async function handleFxRoute(request, env) {
+  try {
+    const url = new URL(request.url);
+    let table = await getFxRates(env);
+    
+    if (request.method === 'POST' && url.searchParams.get('refresh') === 'true') {
+      table = await refreshFxRates(env);
+    } else if (request.method === 'PUT' || request.method === 'POST') {
+      let body;
+      try {
+        body = await request.json();
+      } catch (error) {
+        return jsonResponse({ success: false, error: 'Request body must be valid JSON' }, 400);
+      }
+      
+      try {
+        for (const [currency, rate] of Object.entries(body.rates || {})) {
+          table = setFxRate(table, currency, rate);
+        }
+      } catch (error) {
+        return jsonResponse({ success: false, error: error.message }, 400);
+      }
+      
+      await saveFxRates(env, table);
+    } else if (request.method !== 'GET') {
+      return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    }
+    
+    return jsonResponse({ success: true, data: table });
+  } catch (error) {
+    return jsonResponse({ success: false, error: error.message }, 500);
   }
 }
 
@@ -71,6 +303,11 @@ export async function handleCalculateRoute(request, env) {
  */
 export async function handleTelegramWebhook(request, env, ctx) {
   try {
+    // Reject calls that don't come from Telegram
+    if (!verifyWebhookSecret(request, env)) {
+      return new Response('Unauthorized', { status: 401 });
+    }
+    
     // Parse the incoming webhook data
     const data = await request.json();
     
@@ -79,11 +316,56 @@ export async function handleTelegramWebhook(request, env, ctx) {
       const callbackQuery = data.callback_query;
       const callbackData = callbackQuery.data;
       
+      // Buttons on inline-mode messages carry no message, and game buttons
+      // carry game_short_name instead of data. The bot sends neither.
+      if (!callbackQuery.message || !callbackData) {
+        ctx.waitUntil(answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, 'This button is not supported.'));
+        return new Response('Unsupported callback query', { status: 200 });
+      }
+      
+      // Buttons only work in approved chats; access requests need an admin
+      const access = await getChatAccess(env, callbackQuery.message.chat.id, callbackQuery.from?.id);
+      const role = callbackData.startsWith('access_') ? CHAT_ROLES.ADMIN : CHAT_ROLES.MEMBER;
+      if (!hasRole(access, role)) {
+        ctx.waitUntil(answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, 'You are not allowed to do this.'));
+        return new Response('Unauthorized callback query', { status: 200 });
+      }
+      
       if (callbackData === 'update_now') {
         // Process update_now button press
         ctx.waitUntil(handleUpdateCallback(env, callbackQuery, processDailySpendRate));
         return new Response('Processing callback query', { status: 200 });
       }
+      
+      if (callbackData.startsWith('cash_delete:') || callbackData.startsWith('cash_edit:')) {
+        ctx.waitUntil(handleCashCallback(env, callbackQuery));
+        return new Response('Processing callback query', { status: 200 });
+      }
+      
+      if (callbackData.startsWith('conv:')) {
+        ctx.waitUntil(handleConversationCallback(env, callbackQuery));
+        return new Response('Processing callback query', { status: 200 });
+      }
+      
+      if (callbackData.startsWith('access_approve:') || callbackData.startsWith('access_reject:')) {
+        ctx.waitUntil(handleAccessCallback(env, callbackQuery));
+        return new Response('Processing callback query', { status: 200 });
+      }
+      
+      if (callbackData.startsWith('merchants:')) {
+        ctx.waitUntil(handleMerchantsCallback(env, callbackQuery));
+        return new Response('Processing callback query', { status: 200 });
+      }
+      
+      if (callbackData.startsWith('chart:')) {
+        ctx.waitUntil(handleChartCallback(env, callbackQuery));
+        return new Response('Processing callback query', { status: 200 });
+      }
+      
+      if (callbackData.startsWith('anomaly_ok:')) {
+        ctx.waitUntil(handleAnomalyCallback(env, callbackQuery));
+        return new Response('Processing callback query', { status: 200 });
+      }
     }
     
     // Check if this is a message from a user
@@ -91,9 +373,19 @@ export async function handleTelegramWebhook(request, env, ctx) {
       const chatId = data.message.chat.id;
       const text = data.message.text;
       
+      // Unapproved chats may only send /start; config changes need an admin.
+      // Free text from unapproved chats is ignored rather than answered.
+      const access = await getChatAccess(env, chatId, data.message.from?.id);
+      if (!hasRole(access, getRequiredRole(text))) {
+        if (text.startsWith('/')) {
+          ctx.waitUntil(handleUnauthorisedCommand(env, chatId, access));
+        }
+        return new Response('Unauthorized', { status: 200 });
+      }
+      
       // Handle different commands
       if (text === '/start') {
-        ctx.waitUntil(handleStartCommand(env, chatId));
+        ctx.waitUntil(handleStartCommand(env, data.message));
         return new Response('Welcome message sent', { status: 200 });
       } 
       else if (text === '/stats' || text === '/update') {
@@ -105,9 +397,74 @@ export async function handleTelegramWebhook(request, env, ctx) {
         return new Response('Test notification sent', { status: 200 });
       } 
       else if (text === '/add_cash_expense' || text.startsWith('/add_cash_expense ')) {
-        ctx.waitUntil(handleAddCashExpenseCommand(env, chatId, text));
+        ctx.waitUntil(handleAddCashExpenseCommand(env, chatId, data.message.from?.id, text));
         return new Response('Cash expense command received', { status: 200 });
       }
+      else if (text === '/set_target' || text.startsWith('/set_target ')) {
+        ctx.waitUntil(handleSetTargetCommand(env, chatId, text));
+        return new Response('Set target command received', { status: 200 });
+      }
+      else if (text === '/budget' || text.startsWith('/budget ')) {
+        ctx.waitUntil(handleBudgetCommand(env, chatId, text));
+        return new Response('Budget command received', { status: 200 });
+      }
+      else if (text === '/rule' || text.startsWith('/rule ')) {
+        ctx.waitUntil(handleRuleCommand(env, chatId, text));
+        return new Response('Rule command received', { status: 200 });
+      }
+      else if (text === '/merchants' || text.startsWith('/merchants ')) {
+        ctx.waitUntil(handleMerchantsCommand(env, chatId, text));
+        return new Response('Merchants command received', { status: 200 });
+      }
+      else if (text === '/chart' || text.startsWith('/chart ')) {
+        ctx.waitUntil(handleChartCommand(env, chatId, text));
+        return new Response('Chart command received', { status: 200 });
+      }
+      else if (text === '/report' || text.startsWith('/report ')) {
+        ctx.waitUntil(handleReportCommand(env, chatId, text, processReport));
+        return new Response('Report command received', { status: 200 });
+      }
+      else if (text === '/fx' || text.startsWith('/fx ')) {
+        ctx.waitUntil(handleFxCommand(env, chatId, text));
+        return new Response('FX command received', { status: 200 });
+      }
+      else if (text === '/cash_list' || text.startsWith('/cash_list ')) {
+        ctx.waitUntil(handleCashListCommand(env, chatId, text));
+        return new Response('Cash list command received', { status: 200 });
+      }
+      else if (text === '/cash_delete' || text.startsWith('/cash_delete ')) {
+        ctx.waitUntil(handleCashDeleteCommand(env, chatId, text));
+        return new Response('Cash delete command received', { status: 200 });
+      }
+      else if (text === '/cash_edit' || text.startsWith('/cash_edit ')) {
+        ctx.waitUntil(handleCashEditCommand(env, chatId, text));
+        return new Response('Cash edit command received', { status: 200 });
+      }
+      else if (text === '/approve' || text.startsWith('/approve ')) {
+        ctx.waitUntil(handleApproveCommand(env, data.message));
+        return new Response('Approve command received', { status: 200 });
+      }
+      else if (text === '/revoke' || text.startsWith('/revoke ')) {
+        ctx.waitUntil(handleRevokeCommand(env, data.message));
+        return new Response('Revoke command received', { status: 200 });
+      }
+      else if (text === '/apikey' || text.startsWith('/apikey ')) {
+        ctx.waitUntil(handleApiKeyCommand(env, data.message));
+        return new Response('API key command received', { status: 200 });
+      }
+      else if (text === '/chats') {
+        ctx.waitUntil(handleChatsCommand(env, chatId));
+        return new Response('Chats command received', { status: 200 });
+      }
+      else if (text === '/cancel') {
+        ctx.waitUntil(handleCancelCommand(env, chatId, data.message.from?.id));
+        return new Response('Cancel command received', { status: 200 });
+      }
+      else if (!text.startsWith('/')) {
+        // Free text may be a reply in a guided conversation
+        ctx.waitUntil(handleConversationMessage(env, chatId, data.message.from?.id, text));
+        return new Response('Message received', { status: 200 });
+      }
     }
     
     // Default webhook response
@@ -116,4 +473,101 @@ export async function handleTelegramWebhook(request, env, ctx) {
     console.error('Error handling webhook:', error);
     return new Response(`Webhook error: ${error.message}`, { status: 500 });
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Parse and validate the query parameters of /calculate
+ * 
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Breakdown options ({ from, to, period, categories, granularity, currency })
+ */
+function parseCalculateQuery(params, env) {
+  const today = getToday(env);
+  
+  for (const name of ['from', 'to']) {
+    const value = params.get(name);
+    const date = new Date(`${value}T00:00:00Z`);
+    if (value !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date) || date.toISOString().split('T')[0] !== value)) {
+      throw new Error(`Invalid "${name}" date "${value}". Use YYYY-MM-DD.`);
+    }
+  }
+  
+  let period;
+  if (params.has('from')) {
+    if (params.has('period')) {
+      throw new Error('Use either "period" or "from", not both');
+    }
+    period = getCustomPeriod(params.get('from'), params.get('to') || today);
+  } else {
+    // A named period (or the configured one) ending on "to" or today
+    const settings = getPeriodSettings(env);
+    if (params.has('period')) {
+      settings.mode = params.get('period').toLowerCase();
+    }
+    if (params.has('days')) {
+      settings.rollingDays = /^\d+$/.test(params.get('days')) ? parseInt(params.get('days'), 10) : NaN;
+    }
+    period = resolvePeriod(settings, params.get('to') || today);
+  }
+  
+  const { from, to } = period;
+  if (from > to) {
+    throw new Error('"from" must not be after "to"');
+  }
+  
+  const rangeDays = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000) + 1;
+  if (rangeDays > MAX_CALCULATE_RANGE_DAYS) {
+    throw new Error(`The range cannot be longer than ${MAX_CALCULATE_RANGE_DAYS} days`);
+  }
+  
+  const granularity = (params.get('granularity') || 'day').toLowerCase();
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Invalid granularity "${granularity}". Use one of: ${GRANULARITIES.join(', ')}.`);
+  }
+  
+  const currency = (params.get('currency') || getReportingCurrency(env)).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw new Error(`Invalid currency "${currency}". Use a 3-letter ISO code such as EUR.`);
+  }
+  
+  const categories = params.getAll('category')
+    .flatMap(value => value.split(','))
+    .map(category => category.trim())
+    .filter(Boolean);
+  
+  return { from, to, period, categories, granularity, currency };
+}
+
+/**
+ * Parse a non-negative integer paging parameter
+ * 
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value when the parameter is missing
+ * @returns {number} - Parameter value
+ */
+function parsePagingParam(params, name, defaultValue) {
+  const value = params.get(name);
+  if (value === null) {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid "${name}" "${value}". Use a whole number.`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Build a JSON response
+ * 
+ * @param {Object} data - Response payload
+ * @param {number} status - HTTP status code
+ * @returns {Response} - HTTP response
+ */
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
\ No newline at end of file
@@ -1,90 +1,117 @@
+import { DEFAULT_DAILY_TARGET, getDailyTarget } from './target';
+import { normalizeExpense } from './currency';
+import { resolvePeriod } from './period';
+import { toLocalDateKey, addDays } from './time';
+import { getCategoryShares, getExpenseCategory, getExpenseMerchant } from './categories';
+import { compareSpend } from './comparison';
+import { escapeHtml } from './html';
+
+// Expense states that never count towards spend
+const EXCLUDED_STATES = ['reverted', 'declined'];
+
+// Revolut transaction types that return money rather than spend it
+const CREDIT_TRANSACTION_TYPES = ['refund', 'card_refund', 'card_chargeback', 'card_credit', 'tax_refund'];
+
+// Fields added to stored expenses by the worker rather than returned by Revolut
+const DERIVED_EXPENSE_FIELDS = ['converted_amount', 'categorization', 'refund_of'];
+
+// Days before a refund that its original expense is looked for in
+export const REFUND_LOOKBACK_DAYS = 120;
+
+// Refunds listed in reports, and in the Telegram caption
+const MAX_LISTED_REFUNDS = 20;
+const MAX_CAPTION_REFUNDS = 3;
+
+// Moving average windows in days
+export const MOVING_AVERAGE_WINDOWS = [7, 30];
+
+// Days of history the moving averages need; the exponential average is
+// seeded with the simple average of the window before the last one
+export const MOVING_AVERAGE_HISTORY_DAYS = 2 * Math.max(...MOVING_AVERAGE_WINDOWS);
+
 /**
  * Calculate daily spend rate based on expenses
  * 
- * @param {Array} expenses - List of expenses 
- * @param {Object} historicalData - Previously stored spend data
+ * Totals, the daily rate, categories and the target cover the calendar days of
+ * the period, so days without spend count as zero. Expenses before the period
+ * are only used for the moving averages and the chart.
+ * 
+ * @param {Array} expenses - Stored expenses, covering at least the period, the
+ *   MOVING_AVERAGE_HISTORY_DAYS before its end and the comparison (see
+ *   getComparisonHistoryStart in comparison.js)
+ * @param {Object} options - Calculation options
+ * @param {Object} options.targetConfig - Daily target configuration (see target.js)
+ * @param {string} options.currency - Reporting currency all amounts are converted to
+ * @param {Object} options.fxRates - FX rate table (see currency.js)
+ * @param {string} options.accountCurrency - Currency of the Revolut account (see getAccountCurrency in currency.js)
+ * @param {string} options.timeZone - IANA timezone expenses are bucketed into days in
+ * @param {Object} options.period - Period to calculate over (see period.js), defaults to the last 90 days
  * @returns {Object} - Daily spend rate information
  */
-export function calculateDailySpendRate(expenses, historicalData = { expenses: [], dailyRates: {} }) {
+export function calculateDailySpendRate(expenses, options = {}) {
+  const {
+    targetConfig = { daily: DEFAULT_DAILY_TARGET },
+    currency = 'AUD',
+    fxRates = { base: currency, rates: {} },
+    accountCurrency = null,
+    timeZone = 'UTC',
+    period = resolvePeriod({ mode: 'rolling' }, toLocalDateKey(new Date(), timeZone))
+  } = options;
   console.log(`Processing ${expenses.length} expenses...`);
   
-  // Combine historical expenses with new ones
-  const allExpenses = [...historicalData.expenses];
+  // Convert every expense to the reporting currency, keeping the original amount
+  const allExpenses = expenses.map(exp => normalizeExpense(exp, currency, fxRates, accountCurrency));
   
-  // Add only new expenses (avoid duplicates)
-  const existingIds = new Set(allExpenses.map(exp => exp.id));
-  for (const expense of expenses) {
-    if (!existingIds.has(expense.id)) {
-      allExpenses.push(expense);
-      existingIds.add(expense.id);
-    }
-  }
+  // Count all expenses with valid amounts, including "missing_info" ones,
+  // but not reverted or declined expenses
+  const validExpenses = allExpenses.filter(isCountedExpense);
   
-  // Log some expense examples for debugging
-  if (expenses.length > 0) {
-    console.log('Example expense:');
-    console.log(`ID: ${expenses[0].id}`);
-    console.log(`State: ${expenses[0].state}`);
-    console.log(`Spent amount: ${JSON.stringify(expenses[0].spent_amount)}`);
-    console.log(`Date: ${expenses[0].expense_date || expenses[0].created_at}`);
-  }
-  
-  // Count all expenses with valid amounts
-  // (Not filtering by state anymore since we want to include all expense types including "missing_info")
-  const validExpenses = allExpenses.filter(exp => {
-    const hasAmount = exp.spent_amount && typeof exp.spent_amount.amount === 'number';
-    return hasAmount;
+  // Only expenses inside the period count towards its totals
+  const periodExpenses = validExpenses.filter(exp => {
+    const date = getExpenseDateKey(exp, timeZone);
+    return date >= period.from && date <= period.to;
   });
   
-  console.log(`Found ${validExpenses.length} valid expenses to count`);
+  console.log(`Found ${periodExpenses.length} valid expenses to count in ${period.from} to ${period.to}`);
   
   // Calculate total expense
-  const totalAmount = validExpenses.reduce((total, exp) => {
-    return total + Math.abs(parseFloat(exp.spent_amount?.amount || 0));
+  const totalAmount = periodExpenses.reduce((total, exp) => {
+    return total + getExpenseAmount(exp);
   }, 0);
   
-  console.log(`Total amount: ${totalAmount}`);
-  
-  // Get date range for calculation
-  const dates = validExpenses.map(exp => new Date(exp.expense_date || exp.created_at));
-  const oldestDate = dates.length > 0 ? new Date(Math.min(...dates)) : new Date();
-  const newestDate = dates.length > 0 ? new Date(Math.max(...dates)) : new Date();
+  // Refunds are netted off the total above and also listed separately
+  const refunds = summarizeRefunds(periodExpenses, allExpenses, timeZone);
   
-  // Calculate days between
-  const daysDiff = Math.max(1, Math.ceil((newestDate - oldestDate) / (1000 * 60 * 60 * 24)));
+  console.log(`Total amount: ${totalAmount} (${refunds.count} refunds of ${refunds.total})`);
   
-  // Calculate daily average
-  const dailyRate = totalAmount / daysDiff;
+  // Calculate daily average over every day of the period, with or without spend
+  const dailyRate = totalAmount / period.days;
   
   // Group expenses by day
-  const expensesByDay = validExpenses.reduce((acc, exp) => {
-    const date = new Date(exp.expense_date || exp.created_at).toISOString().split('T')[0];
+  const updatedDailyRates = validExpenses.reduce((acc, exp) => {
+    const date = getExpenseDateKey(exp, timeZone);
     if (!acc[date]) {
       acc[date] = 0;
     }
-    acc[date] += Math.abs(parseFloat(exp.spent_amount?.amount || 0));
+    acc[date] += getExpenseAmount(exp);
     return acc;
   }, {});
   
-  // Add daily totals to historical data
-  const updatedDailyRates = { ...historicalData.dailyRates };
-  Object.entries(expensesByDay).forEach(([date, amount]) => {
-    updatedDailyRates[date] = amount;
-  });
-  
-  // Calculate 7-day moving average
-  const movingAverage7Day = calculateMovingAverage(updatedDailyRates, 7);
+  // Calculate simple, weighted and exponential moving averages over the
+  // calendar days up to the end of the period
+  const movingAverages = calculateMovingAverages(updatedDailyRates, period.to);
   
-  // Calculate 30-day moving average
-  const movingAverage30Day = calculateMovingAverage(updatedDailyRates, 30);
+  // Compare this week and month so far, and the averages, with the periods before
+  const comparison = compareSpend(getCategoryEntries(validExpenses, timeZone), { to: period.to, movingAverages });
   
-  // Get expenses by category
-  const categorized = validExpenses.reduce((acc, exp) => {
-    const category = exp.merchant?.category || exp.category || exp.merchant || 'Uncategorized';
-    if (!acc[category]) {
-      acc[category] = 0;
+  // Get expenses by category; split expenses count towards each of their categories
+  const categorized = periodExpenses.reduce((acc, exp) => {
+    for (const { category, amount } of getCategoryAmounts(exp)) {
+      if (!acc[category]) {
+        acc[category] = 0;
+      }
+      acc[category] += amount;
     }
-    acc[category] += Math.abs(parseFloat(exp.spent_amount?.amount || 0));
     return acc;
   }, {});
   
@@ -98,31 +125,33 @@ export function calculateDailySpendRate(expenses, historicalData = { expenses: [
       percentage: totalAmount > 0 ? (amount / totalAmount * 100).toFixed(1) : '0.0'
     }));
   
-  // Determine currency from expenses
-  const currency = validExpenses.length > 0 
-    ? (validExpenses[0].spent_amount?.currency || 'AUD')
-    : 'AUD';
-  
-  // Calculate how much to spend to reach target average (default: $150/day)
-  const calculateTargetSpend = (targetDailyRate = 150) => {
-    // Calculate total target amount for the period
-    const targetTotalForPeriod = targetDailyRate * daysDiff;
-    // Calculate how much more needed to reach target
-    const additionalAmountNeeded = targetTotalForPeriod - totalAmount;
-    // If already over target, return 0
-    return Math.max(0, additionalAmountNeeded);
-  };
+  // Total target amount for the period, one day at a time so weekday and
+  // month overrides are respected
+  let targetAmount = 0;
+  for (let i = 0; i < period.days; i++) {
+    targetAmount += getDailyTarget(targetConfig, addDays(period.from, i));
+  }
 
   return {
     dailyRate,
     totalAmount,
-    movingAverage7Day,
-    movingAverage30Day,
-    periodDays: daysDiff,
+    grossAmount: totalAmount + refunds.total,
+    refunds,
+    movingAverage7Day: movingAverages.simple[7],
+    movingAverage30Day: movingAverages.simple[30],
+    movingAverages,
+    comparison,
+    periodDays: period.days,
+    period,
+    timeZone,
     topCategories,
     currency,
-    targetSpendAmount: calculateTargetSpend(),
-    // Return updated data for storage
+    targetDailyRate: getDailyTarget(targetConfig, period.to),
+    targetAmount,
+    // How much more can be spent to reach the target (0 once it is exceeded)
+    targetSpendAmount: Math.max(0, targetAmount - totalAmount),
+    targetConfig,
+    // Return the history the calculation was based on (used for charts)
     historicalData: {
       expenses: allExpenses,
       dailyRates: updatedDailyRates
@@ -131,24 +160,358 @@ export function calculateDailySpendRate(expenses, historicalData = { expenses: [
 }
 
 /**
- * Calculate moving average over specified days
+ * Format the largest refunds as caption lines (HTML)
+ * 
+ * @param {Object} refunds - Refunds (see summarizeRefunds)
+ * @param {Function} formatAmount - Amount formatter
+ * @returns {string} - Refund lines
+ */
+export function describeRefunds(refunds, formatAmount) {
+  const items = refunds.items.slice(0, MAX_CAPTION_REFUNDS);
+  const lines = items.map((item, index) => {
+    const branch = index === items.length - 1 && refunds.count <= items.length ? '└─' : index === 0 ? '┌─' : '├─';
+    const original = item.refundOf?.date ? ` (for ${item.refundOf.date})` : '';
+    return `${branch} ${item.date} · ${formatAmount(item.amount)} · ${escapeHtml(item.merchant || item.category)}${original}`;
+  });
+  if (refunds.count > items.length) {
+    lines.push(`└─ and ${refunds.count - items.length} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Merge fetched expenses into stored ones, keyed by expense ID
+ * 
+ * New expenses are added and changed ones replace the stored copy unless the
+ * stored copy has a newer `updated_at`. Only the fields Revolut returns are
+ * compared, so an unchanged expense keeps its stored copy (with its
+ * conversion) and is not counted as updated. When a sync window is given, stored
+ * Revolut expenses dated inside it that were not returned by the API are
+ * treated as deleted. Manual (cash) entries are never removed this way.
+ * 
+ * @param {Array} existing - Stored expenses
+ * @param {Array} incoming - Fetched expenses
+ * @param {Object|null} syncWindow - Window ({ from, to } in YYYY-MM-DD, `to` exclusive) that was fully fetched
+ * @returns {Object} - Merged expenses with added, updated and removed counts
+ */
+export function mergeExpenses(existing, incoming, syncWindow = null) {
+  const byId = new Map(existing.map(exp => [exp.id, exp]));
+  let added = 0;
+  let updated = 0;
+  let removed = 0;
+  
+  for (const expense of incoming) {
+    const stored = byId.get(expense.id);
+    if (!stored) {
+      byId.set(expense.id, expense);
+      added++;
+    } else if (!stored.updated_at || !expense.updated_at || expense.updated_at >= stored.updated_at) {
+      if (JSON.stringify(getUpstreamFields(stored)) !== JSON.stringify(getUpstreamFields(expense))) {
+        byId.set(expense.id, expense);
+        updated++;
+      }
+    }
+  }
+  
+  if (syncWindow) {
+    const incomingIds = new Set(incoming.map(exp => exp.id));
+    for (const [id, expense] of byId) {
+      const date = getExpenseDateKey(expense);
+      const inWindow = date >= syncWindow.from && date < syncWindow.to;
+      if (inWindow && !expense.is_manual_entry && !incomingIds.has(id)) {
+        byId.delete(id);
+        removed++;
+      }
+    }
+  }
+  
+  return { expenses: [...byId.values()], added, updated, removed };
+}
+
+/**
+ * Get the fields of an expense that come from Revolut, sorted by name
+ * 
+ * @param {Object} expense - Expense
+ * @returns {Object} - Expense without the fields the worker derives
+ */
+function getUpstreamFields(expense) {
+  return Object.fromEntries(Object.keys(expense)
+    .filter(key => !DERIVED_EXPENSE_FIELDS.includes(key))
+    .sort()
+    .map(key => [key, expense[key]]));
+}
+
+/**
+ * Check whether an expense counts towards spend
+ * 
+ * @param {Object} expense - Expense
+ * @returns {boolean} - True if the expense has an amount and is not reverted or declined
+ */
+export function isCountedExpense(expense) {
+  const hasAmount = expense.spent_amount && typeof expense.spent_amount.amount === 'number';
+  const excluded = EXCLUDED_STATES.includes(String(expense.state || '').toLowerCase());
+  return Boolean(hasAmount) && !excluded;
+}
+
+/**
+ * Check whether an expense returns money: a refund, chargeback or other credit
+ * 
+ * Revolut reports money spent as a negative amount, so a Revolut expense with
+ * a positive amount (or a credit transaction type) is a credit. Manual
+ * expenses are always spend.
+ * 
+ * @param {Object} expense - Expense
+ * @returns {boolean} - True for refunds and credits
+ */
+export function isRefundExpense(expense) {
+  if (expense.is_manual_entry) {
+    return false;
+  }
+  const type = String(expense.transaction_type || '').toLowerCase();
+  return CREDIT_TRANSACTION_TYPES.includes(type) || expense.spent_amount?.amount > 0;
+}
+
+/**
+ * Check whether an expense is counted spend rather than a refund or credit
+ * 
+ * @param {Object} expense - Expense
+ * @returns {boolean} - True for counted expenses that spend money
+ */
+export function isSpendExpense(expense) {
+  return isCountedExpense(expense) && !isRefundExpense(expense);
+}
+
+/**
+ * Get the net amount of an expense in the reporting currency: positive for
+ * spend, negative for refunds and credits
+ * 
+ * Falls back to the spent amount for expenses that have not been converted yet.
+ * 
+ * @param {Object} expense - Expense
+ * @returns {number} - Expense amount
+ */
+export function getExpenseAmount(expense) {
+  const amount = Math.abs(parseFloat(expense.converted_amount?.amount ?? expense.spent_amount?.amount ?? 0) || 0);
+  return isRefundExpense(expense) ? -amount : amount;
+}
+
+/**
+ * Link refunds to the expenses they refund
+ * 
+ * A refund is linked through Revolut's `related_transaction_id` when it has
+ * one; otherwise to an earlier expense at the same merchant, in the same
+ * currency, that is at least as large and not yet fully refunded (an exact
+ * amount match first, then the most recent). Linked refunds get `refund_of`
+ * set to the original expense ID; refunds without a match are left unlinked.
+ * 
+ * @param {Array} expenses - Expenses to link refunds in
+ * @param {Array} earlier - Older expenses that may be refunded but are not returned
+ * @returns {Array} - `expenses`, with `refund_of` set on linked refunds
+ */
+export function linkRefunds(expenses, earlier = []) {
+  const originals = [...earlier, ...expenses].filter(isSpendExpense);
+  const refunded = new Map();
+  const magnitude = exp => Math.abs(exp.spent_amount.amount);
+  const timeOf = exp => exp.expense_date || exp.created_at;
+  
+  const refunds = expenses
+    .filter(exp => isCountedExpense(exp) && isRefundExpense(exp))
+    .sort((a, b) => timeOf(a).localeCompare(timeOf(b)));
+  const links = new Map();
+  
+  for (const refund of refunds) {
+    const merchant = String(getExpenseMerchant(refund) || '').toLowerCase();
+    let original = refund.related_transaction_id
+      ? originals.find(exp => exp.transaction_id === refund.related_transaction_id)
+      : null;
+    
+    if (!original && merchant) {
+      const candidates = originals
+        .filter(exp => String(getExpenseMerchant(exp) || '').toLowerCase() === merchant
+          && exp.spent_amount.currency === refund.spent_amount.currency
+          && timeOf(exp) <= timeOf(refund)
+          && magnitude(exp) - (refunded.get(exp.id) || 0) >= magnitude(refund) - 0.005)
+        .sort((a, b) => timeOf(b).localeCompare(timeOf(a)));
+      original = candidates.find(exp => Math.abs(magnitude(exp) - magnitude(refund)) < 0.005) || candidates[0];
+    }
+    
+    if (original) {
+      refunded.set(original.id, (refunded.get(original.id) || 0) + magnitude(refund));
+      links.set(refund.id, original.id);
+    }
+  }
+  
+  return expenses.map(exp => {
+    if (!isRefundExpense(exp)) {
+      return exp;
+    }
+    const { refund_of, ...rest } = exp;
+    return links.has(exp.id) ? { ...rest, refund_of: links.get(exp.id) } : rest;
+  });
+}
+
+/**
+ * Summarise the refunds among a set of expenses for reports
+ * 
+ * @param {Array} expenses - Counted expenses in the reporting currency
+ * @param {Array} history - Expenses the refunded originals may be found in
+ * @param {string} timeZone - IANA timezone expenses are bucketed into days in
+ * @returns {Object} - Refunds ({ total, count, items }); items are the largest refunds with their original expense, if linked
+ */
+export function summarizeRefunds(expenses, history, timeZone = 'UTC') {
+  const byId = new Map(history.map(exp => [exp.id, exp]));
+  const refunds = expenses
+    .filter(isRefundExpense)
+    .sort((a, b) => getExpenseAmount(a) - getExpenseAmount(b));
+  
+  return {
+    total: refunds.reduce((total, exp) => total - getExpenseAmount(exp), 0),
+    count: refunds.length,
+    items: refunds.slice(0, MAX_LISTED_REFUNDS).map(exp => {
+      const original = exp.refund_of ? byId.get(exp.refund_of) : null;
+      return {
+        id: exp.id,
+        date: getExpenseDateKey(exp, timeZone),
+        merchant: getExpenseMerchant(exp),
+        category: getExpenseCategory(exp),
+        amount: -getExpenseAmount(exp),
+        refundOf: exp.refund_of
+          ? { id: exp.refund_of, date: original ? getExpenseDateKey(original, timeZone) : null, amount: original ? getExpenseAmount(original) : null }
+          : null
+      };
+    })
+  };
+}
+
+/**
+ * Get the day an expense belongs to
+ * 
+ * Timestamps are converted to the day in the given timezone; plain dates
+ * (manual entries) are already local and are returned as they are. Storage
+ * uses UTC days, reporting the configured timezone.
+ * 
+ * @param {Object} expense - Expense
+ * @param {string} timeZone - IANA timezone name (defaults to UTC)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getExpenseDateKey(expense, timeZone = 'UTC') {
+  const value = expense.expense_date || expense.created_at;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  return toLocalDateKey(value, timeZone);
+}
+
+/**
+ * Get the amount of an expense that goes to each of its categories
+ * 
+ * @param {Object} expense - Expense
+ * @returns {Array<Object>} - Amounts ({ category, amount }) in the reporting currency, largest first
+ */
+export function getCategoryAmounts(expense) {
+  const amount = getExpenseAmount(expense);
+  return getCategoryShares(expense).map(({ category, share }) => ({ category, amount: amount * share }));
+}
+
+/**
+ * List the amount each expense spends in each of its categories, by day
+ * 
+ * @param {Array} expenses - Counted expenses in the reporting currency
+ * @param {string} timeZone - IANA timezone expenses are bucketed into days in
+ * @returns {Array<Object>} - Entries ({ date, category, amount })
+ */
+export function getCategoryEntries(expenses, timeZone = 'UTC') {
+  return expenses.flatMap(exp => {
+    const date = getExpenseDateKey(exp, timeZone);
+    return getCategoryAmounts(exp).map(({ category, amount }) => ({ date, category, amount }));
+  });
+}
+
+/**
+ * Calculate simple, weighted and exponential moving averages for every
+ * window in MOVING_AVERAGE_WINDOWS
+ * 
+ * @param {Object} dailyRates - Daily expense totals keyed by YYYY-MM-DD
+ * @param {string} to - Last day of the windows (YYYY-MM-DD)
+ * @returns {Object} - Averages by kind and window ({ simple: { 7, 30 }, weighted: {...}, exponential: {...} })
+ */
+export function calculateMovingAverages(dailyRates, to) {
+  const averages = { simple: {}, weighted: {}, exponential: {} };
+  
+  for (const days of MOVING_AVERAGE_WINDOWS) {
+    averages.simple[days] = calculateMovingAverage(dailyRates, to, days);
+    averages.weighted[days] = calculateWeightedMovingAverage(dailyRates, to, days);
+    averages.exponential[days] = calculateExponentialMovingAverage(dailyRates, to, days);
+  }
+  
+  return averages;
+}
+
+/**
+ * Get the daily totals of the calendar days ending on a given day, with zero
+ * for days without spend
+ * 
+ * @param {Object} dailyRates - Daily expense totals keyed by YYYY-MM-DD
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @param {number} days - Number of days
+ * @returns {Array<Object>} - Days, oldest first ({ date, amount })
+ */
+export function getDailySeries(dailyRates, to, days) {
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(to, -i);
+    series.push({ date, amount: dailyRates[date] || 0 });
+  }
+  
+  return series;
+}
+
+/**
+ * Calculate the simple moving average over a calendar window
  * 
  * @param {Object} dailyRates - Daily expense totals
+ * @param {string} to - Last day of the window (YYYY-MM-DD)
  * @param {number} days - Number of days for moving average
  * @returns {number} - Moving average
  */
-function calculateMovingAverage(dailyRates, days) {
-  const dates = Object.keys(dailyRates).sort();
-  if (dates.length === 0) return 0;
-  
-  // Get the last 'days' dates
-  const recentDates = dates.slice(-days);
+function calculateMovingAverage(dailyRates, to, days) {
+  const sum = getDailySeries(dailyRates, to, days).reduce((total, { amount }) => total + amount, 0);
+  return sum / days;
+}
+
+/**
+ * Calculate the linearly weighted moving average over a calendar window;
+ * the most recent day weighs `days` times as much as the oldest
+ * 
+ * @param {Object} dailyRates - Daily expense totals
+ * @param {string} to - Last day of the window (YYYY-MM-DD)
+ * @param {number} days - Number of days for moving average
+ * @returns {number} - Weighted moving average
+ */
+function calculateWeightedMovingAverage(dailyRates, to, days) {
+  const sum = getDailySeries(dailyRates, to, days).reduce((total, { amount }, i) => total + amount * (i + 1), 0);
+  return sum / (days * (days + 1) / 2);
+}
+
+/**
+ * Calculate the exponential moving average at the end of a calendar window
+ * 
+ * Uses a smoothing factor of 2 / (days + 1), seeded with the simple average of
+ * the window before, so it needs twice the window of history.
+ * 
+ * @param {Object} dailyRates - Daily expense totals
+ * @param {string} to - Last day of the window (YYYY-MM-DD)
+ * @param {number} days - Number of days for moving average
+ * @returns {number} - Exponential moving average
+ */
+function calculateExponentialMovingAverage(dailyRates, to, days) {
+  const series = getDailySeries(dailyRates, to, days * 2);
+  const alpha = 2 / (days + 1);
   
-  // Calculate sum for those days
-  const sum = recentDates.reduce((total, date) => {
-    return total + (dailyRates[date] || 0);
-  }, 0);
+  let average = series.slice(0, days).reduce((total, { amount }) => total + amount, 0) / days;
+  for (const { amount } of series.slice(days)) {
+    average = alpha * amount + (1 - alpha) * average;
+  }
   
-  // Return average
-  return sum / recentDates.length;
-}
\ No newline at end of file
+  return average;
+}
@@ -0,0 +1,68 @@
+/**
+ * Durable Object that stores spend history
+ */
+import { migrateHistory, runHistoryOperation, runHistoryQuery } from './history';
+
+/**
+ * SpendHistory Durable Object
+ * 
+ * A single instance (named "history") owns all history, kept as month
+ * partitions in its SQLite-backed storage (see history.js). Queries read that
+ * storage directly. Mutations run inside blockConcurrencyWhile, so no other
+ * request is delivered to the object until the read-modify-write of the
+ * affected partitions has finished; a mutation whose expense is not stored
+ * is answered with a 404. History kept in KV by older deployments
+ * is copied in before the first request is handled. Requests are
+ * POST /query/<name> or POST /mutate/<operation> with a JSON payload.
+ */
+export class SpendHistory {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    
+    this.state.blockConcurrencyWhile(() => migrateHistory(this.state.storage, this.env));
+  }
+  
+  /**
+   * Handle a history query or operation request
+   * 
+   * @param {Request} request - HTTP request
+   * @returns {Promise<Response>} - HTTP response with JSON data
+   */
+  async fetch(request) {
+    const [kind, name] = new URL(request.url).pathname.substring(1).split('/');
+    
+    try {
+      const payload = await request.json();
+      let result;
+      
+      if (kind === 'query') {
+        result = await runHistoryQuery(this.state.storage, name, payload);
+      } else if (kind === 'mutate') {
+        result = await this.state.blockConcurrencyWhile(
+          () => runHistoryOperation(this.state.storage, name, payload)
+        );
+      } else {
+        throw new Error(`Unknown history request "${kind}"`);
+      }
+      
+      if (result?.found === false) {
+        return new Response(JSON.stringify({ success: false, error: result.error }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      
+      return new Response(JSON.stringify({ success: true, result }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      console.error(`Error running history ${kind} "${name}":`, error);
+      return new Response(JSON.stringify({ success: false, error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+}
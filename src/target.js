@@ -0,0 +1,203 @@
+/**
+ * Daily spend target configuration
+ *
+ * The target is stored in the SPEND_CONFIG KV namespace so it can be changed
+ * at runtime. A configuration has a default daily amount plus optional
+ * overrides per weekday (e.g. "sat") and per month (e.g. "2025-12").
+ * When several apply, a month override wins over a weekday override,
+ * which wins over the default.
+ */
+
+const TARGET_KEY = 'target';
+
+export const DEFAULT_DAILY_TARGET = 150;
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Get the target configuration from KV store
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Target configuration
+ */
+export async function getTargetConfig(env) {
+  const stored = await env.SPEND_CONFIG.get(TARGET_KEY, { type: 'json' });
+  const envDefault = parseFloat(env.DAILY_TARGET);
+
+  return {
+    daily: Number.isFinite(envDefault) && envDefault > 0 ? envDefault : DEFAULT_DAILY_TARGET,
+    weekdays: {},
+    months: {},
+    ...stored
+  };
+}
+
+/**
+ * Save the target configuration to KV store
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} config - Target configuration to save
+ * @returns {Promise<void>}
+ */
+export async function saveTargetConfig(env, config) {
+  await env.SPEND_CONFIG.put(TARGET_KEY, JSON.stringify(config));
+}
+
+/**
+ * Apply a single target change to a configuration
+ *
+ * @param {Object} config - Current target configuration
+ * @param {Object} update - Change to apply
+ * @param {string} update.scope - "default", a weekday ("mon") or a month ("2025-12")
+ * @param {number|null} update.amount - New daily amount, or null to remove an override
+ * @returns {Object} - Updated target configuration
+ */
+export function applyTargetUpdate(config, { scope, amount }) {
+  const updated = {
+    ...config,
+    weekdays: { ...config.weekdays },
+    months: { ...config.months }
+  };
+
+  if (scope === 'default') {
+    if (amount === null) {
+      throw new Error('The default target cannot be removed.');
+    }
+    updated.daily = amount;
+  } else if (WEEKDAYS.includes(scope)) {
+    setOrDelete(updated.weekdays, scope, amount);
+  } else if (/^\d{4}-(0[1-9]|1[0-2])$/.test(scope)) {
+    setOrDelete(updated.months, scope, amount);
+  } else {
+    throw new Error(`Unknown target scope "${scope}". Use a weekday (mon-sun) or a month (YYYY-MM).`);
+  }
+
+  return updated;
+}
+
+/**
+ * Parse the arguments of a /set_target command
+ *
+ * Accepted forms: "AMOUNT", "mon AMOUNT", "2025-12 AMOUNT", "mon clear"
+ *
+ * @param {string} input - Command arguments
+ * @returns {Object} - Target update ({ scope, amount })
+ */
+export function parseTargetCommand(input) {
+  const parts = input.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  if (parts.length === 1) {
+    return { scope: 'default', amount: parseTargetAmount(parts[0]) };
+  }
+
+  if (parts.length === 2) {
+    // Accept full weekday names ("monday") as well as the short form
+    const scope = WEEKDAYS.find(day => parts[0].startsWith(day)) || parts[0];
+    const amount = parts[1] === 'clear' ? null : parseTargetAmount(parts[1]);
+    return { scope, amount };
+  }
+
+  throw new Error('Invalid target. Usage: /set_target AMOUNT, /set_target mon AMOUNT or /set_target YYYY-MM AMOUNT');
+}
+
+/**
+ * Validate a full target configuration (e.g. from the JSON endpoint)
+ *
+ * @param {Object} input - Candidate configuration
+ * @param {Object} current - Current configuration used for omitted fields
+ * @returns {Object} - Validated target configuration
+ */
+export function validateTargetConfig(input, current) {
+  let config = { ...current };
+
+  if (input.daily !== undefined) {
+    config = applyTargetUpdate(config, { scope: 'default', amount: parseTargetAmount(input.daily) });
+  }
+
+  for (const field of ['weekdays', 'months']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'object' || input[field] === null) {
+      throw new Error(`"${field}" must be an object`);
+    }
+    config = { ...config, [field]: {} };
+    for (const [scope, amount] of Object.entries(input[field])) {
+      config = applyTargetUpdate(config, { scope: scope.toLowerCase(), amount: parseTargetAmount(amount) });
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Get the daily target that applies to a given day
+ *
+ * @param {Object} config - Target configuration
+ * @param {string} dateKey - Day in YYYY-MM-DD format
+ * @returns {number} - Daily target amount
+ */
+export function getDailyTarget(config, dateKey) {
+  const monthTarget = config.months?.[dateKey.substring(0, 7)];
+  if (monthTarget !== undefined) {
+    return monthTarget;
+  }
+
+  const weekday = WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+  const weekdayTarget = config.weekdays?.[weekday];
+  if (weekdayTarget !== undefined) {
+    return weekdayTarget;
+  }
+
+  return config.daily;
+}
+
+/**
+ * Format a target configuration as a human readable summary
+ *
+ * @param {Object} config - Target configuration
+ * @param {Function} formatAmount - Amount formatter
+ * @returns {string} - Summary text
+ */
+export function describeTargetConfig(config, formatAmount) {
+  const lines = [`Default: ${formatAmount(config.daily)}/day`];
+
+  for (const weekday of WEEKDAYS) {
+    if (config.weekdays?.[weekday] !== undefined) {
+      lines.push(`${weekday}: ${formatAmount(config.weekdays[weekday])}/day`);
+    }
+  }
+
+  for (const month of Object.keys(config.months || {}).sort()) {
+    lines.push(`${month}: ${formatAmount(config.months[month])}/day`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse and validate a target amount
+ *
+ * @param {string|number} value - Raw amount
+ * @returns {number} - Parsed amount
+ */
+function parseTargetAmount(value) {
+  const amount = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error('Invalid target amount. Please provide a non-negative number.');
+  }
+  return amount;
+}
+
+/**
+ * Set a key on an object, or delete it when the value is null
+ *
+ * @param {Object} target - Object to modify
+ * @param {string} key - Key to set
+ * @param {number|null} value - Value to set
+ */
+function setOrDelete(target, key, value) {
+  if (value === null) {
+    delete target[key];
+  } else {
+    target[key] = value;
+  }
+}
@@ -1,22 +1,370 @@
 /**
  * Telegram-related functionality for the Daily Spend Rate app
  */
+import {
+  getTargetConfig,
+  saveTargetConfig,
+  parseTargetCommand,
+  applyTargetUpdate,
+  describeTargetConfig
+} from './target';
+import { 
+  getBudgets, 
+  saveBudgets, 
+  parseBudgetDefinition, 
+  getBudgetKey, 
+  findBudgets, 
+  calculateBudgetProgress, 
+  getBudgetExpenses 
+} from './budgets';
+import { getReportingCurrency, getFxRates, saveFxRates, setFxRate, refreshFxRates, normalizeExpense, getAccountCurrency, formatCurrency } from './currency';
+import { getManualExpenses, findManualExpense, getShortExpenseId, mutateHistory, getExpensesInRange } from './history';
+import { getExpenseDateKey, describeRefunds } from './spend';
+import { renderChart, renderSpendChart } from './chart';
+import {
+  getExpenseCategory,
+  getCategoryRules,
+  saveCategoryRules,
+  parseCategoryRule,
+  describeCategoryRule
+} from './categories';
+import { parseCashExpense, parseCashAmount, parseCashDate } from './cashExpenseParser';
+import { describePeriod, getSpendPeriod } from './period';
+import { describeForecast } from './forecast';
+import { describeComparison, describeMovers, formatChange } from './comparison';
+import { acknowledgeAnomaly } from './anomalies';
+import { summarizeMerchants, getMerchantHistoryStart } from './merchants';
+import { REPORT_TYPES, getReportSchedule, describeReportSchedule } from './reports';
+import {
+  CHART_VIEWS,
+  parseChartView,
+  getChartViewButton,
+  getChartViewName,
+  getChartHistoryStart,
+  buildChartView
+} from './chartViews';
+import { getTimezone, getToday, formatLocalDateTime, addDays } from './time';
+import {
+  CHAT_STATUSES,
+  CHAT_ROLES,
+  getChatAccess,
+  getAdminIds,
+  registerChat,
+  approveChat,
+  revokeChat,
+  listChats
+} from './access';
+import { API_SCOPES, createApiKey, listApiKeys, revokeApiKey, getAuditLog } from './apiKeys';
+import { escapeHtml } from './html';
+
+// Number of entries /cash_list shows by default, and the most it will show
+const DEFAULT_CASH_LIST_SIZE = 10;
+const MAX_CASH_LIST_SIZE = 30;
+
+// Guided /add_cash_expense conversations are abandoned after this long without a reply
+const DEFAULT_CONVERSATION_TIMEOUT_MINUTES = 15;
+const CONVERSATION_KEY_PREFIX = 'conversation:';
+
+// Category buttons offered in the guided flow, drawn from this many days of history
+const MAX_CATEGORY_BUTTONS = 8;
+const CATEGORY_HISTORY_DAYS = 90;
+
+// Merchants shown per page of /merchants
+const MERCHANTS_PAGE_SIZE = 10;
+
+// Layout of the /chart view buttons
+const CHART_BUTTON_ROWS = [['daily14', 'daily30', 'daily90'], ['mtd', 'categories'], ['weekdays', 'months']];
+
+// Longest photo caption Telegram accepts, not counting HTML tags
+export const MAX_CAPTION_LENGTH = 1024;
+
+// Optional caption sections, left out in this order while the caption is too long
+const CAPTION_TRIM_ORDER = ['movers', 'refunds', 'forecastWarnings', 'comparison', 'forecast'];
+
+const CASH_EXPENSE_USAGE = `<b>📝 USAGE</b>
+/add_cash_expense AMOUNT CATEGORY [DATE] [@MERCHANT] [NOTE]
+
+<b>📋 EXAMPLES</b>
+/add_cash_expense 25.50 Groceries
+/add_cash_expense 42 Restaurant 2025-03-15
+/add_cash_expense €12,50 "Coffee shop" yesterday @"Blue Bottle" flat white
+/add_cash_expense 30 EUR Taxi 3 days ago airport`;
 
 /**
  * Handle /start command
  * 
+ * Registers the chat as pending approval and asks the admins to approve it.
+ * Chats that are already approved just get the welcome message.
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} message - Telegram message
+ * @returns {Promise<void>}
+ */
+export async function handleStartCommand(env, message) {
+  const chatId = message.chat.id;
+  const access = await getChatAccess(env, chatId, message.from?.id);
+  
+  if (access.member) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `Welcome to the Daily Spend Rate bot! Your chat ID is: ${chatId}\n\nThis chat is approved. Send /stats to see your spend, or add this chat ID to your worker's environment variables as TELEGRAM_CHAT_ID to receive daily notifications here.`
+    });
+    return;
+  }
+  
+  const entry = await registerChat(env, message.chat, message.from);
+  
+  await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+    text: `Welcome to the Daily Spend Rate bot! Your chat ID is: ${chatId}\n\nYour access request is waiting for approval by an admin. You'll get a message here once it has been approved.`
+  });
+  
+  // Only notify admins the first time, so repeated /start can't spam them
+  if (entry.isNew) {
+    await notifyAdmins(env, {
+      text: `
+<b>🔐 ACCESS REQUEST</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+<b>${escapeHtml(entry.name)}</b> (chat <code>${entry.chat_id}</code>) wants to use the bot.
+`,
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [buildAccessButtons(entry.chat_id)] }
+    });
+  }
+}
+
+/**
+ * Handle /approve command (admin only)
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} message - Telegram message
+ * @returns {Promise<void>}
+ */
+export async function handleApproveCommand(env, message) {
+  const chatId = message.chat.id;
+  
+  try {
+    const [targetId, role] = message.text.replace(/^\/approve(@\S+)?/, '').trim().split(/\s+/).filter(Boolean);
+    if (!targetId) {
+      throw new Error('Usage: /approve CHAT_ID [admin]');
+    }
+    
+    const entry = await approveChat(env, targetId, { role: role ? role.toLowerCase() : undefined, approvedBy: message.from?.id });
+    await sendApprovalNotice(env, entry);
+    
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `✅ Chat <code>${entry.chat_id}</code>${entry.name ? ` (${escapeHtml(entry.name)})` : ''} approved as ${entry.role}.`,
+      parse_mode: 'HTML'
+    });
+  } catch (error) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, { text: `❌ ${error.message}` });
+  }
+}
+
+/**
+ * Handle /revoke command (admin only)
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} message - Telegram message
+ * @returns {Promise<void>}
+ */
+export async function handleRevokeCommand(env, message) {
+  const chatId = message.chat.id;
+  
+  try {
+    const targetId = message.text.replace(/^\/revoke(@\S+)?/, '').trim();
+    if (!targetId) {
+      throw new Error('Usage: /revoke CHAT_ID');
+    }
+    
+    const entry = await revokeChat(env, targetId);
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `🗑 Access for chat <code>${entry.chat_id}</code>${entry.name ? ` (${escapeHtml(entry.name)})` : ''} removed.`,
+      parse_mode: 'HTML'
+    });
+  } catch (error) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, { text: `❌ ${error.message}` });
+  }
+}
+
+/**
+ * Handle /chats command (admin only), listing pending and approved chats
+ * 
  * @param {Object} env - Environment variables
  * @param {string} chatId - Telegram chat ID
  * @returns {Promise<void>}
  */
-export async function handleStartCommand(env, chatId) {
-  // Send welcome message with setup instructions
+export async function handleChatsCommand(env, chatId) {
+  const chats = await listChats(env);
+  const pending = chats.filter(chat => chat.status === CHAT_STATUSES.PENDING);
+  const approved = chats.filter(chat => chat.status === CHAT_STATUSES.APPROVED);
+  const formatChat = chat => `<code>${chat.chat_id}</code> ${escapeHtml(chat.name || '')}${chat.role === CHAT_ROLES.ADMIN ? ' (admin)' : ''}`;
+  
   await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
-    text: `Welcome to the Daily Spend Rate bot! Your chat ID is: ${chatId}\n\nPlease add this chat ID to your worker's environment variables as TELEGRAM_CHAT_ID to receive daily notifications.`
+    text: `
+<b>🔐 CHATS</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+<b>⏳ PENDING</b>
+${pending.length > 0 ? pending.map(formatChat).join('\n') : '<i>None</i>'}
+
+<b>✅ APPROVED</b>
+${approved.length > 0 ? approved.map(formatChat).join('\n') : '<i>None</i>'}
+
+<i>/approve CHAT_ID [admin] · /revoke CHAT_ID</i>
+`,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: pending.map(chat => buildAccessButtons(chat.chat_id)) }
   });
+}
+
+/**
+ * Handle /apikey command (admin only), managing keys for the HTTP API
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} message - Telegram message
+ * @returns {Promise<void>}
+ */
+export async function handleApiKeyCommand(env, message) {
+  const chatId = message.chat.id;
+  const usage = `
+<b>📝 USAGE</b>
+/apikey list
+/apikey create NAME [SCOPES]
+/apikey revoke ID
+/apikey log [N]
+
+<b>📋 EXAMPLES</b>
+/apikey create dashboard read
+/apikey create scheduler read,trigger
+
+<i>SCOPES is a comma-separated list of ${API_SCOPES.join(', ')} (defaults to read)</i>
+`;
+  
+  try {
+    const [action, ...rest] = message.text.replace(/^\/apikey(@\S+)?/, '').trim().split(/\s+/).filter(Boolean);
+    
+    if (action === 'create') {
+      const [name, scopes] = rest;
+      const { key, token } = await createApiKey(env, {
+        name,
+        scopes: scopes ? scopes.toLowerCase().split(',').filter(Boolean) : undefined,
+        createdBy: message.from?.id
+      });
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>🔑 API KEY CREATED</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+<b>Name:</b> ${escapeHtml(key.name)}
+<b>Scopes:</b> ${key.scopes.join(', ')}
+<b>Token:</b> <code>${token}</code>
+
+<i>Send it as "Authorization: Bearer TOKEN". This is the only time the token is shown, so store it safely and delete this message.</i>
+`,
+        parse_mode: 'HTML'
+      });
+    } else if (action === 'revoke') {
+      const key = await revokeApiKey(env, rest[0] || '');
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `🗑 API key <code>${key.id}</code> (${escapeHtml(key.name)}) revoked.`,
+        parse_mode: 'HTML'
+      });
+    } else if (action === 'log') {
+      const limit = Math.min(parseInt(rest[0], 10) || 10, 50);
+      const entries = await getAuditLog(env, limit);
+      const lines = entries.map(entry => `${entry.time.replace('T', ' ').substring(0, 19)} · ${entry.status} · ${entry.method} ${escapeHtml(entry.path)} · ${escapeHtml(entry.key_name || 'no key')}`);
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>📜 API AUDIT LOG</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${lines.length > 0 ? lines.join('\n') : '<i>No API requests yet.</i>'}
+`,
+        parse_mode: 'HTML'
+      });
+    } else if (!action || action === 'list') {
+      const keys = await listApiKeys(env);
+      const lines = keys.map(key => `<code>${key.id}</code> <b>${escapeHtml(key.name)}</b> · ${key.scopes.join(', ')} · ${key.created_at.split('T')[0]}`);
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>🔑 API KEYS</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${lines.length > 0 ? lines.join('\n') : '<i>No API keys yet.</i>'}
+${usage}`,
+        parse_mode: 'HTML'
+      });
+    } else {
+      throw new Error(`Unknown action "${action}".`);
+    }
+  } catch (error) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>❌ ERROR</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${escapeHtml(error.message)}
+${usage}`,
+      parse_mode: 'HTML'
+    });
+  }
+}
+
+/**
+ * Handle access_approve:<id> and access_reject:<id> callback queries (admin only)
+ * 
+ * @param {Object} env - Environment variables 
+ * @param {Object} callbackQuery - Callback query data
+ * @returns {Promise<void>}
+ */
+export async function handleAccessCallback(env, callbackQuery) {
+  const [action, targetId] = callbackQuery.data.split(':');
+  
+  try {
+    let text;
+    if (action === 'access_approve') {
+      const entry = await approveChat(env, targetId, { approvedBy: callbackQuery.from?.id });
+      await sendApprovalNotice(env, entry);
+      text = `✅ Approved ${entry.name || entry.chat_id}`;
+    } else {
+      const entry = await revokeChat(env, targetId);
+      text = `🗑 Rejected ${entry.name || entry.chat_id}`;
+    }
+    
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, text);
+    await callTelegramApi(env.TELEGRAM_BOT_TOKEN, 'editMessageReplyMarkup', {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      reply_markup: { inline_keyboard: [] }
+    });
+  } catch (error) {
+    console.error('Error handling access callback:', error);
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, error.message);
+  }
+}
+
+/**
+ * Tell a chat that sent a command it isn't allowed to use
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} access - Access of the chat (from getChatAccess)
+ * @returns {Promise<void>}
+ */
+export async function handleUnauthorisedCommand(env, chatId, access) {
+  let text;
+  if (access.member) {
+    text = '⛔ Only admins can use this command.';
+  } else if (access.status === CHAT_STATUSES.PENDING) {
+    text = '⏳ Your access request is still waiting for approval.';
+  } else {
+    text = '⛔ This chat is not approved to use this bot. Send /start to request access.';
+  }
   
-  // Store the chat ID in KV for convenience
-  await env.TELEGRAM_CHAT_IDS.put('latest_chat_id', chatId.toString());
+  await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, { text });
 }
 
 /**
@@ -83,61 +431,35 @@ export async function handleTestCommand(env, chatId) {
  * 
  * @param {Object} env - Environment variables
  * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID of the sender
  * @param {string} text - Command text
  * @returns {Promise<void>}
  */
-export async function handleAddCashExpenseCommand(env, chatId, text) {
+export async function handleAddCashExpenseCommand(env, chatId, userId, text) {
   try {
     // Extract expense details
-    const parts = text.replace('/add_cash_expense', '').trim().split(' ');
+    const args = text.replace('/add_cash_expense', '').trim();
     
-    // Check if we have enough parameters
-    if (parts.length < 2) {
-      // Send usage instructions
-      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
-        text: `
-<b>ℹ️ HOW TO ADD CASH EXPENSE</b>
-━━━━━━━━━━━━━━━━━━━━━━
-
-<b>📝 USAGE</b>
-/add_cash_expense AMOUNT CATEGORY [DATE]
-
-<b>📋 EXAMPLES</b>
-/add_cash_expense 25.50 Groceries
-/add_cash_expense 42 Restaurant 2025-03-15
-
-<i>Add [DATE] in YYYY-MM-DD format (optional, defaults to today)</i>
-`,
-        parse_mode: 'HTML'
-      });
+    // Without details, walk the user through adding the expense step by step
+    if (!args) {
+      await startCashConversation(env, chatId, userId);
       return;
     }
     
-    // Parse amount
-    const amount = parseFloat(parts[0]);
-    if (isNaN(amount) || amount <= 0) {
-      throw new Error('Invalid amount. Please provide a positive number.');
-    }
-    
-    // Get category
-    const category = parts[1];
-    
-    // Get date (optional, default to today)
-    let expenseDate;
-    if (parts.length >= 3 && parts[2].match(/^\d{4}-\d{2}-\d{2}$/)) {
-      expenseDate = parts[2];
-    } else {
-      expenseDate = new Date().toISOString().split('T')[0];
-    }
-    
-    // Get currency from environment or default to AUD
-    const currency = env.DEFAULT_CURRENCY || 'AUD';
+    const today = getToday(env);
+    // Amounts without a currency are in the default currency (AUD if not set)
+    const defaultCurrency = env.DEFAULT_CURRENCY || 'AUD';
+    const details = parseCashExpense(args, { today, defaultCurrency });
     
     // Create and add the expense
-    await addCashExpense(env, amount, category, expenseDate, currency);
+    const expense = await addCashExpense(env, details);
     
     // Format response amount
-    const formattedAmount = formatCurrency(amount, currency);
+    const formattedAmount = formatCurrency(details.amount, details.currency);
+    const extraLines = [
+      details.merchant ? `<b>🏪 Merchant:</b> ${escapeHtml(details.merchant)}` : null,
+      details.note ? `<b>📝 Note:</b> ${escapeHtml(details.note)}` : null
+    ].filter(Boolean).map(line => `${line}\n`).join('');
     
     // Send confirmation
     await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
@@ -146,10 +468,11 @@ export async function handleAddCashExpenseCommand(env, chatId, text) {
 ━━━━━━━━━━━━━━━━━━━━━━
 
 <b>💰 Amount:</b> ${formattedAmount}
-<b>📂 Category:</b> ${category}
-<b>📅 Date:</b> ${expenseDate}
+<b>📂 Category:</b> ${escapeHtml(details.category)}
+<b>📅 Date:</b> ${details.date}
+${extraLines}<b>🆔 ID:</b> <code>${getShortExpenseId(expense)}</code>
 
-<i>This expense has been added to your spending history.</i>
+<i>This expense has been added to your spending history. Use /cash_list to review or fix it.</i>
 `,
       parse_mode: 'HTML'
     });
@@ -160,14 +483,9 @@ export async function handleAddCashExpenseCommand(env, chatId, text) {
 <b>❌ ERROR</b>
 ━━━━━━━━━━━━━━━━━━━━━━
 
-${error.message}
-
-<b>📝 CORRECT USAGE</b>
-/add_cash_expense AMOUNT CATEGORY [DATE]
+${escapeHtml(error.message)}
 
-<b>📋 EXAMPLES</b>
-/add_cash_expense 25.50 Groceries
-/add_cash_expense 42 Restaurant 2025-03-15
+${CASH_EXPENSE_USAGE}
 `,
       parse_mode: 'HTML'
     });
@@ -175,145 +493,1398 @@ ${error.message}
 }
 
 /**
- * Handle update_now callback query
+ * Handle /set_target command
  * 
- * @param {Object} env - Environment variables 
- * @param {Object} callbackQuery - Callback query data
- * @param {Function} processDailySpendRate - Function to process daily spend rate
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
  * @returns {Promise<void>}
  */
-export async function handleUpdateCallback(env, callbackQuery, processDailySpendRate) {
-  const chatId = callbackQuery.message.chat.id;
-  const messageId = callbackQuery.message.message_id;
-  
-  // Acknowledge the callback query
-  await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/answerCallbackQuery`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      callback_query_id: callbackQuery.id,
-      text: 'Updating spend data...'
-    })
-  });
+export async function handleSetTargetCommand(env, chatId, text) {
+  const currency = getReportingCurrency(env);
+  const formatAmount = amount => formatCurrency(amount, currency);
   
   try {
-    // Process the data and update the message
-    await processDailySpendRate(env, { messageId });
+    const args = text.replace('/set_target', '').trim();
+    let config = await getTargetConfig(env);
     
-    // Save this message ID for future updates
-    await env.TELEGRAM_STATE.put('last_message_id', messageId.toString());
-  } catch (error) {
-    console.error('Error updating spend data:', error);
+    // Without arguments, just show the current configuration
+    if (args) {
+      config = applyTargetUpdate(config, parseTargetCommand(args));
+      await saveTargetConfig(env, config);
+    }
     
-    // Send error message
     await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
-      text: `Error updating spend data: ${error.message}`,
-      reply_to_message_id: messageId
+      text: `
+<b>🎯 ${args ? 'TARGET UPDATED' : 'CURRENT TARGET'}</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${describeTargetConfig(config, formatAmount)}
+
+<b>📝 USAGE</b>
+/set_target AMOUNT
+/set_target mon AMOUNT
+/set_target 2025-12 AMOUNT
+/set_target mon clear
+`,
+      parse_mode: 'HTML'
+    });
+  } catch (error) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>❌ ERROR</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${escapeHtml(error.message)}
+
+<b>📝 CORRECT USAGE</b>
+/set_target AMOUNT
+/set_target mon AMOUNT
+/set_target 2025-12 AMOUNT
+/set_target mon clear
+`,
+      parse_mode: 'HTML'
     });
   }
 }
 
 /**
- * Add a cash expense to historical data
+ * Handle /budget command (add, list or remove budgets)
  * 
  * @param {Object} env - Environment variables
- * @param {number} amount - Expense amount
- * @param {string} category - Expense category
- * @param {string} expenseDate - Expense date in YYYY-MM-DD format
- * @param {string} currency - Currency code
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
  * @returns {Promise<void>}
  */
-async function addCashExpense(env, amount, category, expenseDate, currency) {
-  const { getHistoricalSpendData, saveHistoricalSpendData } = await import('./revolut');
-  
-  // Create expense object
-  const cashExpense = {
-    id: `cash_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
-    state: 'COMPLETED',
-    spent_amount: {
-      amount: amount,
-      currency: currency
-    },
-    expense_date: expenseDate,
-    category: 'Cash',
-    merchant: {
-      category: category
-    },
-    is_manual_entry: true
-  };
-  
-  // Get historical data
-  const historicalData = await getHistoricalSpendData(env);
-  
-  // Add the new cash expense
-  historicalData.expenses.push(cashExpense);
-  
-  // Update daily rates
-  const dateKey = expenseDate;
-  if (!historicalData.dailyRates[dateKey]) {
-    historicalData.dailyRates[dateKey] = 0;
-  }
-  historicalData.dailyRates[dateKey] += amount;
+export async function handleBudgetCommand(env, chatId, text) {
+  const currency = getReportingCurrency(env);
+  const usage = `
+<b>📝 USAGE</b>
+/budget add CATEGORY AMOUNT[/PERIOD]
+/budget list
+/budget remove CATEGORY [PERIOD]
+
+<b>📋 EXAMPLES</b>
+/budget add Dining 800/month
+/budget add Travel 2000/quarter
+/budget add All 5000/month
+
+<i>PERIOD is week, month, quarter or year (defaults to month)</i>
+`;
   
-  // Save updated data
-  await saveHistoricalSpendData(env, historicalData);
-}
+  try {
+    const args = text.replace('/budget', '').trim();
+    const [action, ...rest] = args.split(/\s+/);
+    const argument = rest.join(' ');
+    const budgets = await getBudgets(env);
+    
+    if (action === 'add') {
+      const budget = parseBudgetDefinition(argument);
+      
+      // Replace any existing budget on the same category and period
+      const updated = budgets.filter(b => getBudgetKey(b) !== getBudgetKey(budget));
+      updated.push(budget);
+      await saveBudgets(env, updated);
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>✅ BUDGET SAVED</b>
+━━━━━━━━━━━━━━━━━━━━━━
 
-/**
- * Send a message via Telegram API
+📂 <b>${escapeHtml(budget.name)}:</b> ${formatCurrency(budget.limit, currency)}/${budget.period}
+
+<i>You will be alerted at 50%, 80% and 100% of this budget.</i>
+`,
+        parse_mode: 'HTML'
+      });
+    } else if (action === 'remove') {
+      const removed = findBudgets(budgets, argument);
+      if (removed.length === 0) {
+        throw new Error(`No budget named "${argument}" found.`);
+      }
+      await saveBudgets(env, budgets.filter(b => !removed.includes(b)));
+      
+      const names = removed.map(b => `"${b.name}" (${b.period})`).join(', ');
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `<b>🗑 ${removed.length === 1 ? 'Budget' : 'Budgets'} ${escapeHtml(names)} removed.</b>`,
+        parse_mode: 'HTML'
+      });
+    } else if (action === 'list') {
+      const today = getToday(env);
+      const expenses = await getBudgetExpenses(env, budgets, today);
+      
+      const lines = budgets.map(budget => {
+        const progress = calculateBudgetProgress(budget, expenses, today, getTimezone(env));
+        const icon = progress.percentage >= 100 ? '🔴' : progress.percentage >= 80 ? '🟠' : '🟢';
+        return `${icon} <b>${escapeHtml(budget.name)}</b>: ${formatCurrency(progress.spent, currency)} of ${formatCurrency(budget.limit, currency)}/${budget.period} (${progress.percentage.toFixed(1)}%)`;
+      });
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>📊 BUDGETS</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${lines.length > 0 ? lines.join('\n') : '<i>No budgets defined yet.</i>'}
+`,
+        parse_mode: 'HTML'
+      });
+    } else {
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>ℹ️ HOW TO MANAGE BUDGETS</b>
+━━━━━━━━━━━━━━━━━━━━━━
+${usage}`,
+        parse_mode: 'HTML'
+      });
+    }
+  } catch (error) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>❌ ERROR</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${escapeHtml(error.message)}
+${usage}`,
+      parse_mode: 'HTML'
+    });
+  }
+}
+
+/**
+ * Handle /rule command (add, list, remove or apply categorisation rules)
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
+ * @returns {Promise<void>}
+ */
+export async function handleRuleCommand(env, chatId, text) {
+  const usage = `
+<b>📝 USAGE</b>
+/rule add merchant PATTERN CATEGORY
+/rule add mcc CODE CATEGORY
+/rule list
+/rule remove NUMBER
+/rule apply
+
+<b>📋 EXAMPLES</b>
+/rule add merchant uber|lyft Transport
+/rule add merchant ^amzn Online Shopping
+/rule add mcc 5812 Dining
+
+<i>PATTERN is a case-insensitive regular expression without spaces (use \\s for a space). The first matching rule wins. Rules apply to newly synced expenses; use /rule apply to recategorise stored history.</i>
+`;
+  
+  try {
+    const args = text.replace('/rule', '').trim();
+    const [action, ...rest] = args.split(/\s+/);
+    const argument = rest.join(' ');
+    const rules = await getCategoryRules(env);
+    
+    if (action === 'add') {
+      const rule = parseCategoryRule(argument);
+      
+      // Replace any existing rule for the same merchant pattern or MCC
+      const updated = rules.filter(r => r.type !== rule.type || r.pattern.toLowerCase() !== rule.pattern.toLowerCase());
+      updated.push(rule);
+      await saveCategoryRules(env, updated);
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>✅ RULE SAVED</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+🏷 ${escapeHtml(describeCategoryRule(rule))}
+
+<i>Use /rule apply to recategorise stored expenses.</i>
+`,
+        parse_mode: 'HTML'
+      });
+    } else if (action === 'remove') {
+      const number = parseInt(argument, 10);
+      if (!/^\d+$/.test(argument) || number < 1 || number > rules.length) {
+        throw new Error(`No rule number "${argument}" found. See /rule list for the numbers.`);
+      }
+      const [removed] = rules.splice(number - 1, 1);
+      await saveCategoryRules(env, rules);
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `<b>🗑 Rule removed:</b> ${escapeHtml(describeCategoryRule(removed))}\n\n<i>Use /rule apply to recategorise stored expenses.</i>`,
+        parse_mode: 'HTML'
+      });
+    } else if (action === 'list') {
+      const lines = rules.map((rule, index) => `${index + 1}. ${escapeHtml(describeCategoryRule(rule))}`);
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>🏷 CATEGORY RULES</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${lines.length > 0 ? lines.join('\n') : '<i>No rules defined yet.</i>'}
+`,
+        parse_mode: 'HTML'
+      });
+    } else if (action === 'apply') {
+      const result = await mutateHistory(env, 'recategorize', { rules });
+      
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>✅ HISTORY RECATEGORISED</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${result.updated} ${result.updated === 1 ? 'expense' : 'expenses'} changed category across ${result.months} ${result.months === 1 ? 'month' : 'months'}.
+`,
+        parse_mode: 'HTML'
+      });
+    } else {
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `
+<b>ℹ️ HOW TO CATEGORISE EXPENSES</b>
+━━━━━━━━━━━━━━━━━━━━━━
+${usage}`,
+        parse_mode: 'HTML'
+      });
+    }
+  } catch (error) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>❌ ERROR</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${escapeHtml(error.message)}
+${usage}`,
+      parse_mode: 'HTML'
+    });
+  }
+}
+
+/**
+ * Handle /merchants command (top merchants, or recurring ones with "recurring")
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
+ * @returns {Promise<void>}
+ */
+export async function handleMerchantsCommand(env, chatId, text) {
+  try {
+    const args = text.replace('/merchants', '').trim().toLowerCase().split(/\s+/);
+    const view = args.includes('recurring') ? 'recurring' : 'top';
+    const page = parseInt(args.find(arg => /^\d+$/.test(arg)), 10) || 1;
+    
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, await buildMerchantsMessage(env, view, page));
+  } catch (error) {
+    console.error('Error listing merchants:', error);
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `Error listing merchants: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Handle merchants:<view>:<page> callback queries from the /merchants page buttons
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} callbackQuery - Callback query data
+ * @returns {Promise<void>}
+ */
+export async function handleMerchantsCallback(env, callbackQuery) {
+  const [, view, page] = callbackQuery.data.split(':');
+  
+  try {
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id);
+    await callTelegramApi(env.TELEGRAM_BOT_TOKEN, 'editMessageText', {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      ...await buildMerchantsMessage(env, view, parseInt(page, 10) || 1)
+    });
+  } catch (error) {
+    console.error('Error handling merchants callback:', error);
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, error.message);
+  }
+}
+
+/**
+ * Handle /chart command (a chart of stored spend, with buttons to switch view)
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
+ * @returns {Promise<void>}
+ */
+export async function handleChartCommand(env, chatId, text) {
+  const view = parseChartView(text.replace('/chart', ''));
+  
+  if (!view) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>📝 USAGE</b>
+/chart [VIEW]
+
+<b>📋 VIEWS</b>
+${CHART_VIEWS.map(chartView => `${getChartViewName(chartView)} - ${getChartViewButton(chartView)}`).join('\n')}
+
+<i>Use the buttons under the chart to switch between views.</i>
+`,
+      parse_mode: 'HTML'
+    });
+    return;
+  }
+  
+  try {
+    const { chart, ...params } = await buildChartMessage(env, view);
+    const response = await sendTelegramPhoto(env.TELEGRAM_BOT_TOKEN, 'sendPhoto', { chat_id: chatId, ...params }, chart);
+    
+    if (!response.ok) {
+      throw new Error(JSON.stringify(await response.json()));
+    }
+  } catch (error) {
+    console.error('Error sending chart:', error);
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `Error sending chart: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Handle chart:<view> callback queries from the /chart view buttons, by
+ * re-rendering the same message with the selected view
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} callbackQuery - Callback query data
+ * @returns {Promise<void>}
+ */
+export async function handleChartCallback(env, callbackQuery) {
+  const view = callbackQuery.data.split(':')[1];
+  
+  try {
+    if (!CHART_VIEWS.includes(view)) {
+      throw new Error('This chart is no longer available.');
+    }
+    
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id);
+    const { chart, caption, parse_mode, reply_markup } = await buildChartMessage(env, view);
+    const response = await sendTelegramPhoto(env.TELEGRAM_BOT_TOKEN, 'editMessageMedia', {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      media: { type: 'photo', media: 'attach://photo', caption, parse_mode },
+      reply_markup
+    }, chart);
+    
+    if (!response.ok) {
+      throw new Error(JSON.stringify(await response.json()));
+    }
+  } catch (error) {
+    console.error('Error handling chart callback:', error);
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, error.message);
+  }
+}
+
+/**
+ * Handle /report command (send the weekly digest or monthly statement now)
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
+ * @param {Function} processReport - Function to build and send a report
+ * @returns {Promise<void>}
+ */
+export async function handleReportCommand(env, chatId, text, processReport) {
+  const type = text.replace('/report', '').trim().toLowerCase();
+  
+  if (!REPORT_TYPES.includes(type)) {
+    const schedules = REPORT_TYPES.map(reportType => `${reportType === 'weekly' ? '🗓 Weekly digest' : '📅 Monthly statement'}: ${describeReportSchedule(reportType, getReportSchedule(env, reportType))}`);
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>📝 USAGE</b>
+/report weekly
+/report monthly
+
+<b>⏰ SCHEDULE</b>
+${schedules.join('\n')}
+
+<i>The weekly digest covers last week (Monday to Sunday), the monthly statement last month.</i>
+`,
+      parse_mode: 'HTML'
+    });
+    return;
+  }
+  
+  try {
+    await processReport(env, type, { chatId });
+  } catch (error) {
+    console.error(`Error sending ${type} report:`, error);
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `Error sending ${type} report: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Handle /fx command (show, set or refresh FX rates)
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
+ * @returns {Promise<void>}
+ */
+export async function handleFxCommand(env, chatId, text) {
+  const usage = `
+<b>📝 USAGE</b>
+/fx
+/fx CURRENCY RATE
+/fx refresh
+
+<b>📋 EXAMPLES</b>
+/fx EUR 1.65
+<i>RATE is the value of one unit of CURRENCY in the reporting currency</i>
+`;
+  
+  try {
+    const parts = text.replace('/fx', '').trim().split(/\s+/).filter(Boolean);
+    let table = await getFxRates(env);
+    let heading = 'FX RATES';
+    
+    if (parts.length === 1 && parts[0].toLowerCase() === 'refresh') {
+      table = await refreshFxRates(env);
+      heading = 'FX RATES REFRESHED';
+    } else if (parts.length === 2) {
+      table = setFxRate(table, parts[0], parts[1].replace(',', '.'));
+      await saveFxRates(env, table);
+      heading = 'FX RATE UPDATED';
+    } else if (parts.length !== 0) {
+      throw new Error('Invalid arguments.');
+    }
+    
+    const lines = Object.keys(table.rates || {}).sort()
+      .map(code => `1 ${code} = ${table.rates[code].toFixed(4)} ${table.base}`);
+    
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>💱 ${heading}</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${lines.length > 0 ? lines.join('\n') : '<i>No FX rates stored yet.</i>'}
+
+<i>Last updated: ${table.updated_at ? table.updated_at.substring(0, 16).replace('T', ' ') : 'never'}${table.source ? ` (${table.source})` : ''}</i>
+`,
+      parse_mode: 'HTML'
+    });
+  } catch (error) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>❌ ERROR</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${escapeHtml(error.message)}
+${usage}`,
+      parse_mode: 'HTML'
+    });
+  }
+}
+
+/**
+ * Handle /cash_list command
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
+ * @returns {Promise<void>}
+ */
+export async function handleCashListCommand(env, chatId, text) {
+  try {
+    const requested = parseInt(text.replace('/cash_list', '').trim(), 10);
+    const limit = Number.isNaN(requested) ? DEFAULT_CASH_LIST_SIZE : Math.min(Math.max(requested, 1), MAX_CASH_LIST_SIZE);
+    
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, await buildCashListMessage(env, limit));
+  } catch (error) {
+    console.error('Error listing cash expenses:', error);
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `Error listing cash expenses: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Handle /cash_delete command
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
+ * @returns {Promise<void>}
+ */
+export async function handleCashDeleteCommand(env, chatId, text) {
+  try {
+    const shortId = text.replace('/cash_delete', '').trim();
+    if (!shortId) {
+      throw new Error('Please provide the ID of the expense to delete, e.g. /cash_delete ab12cd');
+    }
+    
+    const expense = await deleteCashExpense(env, shortId);
+    
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>🗑 EXPENSE DELETED</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${formatCashExpenseLine(expense)}
+`,
+      parse_mode: 'HTML'
+    });
+  } catch (error) {
+    await sendCashErrorMessage(env, chatId, error);
+  }
+}
+
+/**
+ * Handle /cash_edit command
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} text - Command text
+ * @returns {Promise<void>}
+ */
+export async function handleCashEditCommand(env, chatId, text) {
+  try {
+    const [shortId, ...amountWords] = text.replace('/cash_edit', '').trim().split(/\s+/);
+    if (!shortId || amountWords.length === 0) {
+      throw new Error('Please provide the ID and the new amount, e.g. /cash_edit ab12cd 30.00');
+    }
+    
+    const expense = await findManualExpense(env, shortId);
+    if (!expense) {
+      throw new Error(`No cash expense with ID "${shortId}" found.`);
+    }
+    
+    // Same amount syntax as /add_cash_expense; without a currency the expense keeps its own
+    const { amount, currency } = parseCashAmount(amountWords.join(' '), expense.spent_amount.currency);
+    
+    const { expense: updated } = await mutateHistory(env, 'updateExpense', {
+      id: expense.id,
+      date: getExpenseDateKey(expense),
+      changes: { spent_amount: { ...expense.spent_amount, amount, currency } }
+    });
+    
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `
+<b>✏️ EXPENSE UPDATED</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+<b>Before:</b> ${formatCashExpenseLine(expense)}
+<b>After:</b> ${formatCashExpenseLine(updated)}
+`,
+      parse_mode: 'HTML'
+    });
+  } catch (error) {
+    await sendCashErrorMessage(env, chatId, error);
+  }
+}
+
+/**
+ * Handle cash_delete:<id> and cash_edit:<id> callback queries from /cash_list
+ * 
+ * @param {Object} env - Environment variables 
+ * @param {Object} callbackQuery - Callback query data
+ * @returns {Promise<void>}
+ */
+export async function handleCashCallback(env, callbackQuery) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const [action, shortId] = callbackQuery.data.split(':');
+  
+  try {
+    if (action === 'cash_delete') {
+      const expense = await deleteCashExpense(env, shortId);
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, `Deleted ${formatCurrency(expense.spent_amount.amount, expense.spent_amount.currency)} ${getCashCategory(expense)}`);
+      
+      // Refresh the list in place
+      const list = await buildCashListMessage(env, DEFAULT_CASH_LIST_SIZE);
+      await callTelegramApi(env.TELEGRAM_BOT_TOKEN, 'editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        ...list
+      });
+    } else if (action === 'cash_edit') {
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id);
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: `Send the new amount for this expense as:\n<code>/cash_edit ${shortId} AMOUNT</code>`,
+        parse_mode: 'HTML'
+      });
+    }
+  } catch (error) {
+    console.error('Error handling cash expense callback:', error);
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, error.message);
+  }
+}
+
+/**
+ * Handle a free-text reply that continues a guided /add_cash_expense conversation
+ * 
+ * Messages from users without an active conversation in the chat are ignored.
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID of the sender
+ * @param {string} text - Message text
+ * @returns {Promise<void>}
+ */
+export async function handleConversationMessage(env, chatId, userId, text) {
+  const conversation = await getConversation(env, chatId, userId);
+  if (!conversation) {
+    return;
+  }
+  
+  try {
+    const { data } = conversation;
+    
+    if (conversation.step === 'amount') {
+      const { amount, currency } = parseCashAmount(text, env.DEFAULT_CURRENCY || 'AUD');
+      await advanceConversation(env, chatId, userId, { ...data, amount, currency }, 'category');
+    } else if (conversation.step === 'category') {
+      const category = text.trim();
+      if (!category) {
+        throw new Error('Please send a category name.');
+      }
+      await advanceConversation(env, chatId, userId, { ...data, category }, 'date');
+    } else if (conversation.step === 'date') {
+      const date = parseCashDate(text, getToday(env));
+      await advanceConversation(env, chatId, userId, { ...data, date }, 'confirm');
+    } else {
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: 'Please use the buttons above to save or cancel the expense.'
+      });
+    }
+  } catch (error) {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `❌ ${escapeHtml(error.message)}\n\n<i>Try again, or send /cancel to stop.</i>`,
+      parse_mode: 'HTML'
+    });
+  }
+}
+
+/**
+ * Handle conv:* callback queries from the guided /add_cash_expense conversation
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} callbackQuery - Callback query data
+ * @returns {Promise<void>}
+ */
+export async function handleConversationCallback(env, callbackQuery) {
+  const chatId = callbackQuery.message.chat.id;
+  const userId = callbackQuery.from.id;
+  const messageId = callbackQuery.message.message_id;
+  const [, action, value] = callbackQuery.data.split(':');
+  
+  try {
+    // Only the user who started the conversation finds it under their ID
+    const conversation = await getConversation(env, chatId, userId);
+    
+    // Buttons from an expired or finished conversation
+    if (!conversation) {
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, 'This conversation has expired. Send /add_cash_expense to start again.');
+      await callTelegramApi(env.TELEGRAM_BOT_TOKEN, 'editMessageReplyMarkup', {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: { inline_keyboard: [] }
+      });
+      return;
+    }
+    
+    const { data, step } = conversation;
+    
+    if (action === 'cancel') {
+      await clearConversation(env, chatId, userId);
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, 'Cancelled');
+      await closePrompt(env, chatId, messageId, '<i>Cancelled, nothing was saved.</i>');
+    } else if (action === 'cat' && step === 'category' && data.categories?.[value] !== undefined) {
+      const category = data.categories[value];
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id);
+      await closePrompt(env, chatId, messageId, `<b>📂 Category:</b> ${escapeHtml(category)}`);
+      await advanceConversation(env, chatId, userId, { ...data, category }, 'date');
+    } else if (action === 'date' && step === 'date' && value === 'pick') {
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id);
+      await closePrompt(env, chatId, messageId, '<b>📅 When?</b>');
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+        text: 'Send the date, e.g. <code>2025-03-15</code>, <code>15/03</code>, <code>mon</code> or <code>3 days ago</code>.',
+        parse_mode: 'HTML'
+      });
+    } else if (action === 'date' && step === 'date' && (value === 'today' || value === 'yesterday')) {
+      const date = parseCashDate(value, getToday(env));
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id);
+      await closePrompt(env, chatId, messageId, `<b>📅 Date:</b> ${date}`);
+      await advanceConversation(env, chatId, userId, { ...data, date }, 'confirm');
+    } else if (action === 'save' && step === 'confirm') {
+      const expense = await addCashExpense(env, data);
+      await clearConversation(env, chatId, userId);
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, 'Expense added');
+      await closePrompt(env, chatId, messageId, `
+<b>✅ EXPENSE ADDED SUCCESSFULLY</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${formatConversationSummary(data)}
+<b>🆔 ID:</b> <code>${getShortExpenseId(expense)}</code>
+
+<i>Use /cash_list to review or fix it.</i>
+`);
+    } else {
+      await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, 'That button is no longer active.');
+    }
+  } catch (error) {
+    console.error('Error handling conversation callback:', error);
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, error.message);
+  }
+}
+
+/**
+ * Handle /cancel command, ending the sender's guided conversation
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID of the sender
+ * @returns {Promise<void>}
+ */
+export async function handleCancelCommand(env, chatId, userId) {
+  const conversation = await getConversation(env, chatId, userId);
+  await clearConversation(env, chatId, userId);
+  
+  await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+    text: conversation ? 'Cancelled, nothing was saved.' : 'Nothing to cancel.'
+  });
+}
+
+/**
+ * Handle update_now callback query
+ * 
+ * @param {Object} env - Environment variables 
+ * @param {Object} callbackQuery - Callback query data
+ * @param {Function} processDailySpendRate - Function to process daily spend rate
+ * @returns {Promise<void>}
+ */
+export async function handleUpdateCallback(env, callbackQuery, processDailySpendRate) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  
+  // Acknowledge the callback query
+  await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, 'Updating spend data...');
+  
+  try {
+    // Process the data and update the message
+    await processDailySpendRate(env, { messageId });
+    
+    // Save this message ID for future updates
+    await env.TELEGRAM_STATE.put('last_message_id', messageId.toString());
+  } catch (error) {
+    console.error('Error updating spend data:', error);
+    
+    // Send error message
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+      text: `Error updating spend data: ${error.message}`,
+      reply_to_message_id: messageId
+    });
+  }
+}
+
+/**
+ * Handle the "Looks fine" button of an anomaly alert (anomaly_ok:<id>)
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} callbackQuery - Callback query data
+ * @returns {Promise<void>}
+ */
+export async function handleAnomalyCallback(env, callbackQuery) {
+  const id = callbackQuery.data.split(':')[1];
+  
+  try {
+    await acknowledgeAnomaly(env, id, { acknowledgedBy: callbackQuery.from?.id });
+    
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, '👍 Marked as fine');
+    await callTelegramApi(env.TELEGRAM_BOT_TOKEN, 'editMessageReplyMarkup', {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id,
+      reply_markup: { inline_keyboard: [] }
+    });
+  } catch (error) {
+    console.error('Error handling anomaly callback:', error);
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, callbackQuery.id, error.message);
+  }
+}
+
+/**
+ * Add a cash expense to historical data
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} details - Parsed expense details
+ * @param {number} details.amount - Expense amount
+ * @param {string} details.currency - Currency code
+ * @param {string} details.category - Expense category
+ * @param {string} details.date - Expense date in YYYY-MM-DD format
+ * @param {string|null} details.merchant - Merchant name
+ * @param {string|null} details.note - Free-text note
+ * @returns {Promise<Object>} - The stored expense
+ */
+async function addCashExpense(env, { amount, currency, category, date, merchant = null, note = null }) {
+  // Create expense object
+  const cashExpense = {
+    id: `cash_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
+    state: 'COMPLETED',
+    spent_amount: {
+      amount: amount,
+      currency: currency
+    },
+    expense_date: date,
+    category: 'Cash',
+    merchant: {
+      category: category,
+      ...(merchant ? { name: merchant } : {})
+    },
+    ...(note ? { note } : {}),
+    is_manual_entry: true
+  };
+  
+  // Add the expense to its month; daily totals are recalculated on save
+  await mutateHistory(env, 'addExpense', { expense: cashExpense });
+  
+  return cashExpense;
+}
+
+/**
+ * Start a guided /add_cash_expense conversation by asking for the amount
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID of the sender
+ * @returns {Promise<void>}
+ */
+async function startCashConversation(env, chatId, userId) {
+  await saveConversation(env, chatId, userId, { flow: 'add_cash_expense', step: 'amount', data: {} });
+  
+  await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+    text: `
+<b>💵 ADD CASH EXPENSE</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+How much did you spend?
+<i>e.g. 25.50, 12,50 or €12.50</i>
+
+<i>Tip: add everything at once with /add_cash_expense AMOUNT CATEGORY [DATE]</i>
+`,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'conv:cancel' }]] }
+  });
+}
+
+/**
+ * Save the answers so far, move the conversation to its next step and ask
+ * the question for that step
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID of the conversation's owner
+ * @param {Object} data - Answers collected so far
+ * @param {string} step - Next step (category, date or confirm)
+ * @returns {Promise<void>}
+ */
+async function advanceConversation(env, chatId, userId, data, step) {
+  const cancelButton = { text: '❌ Cancel', callback_data: 'conv:cancel' };
+  let message;
+  
+  if (step === 'category') {
+    const categories = await getRecentCategories(env);
+    data = { ...data, categories };
+    
+    // Two category buttons per row
+    const rows = [];
+    for (let i = 0; i < categories.length; i += 2) {
+      rows.push(categories.slice(i, i + 2).map((category, offset) => ({
+        text: category,
+        callback_data: `conv:cat:${i + offset}`
+      })));
+    }
+    
+    message = {
+      text: `<b>📂 Which category?</b>\n<i>${categories.length > 0 ? 'Pick one below or type a new one.' : 'Type a category name.'}</i>`,
+      reply_markup: { inline_keyboard: [...rows, [cancelButton]] }
+    };
+  } else if (step === 'date') {
+    message = {
+      text: '<b>📅 When?</b>',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: 'Today', callback_data: 'conv:date:today' },
+            { text: 'Yesterday', callback_data: 'conv:date:yesterday' },
+            { text: 'Pick a date', callback_data: 'conv:date:pick' }
+          ],
+          [cancelButton]
+        ]
+      }
+    };
+  } else {
+    message = {
+      text: `
+<b>💵 SAVE THIS EXPENSE?</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${formatConversationSummary(data)}`,
+      reply_markup: {
+        inline_keyboard: [[{ text: '✅ Save', callback_data: 'conv:save' }, cancelButton]]
+      }
+    };
+  }
+  
+  await saveConversation(env, chatId, userId, { flow: 'add_cash_expense', step, data });
+  await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, { ...message, parse_mode: 'HTML' });
+}
+
+/**
+ * Format the answers of a guided conversation
+ * 
+ * @param {Object} data - Answers collected so far
+ * @returns {string} - Summary lines
+ */
+function formatConversationSummary(data) {
+  return `<b>💰 Amount:</b> ${formatCurrency(data.amount, data.currency)}
+<b>📂 Category:</b> ${escapeHtml(data.category)}
+<b>📅 Date:</b> ${data.date}`;
+}
+
+/**
+ * Replace a conversation prompt with the answer given, removing its buttons
  * 
- * @param {string} botToken - Telegram bot token
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {number} messageId - Prompt message ID
+ * @param {string} text - New message text (HTML)
+ * @returns {Promise<Object>} - API response
+ */
+async function closePrompt(env, chatId, messageId, text) {
+  return callTelegramApi(env.TELEGRAM_BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: messageId,
+    text,
+    parse_mode: 'HTML'
+  });
+}
+
+/**
+ * Get the most used categories from recent history, most frequent first
+ * 
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array<string>>} - Category names
+ */
+async function getRecentCategories(env) {
+  const today = getToday(env);
+  const expenses = await getExpensesInRange(env, addDays(today, -CATEGORY_HISTORY_DAYS), today);
+  const counts = {};
+  for (const expense of expenses) {
+    const category = getExpenseCategory(expense);
+    counts[category] = (counts[category] || 0) + 1;
+  }
+  
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CATEGORY_BUTTONS)
+    .map(([category]) => category);
+}
+
+/**
+ * Get the KV key of a user's guided conversation in a chat
+ * 
+ * Group members each get their own conversation, so replies from one member
+ * never answer another member's questions.
+ * 
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID
+ * @returns {string} - KV key
+ */
+function getConversationKey(chatId, userId) {
+  return `${CONVERSATION_KEY_PREFIX}${chatId}:${userId}`;
+}
+
+/**
+ * Get a user's active guided conversation in a chat
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<Object|null>} - Conversation ({ flow, step, data, expires_at }) or null
+ */
+async function getConversation(env, chatId, userId) {
+  const conversation = await env.TELEGRAM_STATE.get(getConversationKey(chatId, userId), { type: 'json' });
+  
+  // KV expiry is not exact, so check the deadline as well
+  if (conversation && conversation.expires_at < Date.now()) {
+    await clearConversation(env, chatId, userId);
+    return null;
+  }
+  
+  return conversation;
+}
+
+/**
+ * Save a user's guided conversation in a chat, extending its timeout
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID
+ * @param {Object} conversation - Conversation ({ flow, step, data })
+ * @returns {Promise<void>}
+ */
+async function saveConversation(env, chatId, userId, conversation) {
+  const minutes = parseFloat(env.CONVERSATION_TIMEOUT_MINUTES);
+  const timeoutMs = (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_CONVERSATION_TIMEOUT_MINUTES) * 60 * 1000;
+  
+  await env.TELEGRAM_STATE.put(
+    getConversationKey(chatId, userId),
+    JSON.stringify({ ...conversation, expires_at: Date.now() + timeoutMs }),
+    // KV does not accept expirations shorter than a minute
+    { expirationTtl: Math.max(60, Math.ceil(timeoutMs / 1000)) }
+  );
+}
+
+/**
+ * Remove a user's guided conversation in a chat
+ * 
+ * @param {Object} env - Environment variables
  * @param {string} chatId - Telegram chat ID
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<void>}
+ */
+async function clearConversation(env, chatId, userId) {
+  await env.TELEGRAM_STATE.delete(getConversationKey(chatId, userId));
+}
+
+/**
+ * Delete a cash expense by short ID
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} shortId - Short expense ID
+ * @returns {Promise<Object>} - The deleted expense
+ */
+async function deleteCashExpense(env, shortId) {
+  const expense = await findManualExpense(env, shortId);
+  if (!expense) {
+    throw new Error(`No cash expense with ID "${shortId}" found.`);
+  }
+  
+  // Daily totals for the expense's month are recalculated on save
+  await mutateHistory(env, 'deleteExpense', { id: expense.id, date: getExpenseDateKey(expense) });
+  return expense;
+}
+
+/**
+ * Build the /cash_list message with delete and edit buttons per entry
+ * 
+ * @param {Object} env - Environment variables
+ * @param {number} limit - Number of entries to show
+ * @returns {Promise<Object>} - Message data
+ */
+async function buildCashListMessage(env, limit) {
+  const expenses = await getManualExpenses(env, limit);
+  
+  if (expenses.length === 0) {
+    return {
+      text: '<i>No cash expenses recorded yet. Add one with /add_cash_expense.</i>',
+      parse_mode: 'HTML'
+    };
+  }
+  
+  const lines = expenses.map(exp => `<code>${getShortExpenseId(exp)}</code> ${formatCashExpenseLine(exp)}`);
+  const buttons = expenses.map(exp => {
+    const shortId = getShortExpenseId(exp);
+    return [
+      { text: `🗑 ${shortId}`, callback_data: `cash_delete:${shortId}` },
+      { text: `✏️ ${shortId}`, callback_data: `cash_edit:${shortId}` }
+    ];
+  });
+  
+  return {
+    text: `
+<b>💵 RECENT CASH EXPENSES</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${lines.join('\n')}
+
+<i>Use the buttons below, /cash_delete ID or /cash_edit ID AMOUNT</i>
+`,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  };
+}
+
+/**
+ * Build one page of the /merchants list
+ * 
+ * Top merchants cover the configured reporting period; recurring merchants
+ * are those still charging on a regular cadence.
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} view - "top" or "recurring"
+ * @param {number} page - Page number, starting at 1
+ * @returns {Promise<Object>} - Message data
+ */
+async function buildMerchantsMessage(env, view, page) {
+  const currency = getReportingCurrency(env);
+  const fxRates = await getFxRates(env);
+  const period = getSpendPeriod(env);
+  const expenses = (await getExpensesInRange(env, getMerchantHistoryStart(period.from, period.to), period.to))
+    .map(exp => normalizeExpense(exp, currency, fxRates, getAccountCurrency(env)));
+  const summary = summarizeMerchants(expenses, { from: period.from, to: period.to, timeZone: getTimezone(env) });
+  
+  const recurring = view === 'recurring';
+  const entries = recurring ? summary.recurring.filter(entry => entry.active) : summary.merchants;
+  const pages = Math.max(1, Math.ceil(entries.length / MERCHANTS_PAGE_SIZE));
+  const current = Math.min(Math.max(page, 1), pages);
+  const start = (current - 1) * MERCHANTS_PAGE_SIZE;
+  
+  const lines = entries.slice(start, start + MERCHANTS_PAGE_SIZE).map((entry, index) => (recurring
+    ? `🔁 <b>${escapeHtml(entry.merchant)}</b> · ${entry.cadence}\n     ~${formatCurrency(entry.typicalAmount, currency)} · next ~${entry.nextExpected}`
+    : `${start + index + 1}. <b>${escapeHtml(entry.merchant)}</b>${entry.recurring ? ' 🔁' : ''}\n     ${formatCurrency(entry.total, currency)} · ${entry.count}× · avg ${formatCurrency(entry.averageTicket, currency)} · last ${entry.lastSeen}`));
+  
+  const empty = recurring ? '<i>No recurring merchants found.</i>' : '<i>No merchant spend in this period.</i>';
+  const intro = recurring
+    ? `💳 About ${formatCurrency(summary.recurringMonthlyTotal, currency)} a month`
+    : `📊 <b>Period:</b> ${describePeriod(period)}`;
+  
+  const navigation = [];
+  if (current > 1) {
+    navigation.push({ text: '◀️ Previous', callback_data: `merchants:${view}:${current - 1}` });
+  }
+  if (current < pages) {
+    navigation.push({ text: 'Next ▶️', callback_data: `merchants:${view}:${current + 1}` });
+  }
+  const toggle = recurring
+    ? { text: '🏪 Top merchants', callback_data: 'merchants:top:1' }
+    : { text: '🔁 Recurring', callback_data: 'merchants:recurring:1' };
+  
+  return {
+    text: `
+<b>${recurring ? '🔁 RECURRING MERCHANTS' : '🏪 TOP MERCHANTS'}</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${intro}
+
+${lines.length > 0 ? lines.join('\n') : empty}
+
+<i>Page ${current} of ${pages}</i>
+`,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [...(navigation.length > 0 ? [navigation] : []), [toggle]] }
+  };
+}
+
+/**
+ * Build a /chart message: the chart of a view from stored history, its
+ * caption and the view buttons, with the selected view marked
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} view - Chart view (see chartViews.js)
+ * @returns {Promise<Object>} - Message data ({ chart, caption, parse_mode, reply_markup }), the chart as a PNG image
+ */
+async function buildChartMessage(env, view) {
+  const currency = getReportingCurrency(env);
+  const today = getToday(env);
+  const period = getSpendPeriod(env, today);
+  const timeZone = getTimezone(env);
+  const expenses = await getExpensesInRange(env, getChartHistoryStart(view, { today, period }), today);
+  
+  const { chart, summary } = buildChartView(view, expenses, {
+    today,
+    period,
+    currency,
+    fxRates: await getFxRates(env),
+    accountCurrency: getAccountCurrency(env),
+    targetConfig: await getTargetConfig(env),
+    budgets: await getBudgets(env),
+    timeZone,
+    formatAmount: amount => formatCurrency(amount, currency)
+  });
+  
+  return {
+    chart: await renderChart(chart),
+    caption: `
+<b>📊 SPEND CHART</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${summary.join('\n')}
+
+<i>Last updated: ${formatLocalDateTime(new Date(), timeZone)}</i>
+`,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: CHART_BUTTON_ROWS.map(row => row.map(chartView => ({
+        text: chartView === view ? `• ${getChartViewButton(chartView)} •` : getChartViewButton(chartView),
+        callback_data: `chart:${chartView}`
+      })))
+    }
+  };
+}
+
+/**
+ * Format a cash expense as a single line
+ * 
+ * @param {Object} expense - Cash expense
+ * @returns {string} - Formatted line
+ */
+function formatCashExpenseLine(expense) {
+  const amount = formatCurrency(expense.spent_amount.amount, expense.spent_amount.currency);
+  const merchant = expense.merchant?.name ? ` @ ${escapeHtml(expense.merchant.name)}` : '';
+  return `${getExpenseDateKey(expense)} · ${amount} · ${escapeHtml(getCashCategory(expense))}${merchant}`;
+}
+
+/**
+ * Get the category a cash expense was recorded under
+ * 
+ * @param {Object} expense - Cash expense
+ * @returns {string} - Category name
+ */
+function getCashCategory(expense) {
+  return expense.merchant?.category || expense.category || 'Cash';
+}
+
+/**
+ * Build Approve / Reject buttons for a pending chat
+ * 
+ * @param {string} chatId - Chat ID of the request
+ * @returns {Array<Object>} - Keyboard row
+ */
+function buildAccessButtons(chatId) {
+  return [
+    { text: `✅ Approve ${chatId}`, callback_data: `access_approve:${chatId}` },
+    { text: '❌ Reject', callback_data: `access_reject:${chatId}` }
+  ];
+}
+
+/**
+ * Send a message to every admin listed in TELEGRAM_ADMIN_IDS
+ * 
+ * @param {Object} env - Environment variables
  * @param {Object} messageData - Message data
+ * @returns {Promise<void>}
+ */
+async function notifyAdmins(env, messageData) {
+  const adminIds = getAdminIds(env);
+  if (adminIds.length === 0) {
+    console.warn('TELEGRAM_ADMIN_IDS is not set; nobody was notified of the access request');
+    return;
+  }
+  
+  for (const adminId of adminIds) {
+    try {
+      await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, adminId, messageData);
+    } catch (error) {
+      console.error(`Error notifying admin ${adminId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Let a chat know its access request was approved
+ * 
+ * @param {Object} env - Environment variables
+ * @param {Object} entry - Approved chat entry
+ * @returns {Promise<void>}
+ */
+async function sendApprovalNotice(env, entry) {
+  try {
+    await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, entry.chat_id, {
+      text: '✅ Your access to the Daily Spend Rate bot has been approved. Send /stats to get started.'
+    });
+  } catch (error) {
+    console.error(`Error notifying chat ${entry.chat_id} of approval:`, error.message);
+  }
+}
+
+/**
+ * Send an error message for the cash expense commands
+ * 
+ * @param {Object} env - Environment variables
+ * @param {string} chatId - Telegram chat ID
+ * @param {Error} error - Error to report
+ * @returns {Promise<void>}
+ */
+async function sendCashErrorMessage(env, chatId, error) {
+  await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, chatId, {
+    text: `
+<b>❌ ERROR</b>
+━━━━━━━━━━━━━━━━━━━━━━
+
+${escapeHtml(error.message)}
+
+<b>📝 USAGE</b>
+/cash_list [N]
+/cash_delete ID
+/cash_edit ID AMOUNT
+`,
+    parse_mode: 'HTML'
+  });
+}
+
+/**
+ * Acknowledge a callback query
+ * 
+ * @param {string} botToken - Telegram bot token
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {string} text - Optional notification text
  * @returns {Promise<Object>} - API response
  */
-export async function sendTelegramMessage(botToken, chatId, messageData) {
-  const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+export async function answerCallbackQuery(botToken, callbackQueryId, text = undefined) {
+  return callTelegramApi(botToken, 'answerCallbackQuery', {
+    callback_query_id: callbackQueryId,
+    text
+  });
+}
+
+/**
+ * Call a Telegram Bot API method
+ * 
+ * @param {string} botToken - Telegram bot token
+ * @param {string} method - API method name
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - API response
+ */
+export async function callTelegramApi(botToken, method, body) {
+  const response = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({
-      chat_id: chatId,
-      ...messageData
-    })
+    body: JSON.stringify(body)
   });
   
   return await response.json();
 }
 
 /**
- * Send a chart with spend data via Telegram
+ * Get the length Telegram counts for an HTML caption: the text without tags
+ * 
+ * @param {string} html - Caption in Telegram HTML
+ * @returns {number} - Length in UTF-16 code units
+ */
+export function getCaptionLength(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(lt|gt|amp|quot);/g, ' ')
+    .length;
+}
+
+/**
+ * Send a message via Telegram API
  * 
  * @param {string} botToken - Telegram bot token
  * @param {string} chatId - Telegram chat ID
- * @param {Object} spendRate - Spend rate data
- * @param {string} title - Optional title for the chart
- * @param {string} footer - Optional footer text
+ * @param {Object} messageData - Message data
  * @returns {Promise<Object>} - API response
  */
-export async function sendTelegramChart(botToken, chatId, spendRate, title = 'DAILY SPEND STATS', footer = '') {
-  const chartUrl = generateChartUrl(spendRate, title);
-  
-  const captionText = generateCaptionText(spendRate, title, footer);
-  
-  const response = await fetch(`https://api.telegram.org/bot${botToken}/sendPhoto`, {
+export async function sendTelegramMessage(botToken, chatId, messageData) {
+  const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
     body: JSON.stringify({
       chat_id: chatId,
-      photo: chartUrl,
-      caption: captionText,
-      parse_mode: 'HTML',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '🔄 Update Now', callback_data: 'update_now' }]
-        ]
-      }
+      ...messageData
     })
   });
   
@@ -321,259 +1892,117 @@ export async function sendTelegramChart(botToken, chatId, spendRate, title = 'DA
 }
 
 /**
- * Generate a URL for the spend chart
+ * Send or edit a message with a photo via Telegram, uploading the photo
+ * with the request (multipart/form-data)
  * 
- * @param {Object} spendRate - Spend rate data
- * @param {string} title - Chart title
- * @returns {string} - Chart URL
- */
-function generateChartUrl(spendRate, title = 'Daily Spend Rate') {
-  // Get the last 14 days of data
-  const dailyRates = spendRate.historicalData?.dailyRates || {};
-  const dates = Object.keys(dailyRates).sort();
-  const recentDates = dates.slice(-14);
-  
-  // Extract data for the chart
-  const chartData = recentDates.map(date => dailyRates[date] || 0);
-  const chartLabels = recentDates.map(date => {
-    // Format date as DD/MM
-    const [year, month, day] = date.split('-');
-    return `${day}/${month}`;
-  });
-  
-  // Create target line data (constant value for all dates)
-  const targetData = Array(recentDates.length).fill(150);
-  
-  // Define modern color palette
-  const primaryColor = '#7C3AED'; // Purple
-  const primaryGradient = ['rgba(124, 58, 237, 0.8)', 'rgba(124, 58, 237, 0.2)']; // Purple gradient
-  const targetColor = '#F43F5E'; // Rose/Pink
+ * The photo is attached as "photo": sendPhoto takes it directly, and
+ * editMessageMedia refers to it as "attach://photo" in its media.
+ * 
+ * @param {string} botToken - Telegram bot token
+ * @param {string} method - Bot API method (sendPhoto or editMessageMedia)
+ * @param {Object} params - Method parameters; objects are sent as JSON
+ * @param {Uint8Array} photo - PNG image
+ * @returns {Promise<Response>} - API response
+ */
+export async function sendTelegramPhoto(botToken, method, params, photo) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(params)) {
+    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  form.append('photo', new Blob([photo], { type: 'image/png' }), 'chart.png');
   
-  // Calculate gradient stops for better visual effect
-  const gradientStops = chartData.map((value, index) => {
-    return {
-      stop: index / (chartData.length - 1),
-      color: primaryGradient[0]
-    };
+  return await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
+    method: 'POST',
+    body: form
   });
+}
+
+/**
+ * Send a chart with spend data via Telegram
+ * 
+ * @param {string} botToken - Telegram bot token
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} spendRate - Spend rate data
+ * @param {string} title - Optional title for the chart
+ * @param {string} footer - Optional footer text
+ * @returns {Promise<Object>} - API response
+ */
+export async function sendTelegramChart(botToken, chatId, spendRate, title = 'DAILY SPEND STATS', footer = '') {
+  const chart = await renderSpendChart(spendRate, title);
   
-  // Add final gradient stop
-  gradientStops.push({
-    stop: 1,
-    color: primaryGradient[1]
-  });
+  const captionText = generateCaptionText(spendRate, title, footer);
   
-  // Define chart configuration
-  const chartConfig = {
-    type: 'bar',
-    data: {
-      labels: chartLabels,
-      datasets: [
-        {
-          label: 'Daily Spend',
-          data: chartData,
-          backgroundColor: function(context) {
-            const chart = context.chart;
-            const { ctx, chartArea } = chart;
-            
-            if (!chartArea) {
-              return primaryColor;
-            }
-            
-            const gradient = ctx.createLinearGradient(0, chartArea.bottom, 0, chartArea.top);
-            gradient.addColorStop(0, primaryGradient[1]);
-            gradient.addColorStop(1, primaryGradient[0]);
-            
-            return gradient;
-          },
-          borderColor: 'transparent',
-          borderWidth: 0,
-          borderRadius: 6,
-          barThickness: 12,
-          maxBarThickness: 16
-        },
-        {
-          label: 'Target ($150/day)',
-          data: targetData,
-          type: 'line',
-          fill: false,
-          borderColor: targetColor,
-          borderWidth: 2,
-          borderDash: [3, 3],
-          pointRadius: 0,
-          tension: 0.4
-        }
+  const response = await sendTelegramPhoto(botToken, 'sendPhoto', {
+    chat_id: chatId,
+    caption: captionText,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '🔄 Update Now', callback_data: 'update_now' }]
       ]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: true,
-      plugins: {
-        legend: {
-          display: true,
-          position: 'top',
-          align: 'end',
-          labels: {
-            boxWidth: 15,
-            usePointStyle: true,
-            pointStyle: 'circle',
-            padding: 20,
-            font: {
-              family: 'Inter, system-ui, sans-serif',
-              size: 12
-            }
-          }
-        },
-        title: {
-          display: true,
-          text: title,
-          font: {
-            family: 'Inter, system-ui, sans-serif',
-            size: 16,
-            weight: 'bold'
-          },
-          padding: {
-            top: 10,
-            bottom: 20
-          }
-        },
-        tooltip: {
-          backgroundColor: 'rgba(0, 0, 0, 0.7)',
-          titleFont: {
-            family: 'Inter, system-ui, sans-serif',
-            size: 13
-          },
-          bodyFont: {
-            family: 'Inter, system-ui, sans-serif',
-            size: 12
-          },
-          padding: 12,
-          cornerRadius: 6,
-          caretSize: 6,
-          displayColors: false,
-          callbacks: {
-            label: function(context) {
-              let label = context.dataset.label || '';
-              if (label) {
-                label += ': ';
-              }
-              if (context.parsed.y !== null) {
-                label += `$${context.parsed.y.toFixed(2)}`;
-              }
-              return label;
-            }
-          }
-        }
-      },
-      layout: {
-        padding: {
-          left: 5,
-          right: 15,
-          top: 5,
-          bottom: 5
-        }
-      },
-      scales: {
-        x: {
-          grid: {
-            display: false,
-            drawBorder: false
-          },
-          ticks: {
-            padding: 8,
-            font: {
-              family: 'Inter, system-ui, sans-serif',
-              size: 11
-            }
-          }
-        },
-        y: {
-          position: 'right',
-          beginAtZero: true,
-          grid: {
-            color: 'rgba(0, 0, 0, 0.06)',
-            drawBorder: false,
-            lineWidth: 1
-          },
-          ticks: {
-            padding: 10,
-            font: {
-              family: 'Inter, system-ui, sans-serif',
-              size: 11
-            },
-            callback: (value) => `$${value}`
-          },
-          title: {
-            display: true,
-            text: spendRate.currency || 'AUD',
-            font: {
-              family: 'Inter, system-ui, sans-serif',
-              size: 12
-            }
-          }
-        }
-      },
-      animation: {
-        duration: 1000,
-        easing: 'easeOutQuart'
-      }
     }
-  };
+  }, chart);
   
-  // Encode chart configuration as URL
-  const encodedConfig = encodeURIComponent(JSON.stringify(chartConfig));
-  return `https://quickchart.io/chart?c=${encodedConfig}&width=600&height=350&devicePixelRatio=2.0&backgroundColor=white`;
+  return await response.json();
 }
 
 /**
- * Generate caption text for Telegram message
+ * Generate the caption of a spend stats chart, used by both scheduled
+ * notifications and bot commands
+ * 
+ * When the caption is too long for Telegram, the optional sections are left
+ * out one at a time in CAPTION_TRIM_ORDER until it fits.
  * 
  * @param {Object} spendRate - Spend rate data
  * @param {string} title - Message title
  * @param {string} footer - Optional footer text
  * @returns {string} - Formatted caption text
  */
-function generateCaptionText(spendRate, title, footer = '') {
-  return `
+export function generateCaptionText(spendRate, title = 'DAILY SPEND STATS', footer = '') {
+  const formatAmount = amount => formatCurrency(amount, spendRate.currency);
+  const buildCaption = omitted => {
+    const show = section => !omitted.includes(section);
+    const comparison = spendRate.comparison && show('comparison')
+      ? `\n<b>↕️ VS LAST WEEK AND MONTH</b>\n${describeComparison(spendRate.comparison, formatAmount)}\n`
+      : '';
+    const movers = spendRate.comparison?.movers.length > 0 && show('movers')
+      ? `\n<b>🔀 BIGGEST MOVERS (MONTH TO DATE)</b>\n${describeMovers(spendRate.comparison, formatAmount)}\n`
+      : '';
+    const refunds = spendRate.refunds?.count > 0 && show('refunds')
+      ? `\n<b>↩️ REFUNDS</b>\n${describeRefunds(spendRate.refunds, formatAmount)}\n`
+      : '';
+    const forecast = spendRate.forecast && show('forecast')
+      ? `\n<b>🔮 FORECAST</b>\n${describeForecast(spendRate.forecast, formatAmount, { warnings: show('forecastWarnings') })}\n`
+      : '';
+    
+    return `
 <b>💰 ${title}</b>
 ━━━━━━━━━━━━━━━━━━━━━━
 
-📊 <b>Period:</b> Last ${spendRate.periodDays} days
-📈 <b>Daily Rate:</b> ${formatCurrency(spendRate.dailyRate, spendRate.currency)}
-💵 <b>Total:</b> ${formatCurrency(spendRate.totalAmount, spendRate.currency)}
+📊 <b>Period:</b> ${spendRate.period ? describePeriod(spendRate.period) : `Last ${spendRate.periodDays} days`}
+📈 <b>Daily Rate:</b> ${formatAmount(spendRate.dailyRate)}
+💵 <b>Total:</b> ${formatAmount(spendRate.totalAmount)}${spendRate.refunds?.count > 0 ? ` (after ${formatAmount(spendRate.refunds.total)} refunded)` : ''}
 
 <b>📅 AVERAGES</b>
-┌─ 7-Day: ${formatCurrency(spendRate.movingAverage7Day, spendRate.currency)}
-└─ 30-Day: ${formatCurrency(spendRate.movingAverage30Day, spendRate.currency)}
-
-<b>🎯 TARGET ($150/day)</b>
+┌─ 7-Day: ${formatAmount(spendRate.movingAverage7Day)}${spendRate.comparison ? ` (${formatChange(spendRate.comparison.averages.change, spendRate.movingAverage7Day)} vs 30-Day)` : ''}
+├─ 30-Day: ${formatAmount(spendRate.movingAverage30Day)}
+├─ 7-Day Weighted: ${formatAmount(spendRate.movingAverages.weighted[7])}
+└─ 7-Day Exponential: ${formatAmount(spendRate.movingAverages.exponential[7])}
+${comparison}${movers}
+<b>🎯 TARGET (${formatAmount(spendRate.targetDailyRate)}/day)</b>
 ${spendRate.targetSpendAmount > 0 
-  ? `You need to spend <b>${formatCurrency(spendRate.targetSpendAmount, spendRate.currency)}</b> today to reach target`
-  : `Target exceeded by <b>${formatCurrency(Math.abs(spendRate.targetSpendAmount), spendRate.currency)}</b>`}
-${footer ? `\n<b>${footer}</b>` : ''}
-
-<i>Last updated: ${new Date().toISOString().substring(0, 16).replace('T', ' ')}</i>
+  ? `You need to spend <b>${formatAmount(spendRate.targetSpendAmount)}</b> today to reach target`
+  : `Target exceeded by <b>${formatAmount(spendRate.totalAmount - spendRate.targetAmount)}</b>`}
+${refunds}${forecast}${footer ? `\n<b>${footer}</b>\n` : ''}
+<i>Last updated: ${formatLocalDateTime(new Date(), spendRate.timeZone)}</i>
 `;
-}
-
-/**
- * Format currency for display
- * 
- * @param {number} amount - Amount to format
- * @param {string} currency - Currency code
- * @returns {string} - Formatted currency string
- */
-function formatCurrency(amount, currency = 'AUD') {
-  try {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency
-    }).format(amount);
-  } catch (error) {
-    console.error(`Error formatting currency: ${error.message}`);
-    // Fallback formatting
-    return `${currency} ${amount.toFixed(2)}`;
+  };
+  
+  let captionText = buildCaption([]);
+  for (let i = 1; i <= CAPTION_TRIM_ORDER.length && getCaptionLength(captionText) > MAX_CAPTION_LENGTH; i++) {
+    captionText = buildCaption(CAPTION_TRIM_ORDER.slice(0, i));
   }
+  return captionText;
 }
 
 /**
@@ -585,15 +2014,40 @@ function createMockSpendRate() {
   return {
     dailyRate: 150.25,
     totalAmount: 4507.50,
+    grossAmount: 4592.50,
+    refunds: {
+      total: 85,
+      count: 1,
+      items: [
+        { id: 'mock_refund', date: '2023-01-05', merchant: 'Qantas', category: 'Travel', amount: 85, refundOf: { id: 'mock_expense', date: '2023-01-02', amount: 340 } }
+      ]
+    },
     movingAverage7Day: 143.80,
     movingAverage30Day: 162.15,
+    movingAverages: {
+      simple: { 7: 143.80, 30: 162.15 },
+      weighted: { 7: 151.40, 30: 158.90 },
+      exponential: { 7: 148.65, 30: 160.20 }
+    },
+    comparison: {
+      week: { from: '2023-01-02', to: '2023-01-07', previousFrom: '2022-12-26', previousTo: '2022-12-31', current: 890, previous: 812.40, change: 9.55 },
+      month: { from: '2023-01-01', to: '2023-01-07', previousFrom: '2022-12-01', previousTo: '2022-12-07', current: 1010, previous: 1120.50, change: -9.86 },
+      averages: { current: 143.80, previous: 162.15, change: -11.32 },
+      movers: [
+        { category: 'Travel', current: 340, previous: 95, difference: 245, change: 257.89 },
+        { category: 'Dining', current: 210, previous: 380, difference: -170, change: -44.74 }
+      ]
+    },
     periodDays: 30,
+    period: { mode: 'rolling', from: '2022-12-09', to: '2023-01-07', days: 30, label: 'Last 30 days' },
     topCategories: [
       { category: 'Dining', amount: 1200, percentage: '26.6' },
       { category: 'Travel', amount: 950, percentage: '21.1' },
       { category: 'Office', amount: 750, percentage: '16.6' },
     ],
     currency: 'AUD',
+    targetDailyRate: 150,
+    targetAmount: 4500,
     targetSpendAmount: 0,  // Already exceeding target
     historicalData: {
       dailyRates: {
@@ -0,0 +1,208 @@
+/**
+ * Local time helpers
+ *
+ * Days are bucketed in the timezone set with TIMEZONE (an IANA name such as
+ * "Australia/Sydney", defaults to UTC), so a late dinner counts towards the
+ * day it was eaten on. Stored history is still partitioned by UTC month; only
+ * reporting and scheduling use local days.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Local hour the daily report is sent at
+const DEFAULT_DAILY_RUN_HOUR = 7;
+
+const LAST_DAILY_RUN_KEY = 'last_daily_run';
+
+// Intl formatters are costly to create, so keep one per timezone
+const dateFormatters = new Map();
+
+/**
+ * Get the configured timezone, falling back to UTC when it isn't a valid IANA name
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string} - IANA timezone name
+ */
+export function getTimezone(env) {
+  const timeZone = env.TIMEZONE || DEFAULT_TIMEZONE;
+  try {
+    getDateFormatter(timeZone);
+    return timeZone;
+  } catch (error) {
+    console.error(`Invalid TIMEZONE "${timeZone}", using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * Get the local calendar day of a moment
+ *
+ * @param {Date|string|number} date - Moment in time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} - Day in YYYY-MM-DD format
+ */
+export function toLocalDateKey(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = getLocalParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD date
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the YYYY-MM-DD date of a calendar day; months and days outside their
+ * range roll over, so day 0 is the last day of the month before
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getDateKey(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Get today's date in the configured timezone
+ *
+ * @param {Object} env - Environment variables
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {string} - Day in YYYY-MM-DD format
+ */
+export function getToday(env, now = new Date()) {
+  return toLocalDateKey(now, getTimezone(env));
+}
+
+/**
+ * Format a moment as local date and time for messages, e.g. "2025-03-01 21:05 GMT+11"
+ *
+ * @param {Date|string|number} date - Moment in time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} - Formatted date and time
+ */
+export function formatLocalDateTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = getLocalParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute} ${parts.timeZoneName}`;
+}
+
+/**
+ * Get the local hour the daily report is sent at
+ *
+ * @param {Object} env - Environment variables
+ * @returns {number} - Hour (0-23), DAILY_RUN_HOUR or 7
+ */
+export function getDailyRunHour(env) {
+  const runHour = parseInt(env.DAILY_RUN_HOUR, 10);
+  return runHour >= 0 && runHour <= 23 ? runHour : DEFAULT_DAILY_RUN_HOUR;
+}
+
+/**
+ * Check whether the daily report is due
+ *
+ * The cron runs hourly; the report is due on the first run at or after
+ * DAILY_RUN_HOUR local time that hasn't already sent one today. Remembering
+ * the last run day keeps DST changes from skipping or repeating a day.
+ *
+ * @param {Object} env - Environment variables
+ * @param {Date} now - Time of the scheduled run
+ * @returns {Promise<boolean>} - Whether the report should be sent
+ */
+export async function isDailyRunDue(env, now = new Date()) {
+  return isScheduledRunDue(env, LAST_DAILY_RUN_KEY, getDailyRunHour(env), now);
+}
+
+/**
+ * Record that today's daily report has been sent
+ *
+ * @param {Object} env - Environment variables
+ * @param {Date} now - Time of the scheduled run
+ * @returns {Promise<void>}
+ */
+export async function markDailyRun(env, now = new Date()) {
+  await markScheduledRun(env, LAST_DAILY_RUN_KEY, now);
+}
+
+/**
+ * Check whether a once-a-day scheduled job is due: the local hour has reached
+ * its run hour and it hasn't run yet today
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} key - SPEND_CONFIG key the job's last run day is stored under
+ * @param {number} runHour - Local hour (0-23) the job runs at
+ * @param {Date} now - Time of the scheduled run
+ * @returns {Promise<boolean>} - Whether the job should run
+ */
+export async function isScheduledRunDue(env, key, runHour, now = new Date()) {
+  const timeZone = getTimezone(env);
+  const hour = parseInt(getLocalParts(now, timeZone).hour, 10);
+
+  if (hour < runHour) {
+    return false;
+  }
+
+  const lastRun = await env.SPEND_CONFIG.get(key);
+  return lastRun !== toLocalDateKey(now, timeZone);
+}
+
+/**
+ * Record that a scheduled job has run today
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} key - SPEND_CONFIG key the job's last run day is stored under
+ * @param {Date} now - Time of the scheduled run
+ * @returns {Promise<void>}
+ */
+export async function markScheduledRun(env, key, now = new Date()) {
+  await env.SPEND_CONFIG.put(key, getToday(env, now));
+}
+
+/**
+ * Split a moment into its local date and time parts
+ *
+ * @param {Date|string|number} date - Moment in time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} - Zero-padded parts ({ year, month, day, hour, minute, timeZoneName })
+ */
+function getLocalParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getDateFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+  // Some runtimes format midnight as hour 24
+  if (parts.hour === '24') {
+    parts.hour = '00';
+  }
+  return parts;
+}
+
+/**
+ * Get the cached formatter for a timezone (throws for unknown timezones)
+ *
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+function getDateFormatter(timeZone) {
+  if (!dateFormatters.has(timeZone)) {
+    dateFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZoneName: 'short'
+    }));
+  }
+  return dateFormatters.get(timeZone);
+}
@@ -0,0 +1,128 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { detectAnomalies, checkAnomalies, acknowledgeAnomaly, getAnomalySettings } from '../src/anomalies';
+import { mutateHistory } from '../src/history';
+import { getToday, addDays } from '../src/time';
+
+const TODAY = '2025-03-14';
+
+/**
+ * Build a completed card expense
+ *
+ * @param {string} id - Expense ID
+ * @param {string} time - Time of the expense (ISO timestamp)
+ * @param {number} amount - Amount spent; negative for a refund
+ * @param {string} merchant - Merchant name
+ * @returns {Object} - Expense as returned by the Revolut API
+ */
+function cardExpense(id, time, amount, merchant) {
+  return {
+    id,
+    state: 'completed',
+    transaction_type: amount < 0 ? 'card_refund' : 'card_payment',
+    expense_date: time,
+    spent_amount: { amount: -amount, currency: 'AUD' },
+    merchant
+  };
+}
+
+/**
+ * Build a morning coffee on each of the days before the recent days
+ *
+ * @param {string} today - Current day (YYYY-MM-DD)
+ * @returns {Array} - Expenses
+ */
+function coffeeHistory(today) {
+  return Array.from({ length: 40 }, (_, i) => {
+    const day = addDays(today, -(i + 3));
+    return cardExpense(`coffee-${i}`, `${day}T08:00:00Z`, 5 + (i % 3) * 0.5, 'Cafe');
+  });
+}
+
+/**
+ * Detect anomalies on TODAY with the default thresholds
+ *
+ * @param {Array} recent - Expenses of the recent days
+ * @returns {Array<Object>} - Anomalies
+ */
+function detect(recent) {
+  return detectAnomalies([...coffeeHistory(TODAY), ...recent], { today: TODAY, settings: getAnomalySettings({}) });
+}
+
+describe('detectAnomalies', () => {
+  it('flags an expense far above what the merchant usually charges', () => {
+    const anomalies = detect([cardExpense('big-coffee', `${TODAY}T08:00:00Z`, 40, 'Cafe')]);
+
+    expect(anomalies.find(anomaly => anomaly.type === 'large_for_merchant')).toMatchObject({
+      key: 'large_for_merchant:big-coffee',
+      date: TODAY,
+      amount: 40,
+      typical: 5.5
+    });
+    expect(anomalies.find(anomaly => anomaly.type === 'daily_spike')).toMatchObject({ date: TODAY, amount: 40 });
+  });
+
+  it('flags large charges from new merchants only', () => {
+    const anomalies = detect([
+      cardExpense('flight', `${TODAY}T09:00:00Z`, 250, 'Airline'),
+      cardExpense('bread', `${TODAY}T10:00:00Z`, 50, 'Bakery')
+    ]);
+
+    expect(anomalies.filter(anomaly => anomaly.type === 'new_merchant').map(anomaly => anomaly.key)).toEqual(['new_merchant:flight']);
+  });
+
+  it('flags the same charge twice within minutes', () => {
+    const anomalies = detect([
+      cardExpense('ride-1', `${TODAY}T10:00:00Z`, 23.5, 'Uber'),
+      cardExpense('ride-2', `${TODAY}T10:04:00Z`, 23.5, 'Uber'),
+      cardExpense('ride-3', `${TODAY}T11:00:00Z`, 23.5, 'Uber')
+    ]);
+
+    expect(anomalies.filter(anomaly => anomaly.type === 'duplicate').map(anomaly => anomaly.key)).toEqual(['duplicate:ride-1:ride-2']);
+  });
+
+  it('ignores refunds and steady spend', () => {
+    const anomalies = detect([
+      cardExpense('coffee-today', `${TODAY}T08:00:00Z`, 5.5, 'Cafe'),
+      cardExpense('refund', `${TODAY}T12:00:00Z`, -400, 'Airline')
+    ]);
+
+    expect(anomalies).toEqual([]);
+  });
+});
+
+describe('checkAnomalies', () => {
+  it('alerts each anomaly once a day until it is acknowledged', async () => {
+    const today = getToday(env);
+    const recent = [
+      cardExpense('flight', `${today}T09:00:00Z`, 250, 'Airline'),
+      cardExpense('ride-1', `${today}T10:00:00Z`, 23.5, 'Uber'),
+      cardExpense('ride-2', `${today}T10:04:00Z`, 23.5, 'Uber')
+    ];
+    for (const expense of [...coffeeHistory(today), ...recent]) {
+      await mutateHistory(env, 'addExpense', { expense });
+    }
+
+    const options = { currency: 'AUD', fxRates: { base: 'AUD', rates: {} } };
+    const ids = [];
+    const sendAlert = vi.fn(async (anomaly, id) => {
+      ids.push(id);
+    });
+    // The rides are also far above the usual amount of their (uncategorised) category
+    const alerted = await checkAnomalies(env, options, sendAlert);
+    expect(alerted.map(anomaly => anomaly.type).sort())
+      .toEqual(['daily_spike', 'duplicate', 'large_for_category', 'large_for_category', 'new_merchant']);
+    expect(await checkAnomalies(env, options, sendAlert)).toEqual([]);
+
+    // The next day every open anomaly is alerted again, but not acknowledged ones
+    for (const id of ids) {
+      const state = await env.ANOMALY_ALERTS.get(`anomaly:${id}`, { type: 'json' });
+      await env.ANOMALY_ALERTS.put(`anomaly:${id}`, JSON.stringify({ ...state, last_alerted: addDays(today, -1) }));
+    }
+    await acknowledgeAnomaly(env, ids[alerted.findIndex(anomaly => anomaly.type === 'duplicate')], { acknowledgedBy: 7 });
+
+    const realerted = await checkAnomalies(env, options, sendAlert);
+    expect(realerted.map(anomaly => anomaly.type).sort())
+      .toEqual(['daily_spike', 'large_for_category', 'large_for_category', 'new_merchant']);
+  });
+});
@@ -0,0 +1,116 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getBudgetPeriod,
+  calculateBudgetProgress,
+  getBudgetExpenses,
+  checkBudgetAlerts,
+  saveBudgets
+} from '../src/budgets';
+import { saveFxRates } from '../src/currency';
+import { mutateHistory } from '../src/history';
+import { getToday } from '../src/time';
+
+/**
+ * Build a cash expense
+ *
+ * @param {string} id - Expense ID
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {number} amount - Amount spent
+ * @param {string} currency - Currency spent in
+ * @param {string} category - Category
+ * @returns {Object} - Manual expense
+ */
+function cashExpense(id, date, amount, currency = 'AUD', category = 'Dining') {
+  return {
+    id,
+    is_manual_entry: true,
+    state: 'completed',
+    expense_date: `${date}T10:00:00Z`,
+    spent_amount: { amount, currency },
+    merchant: { name: 'Cash', category }
+  };
+}
+
+describe('getBudgetPeriod', () => {
+  it('starts weeks on Monday', () => {
+    expect(getBudgetPeriod('week', '2025-03-16')).toEqual({ key: '2025-03-10/week', from: '2025-03-10', to: '2025-03-16' });
+    expect(getBudgetPeriod('week', '2025-03-17')).toEqual({ key: '2025-03-17/week', from: '2025-03-17', to: '2025-03-23' });
+  });
+
+  it('covers whole months, quarters and years', () => {
+    expect(getBudgetPeriod('month', '2024-02-10')).toEqual({ key: '2024-02', from: '2024-02-01', to: '2024-02-29' });
+    expect(getBudgetPeriod('quarter', '2025-11-05')).toEqual({ key: '2025-Q4', from: '2025-10-01', to: '2025-12-31' });
+    expect(getBudgetPeriod('year', '2025-06-30')).toEqual({ key: '2025', from: '2025-01-01', to: '2025-12-31' });
+  });
+});
+
+describe('calculateBudgetProgress', () => {
+  const budget = { name: 'Dining', category: 'Dining', limit: 200, period: 'month' };
+
+  it('counts only the budget category within the current period', () => {
+    const expenses = [
+      cashExpense('a', '2025-03-02', 50),
+      cashExpense('b', '2025-03-14', 30),
+      cashExpense('c', '2025-02-28', 100),
+      cashExpense('d', '2025-03-05', 70, 'AUD', 'Groceries')
+    ];
+    const progress = calculateBudgetProgress(budget, expenses, '2025-03-14');
+
+    expect(progress.spent).toBe(80);
+    expect(progress.remaining).toBe(120);
+    expect(progress.percentage).toBe(40);
+  });
+
+  it('counts every category for an "All" budget', () => {
+    const expenses = [cashExpense('a', '2025-03-02', 50), cashExpense('d', '2025-03-05', 70, 'AUD', 'Groceries')];
+    const progress = calculateBudgetProgress({ ...budget, category: 'All' }, expenses, '2025-03-14');
+
+    expect(progress.spent).toBe(120);
+  });
+});
+
+describe('getBudgetExpenses', () => {
+  it('converts expenses to the reporting currency', async () => {
+    const today = getToday(env);
+    const budget = { name: 'Dining', category: 'Dining', limit: 100, period: 'month' };
+    await saveFxRates(env, { base: 'AUD', rates: { EUR: 1.6 }, updated_at: null, source: 'manual' });
+    await mutateHistory(env, 'addExpense', { expense: cashExpense('cash_eur', today, 10, 'EUR') });
+
+    const expenses = await getBudgetExpenses(env, [budget], today);
+    const progress = calculateBudgetProgress(budget, expenses, today);
+
+    expect(expenses[0].converted_amount).toMatchObject({ amount: 16, currency: 'AUD', source: 'fx_table' });
+    expect(progress.spent).toBeCloseTo(16);
+  });
+});
+
+describe('checkBudgetAlerts', () => {
+  it('sends one alert for the highest threshold crossed, once per period', async () => {
+    const today = getToday(env);
+    await saveBudgets(env, [{ name: 'Dining', category: 'Dining', limit: 100, period: 'month' }]);
+    await mutateHistory(env, 'addExpense', { expense: cashExpense('cash_1', today, 85) });
+
+    const sendAlert = vi.fn(async () => {});
+    expect(await checkBudgetAlerts(env, sendAlert)).toMatchObject([{ budget: 'Dining', threshold: 80 }]);
+    expect(await checkBudgetAlerts(env, sendAlert)).toEqual([]);
+
+    await mutateHistory(env, 'addExpense', { expense: cashExpense('cash_2', today, 20) });
+    expect(await checkBudgetAlerts(env, sendAlert)).toMatchObject([{ budget: 'Dining', threshold: 100 }]);
+    expect(sendAlert).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries an alert that could not be sent', async () => {
+    const today = getToday(env);
+    await saveBudgets(env, [{ name: 'All', category: 'All', limit: 100, period: 'week' }]);
+    await mutateHistory(env, 'addExpense', { expense: cashExpense('cash_1', today, 60) });
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = vi.fn(async () => {
+      throw new Error('Telegram is down');
+    });
+    expect(await checkBudgetAlerts(env, failing)).toEqual([]);
+    expect(await checkBudgetAlerts(env, vi.fn(async () => {}))).toMatchObject([{ budget: 'All', threshold: 50 }]);
+    vi.restoreAllMocks();
+  });
+});
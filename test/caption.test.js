@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { generateCaptionText, getCaptionLength, MAX_CAPTION_LENGTH } from '../src/telegram';
+
+/**
+ * Build spend rate data with every optional caption section
+ *
+ * @param {Object} options - Options
+ * @param {number} options.nameLength - Length of merchant and category names
+ * @param {number} options.refundCount - Number of refunds
+ * @returns {Object} - Spend rate data
+ */
+function buildSpendRate({ nameLength, refundCount }) {
+  const name = index => `${index} ${'x'.repeat(nameLength)}`;
+  const refunds = Array.from({ length: refundCount }, (_, i) => ({
+    id: `refund_${i}`,
+    date: '2025-03-10',
+    merchant: `Merchant ${name(i)}`,
+    category: 'Travel',
+    amount: 20 + i,
+    refundOf: { id: `expense_${i}`, date: '2025-03-01', amount: 200 }
+  }));
+  const horizon = (projected, target) => ({
+    projected,
+    low: projected - 300,
+    high: projected + 300,
+    target,
+    budget: { name: 'All', limit: target + 100, overBudget: true }
+  });
+
+  return {
+    dailyRate: 150.25,
+    totalAmount: 2103.5,
+    refunds: { total: 500, count: refundCount, items: refunds.slice(0, 20) },
+    movingAverage7Day: 143.8,
+    movingAverage30Day: 162.15,
+    movingAverages: { weighted: { 7: 151.4 }, exponential: { 7: 148.65 } },
+    comparison: {
+      week: { current: 890, previous: 812.4, change: 9.55 },
+      month: { current: 1010, previous: 1120.5, change: -9.86 },
+      averages: { current: 143.8, previous: 162.15, change: -11.32 },
+      movers: [0, 1, 2].map(i => ({ category: `Category ${name(i)}`, current: 340, previous: 95, difference: 245, change: 257.89 }))
+    },
+    period: { mode: 'rolling', from: '2025-03-01', to: '2025-03-14', days: 14, label: 'Last 14 days' },
+    currency: 'AUD',
+    targetDailyRate: 150,
+    targetAmount: 2100,
+    targetSpendAmount: 0,
+    forecast: { horizons: { month: horizon(5200, 4650), quarter: horizon(14100, 13500) } },
+    timeZone: 'UTC'
+  };
+}
+
+describe('generateCaptionText length', () => {
+  it('keeps every section when the caption fits', () => {
+    const caption = generateCaptionText(buildSpendRate({ nameLength: 5, refundCount: 2 }));
+
+    expect(getCaptionLength(caption)).toBeLessThanOrEqual(MAX_CAPTION_LENGTH);
+    for (const heading of ['VS LAST WEEK AND MONTH', 'BIGGEST MOVERS', 'REFUNDS', 'FORECAST', 'on track to exceed the All budget']) {
+      expect(caption).toContain(heading);
+    }
+  });
+
+  it('leaves out the movers first', () => {
+    const caption = generateCaptionText(buildSpendRate({ nameLength: 70, refundCount: 2 }));
+
+    expect(getCaptionLength(caption)).toBeLessThanOrEqual(MAX_CAPTION_LENGTH);
+    expect(caption).not.toContain('BIGGEST MOVERS');
+    expect(caption).toContain('REFUNDS');
+  });
+
+  it('leaves out refunds, forecast warnings and the comparison until it fits', () => {
+    const caption = generateCaptionText(buildSpendRate({ nameLength: 150, refundCount: 40 }), 'DAILY SPEND STATS', 'x'.repeat(300));
+
+    expect(getCaptionLength(caption)).toBeLessThanOrEqual(MAX_CAPTION_LENGTH);
+    expect(caption).not.toContain('BIGGEST MOVERS');
+    expect(caption).not.toContain('<b>↩️ REFUNDS</b>');
+    expect(caption).not.toContain('on track to exceed');
+    expect(caption).toContain('(after A$500.00 refunded)');
+    expect(caption).toContain('Target exceeded by <b>A$3.50</b>');
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { categorizeExpense, getExpenseCategory, parseCategoryRule } from '../src/categories';
+
+const rules = [parseCategoryRule('merchant ^blue\\sbottle Coffee'), parseCategoryRule('mcc 5812 Dining')];
+
+describe('categorizeExpense', () => {
+  it('applies rules to Revolut expenses whose merchant carries a category', () => {
+    const expense = {
+      id: 'rev-1',
+      state: 'completed',
+      spent_amount: { amount: -6, currency: 'AUD' },
+      merchant: { name: 'Blue Bottle', category: 'restaurants', category_code: '5814' }
+    };
+    const categorized = categorizeExpense(expense, rules);
+
+    expect(categorized.categorization).toMatchObject({ source: 'rule', categories: [{ category: 'Coffee', share: 1 }] });
+    expect(getExpenseCategory(categorized)).toBe('Coffee');
+  });
+
+  it('keeps the category manual expenses were entered with', () => {
+    const expense = {
+      id: 'cash_1_abcdef',
+      is_manual_entry: true,
+      spent_amount: { amount: 6, currency: 'AUD' },
+      merchant: { name: 'Blue Bottle', category: 'Treats' }
+    };
+
+    expect(categorizeExpense(expense, rules)).toBe(expense);
+    expect(getExpenseCategory(expense)).toBe('Treats');
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { CHART_VIEWS, parseChartView, getChartHistoryStart, buildChartView } from '../src/chartViews';
+import { resolvePeriod } from '../src/period';
+
+// A Friday
+const TODAY = '2025-03-14';
+const period = resolvePeriod({ mode: 'rolling', rollingDays: 7 }, TODAY);
+const formatAmount = amount => `$${amount.toFixed(2)}`;
+
+/**
+ * Build a manual expense
+ *
+ * @param {string} id - Expense ID
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {number} amount - Amount spent
+ * @param {string} category - Category
+ * @returns {Object} - Manual expense
+ */
+function cashExpense(id, date, amount, category = 'Dining') {
+  return {
+    id,
+    is_manual_entry: true,
+    state: 'completed',
+    expense_date: date,
+    spent_amount: { amount, currency: 'AUD' },
+    merchant: { category }
+  };
+}
+
+/**
+ * Build a chart view on TODAY in AUD with a daily target of 50
+ *
+ * @param {string} view - Chart view
+ * @param {Array} expenses - Expenses
+ * @param {Array} budgets - Budgets
+ * @returns {Object} - View ({ view, chart, summary })
+ */
+function build(view, expenses, budgets = []) {
+  return buildChartView(view, expenses, {
+    today: TODAY,
+    period,
+    currency: 'AUD',
+    fxRates: { base: 'AUD', rates: {} },
+    targetConfig: { daily: 50 },
+    budgets,
+    formatAmount
+  });
+}
+
+describe('parseChartView', () => {
+  it('accepts view names and aliases', () => {
+    expect(parseChartView('')).toBe('daily14');
+    expect(parseChartView('30')).toBe('daily30');
+    expect(parseChartView(' Budget ')).toBe('mtd');
+    expect(parseChartView('heatmap')).toBe('weekdays');
+    expect(parseChartView('pie')).toBeNull();
+  });
+});
+
+describe('getChartHistoryStart', () => {
+  it('loads only the days each view draws', () => {
+    const starts = Object.fromEntries(CHART_VIEWS.map(view => [view, getChartHistoryStart(view, { today: TODAY, period })]));
+
+    expect(starts).toEqual({
+      daily14: '2025-03-01',
+      daily30: '2025-02-13',
+      daily90: '2024-12-15',
+      mtd: '2025-03-01',
+      categories: '2025-03-08',
+      weekdays: '2024-12-23',
+      months: '2024-04-01'
+    });
+  });
+});
+
+describe('buildChartView', () => {
+  const expenses = [
+    cashExpense('a', '2025-03-14', 80),
+    cashExpense('b', '2025-03-13', 20, 'Groceries'),
+    cashExpense('c', '2025-03-03', 30),
+    cashExpense('d', '2025-02-10', 100, 'Travel'),
+    cashExpense('e', '2025-03-15', 999)
+  ];
+
+  it('draws daily spend against the target, leaving out days after today', () => {
+    const { chart, summary } = build('daily14', expenses);
+
+    expect(chart.labels).toHaveLength(14);
+    expect(chart.labels[13]).toBe('14/03');
+    expect(chart.bars[0].data.slice(-2)).toEqual([20, 80]);
+    expect(chart.lines[0].data.every(target => target === 50)).toBe(true);
+    expect(summary).toEqual(['📊 <b>Last 14 days:</b> $130.00 ($9.29/day)', '🎯 Over target on 1 of 14 days']);
+  });
+
+  it('draws cumulative spend this month against the monthly budget', () => {
+    const { chart, summary } = build('mtd', expenses, [{ name: 'All', category: 'All', limit: 1000, period: 'month' }]);
+    const [spent, target, budget] = chart.lines;
+
+    expect(spent.data).toHaveLength(31);
+    expect(spent.data[13]).toBe(130);
+    expect(spent.data[14]).toBeNull();
+    expect(target.data[30]).toBe(1550);
+    expect(budget.data[0]).toBe(1000);
+    expect(summary[1]).toBe('💼 <b>Budget:</b> $130.00 of $1000.00 (13%)');
+  });
+
+  it('shares out spend over the reporting period by category', () => {
+    const { chart, summary } = build('categories', [...expenses, cashExpense('f', '2025-03-10', 10, 'Bars & <Pubs>')]);
+
+    expect(chart.type).toBe('doughnut');
+    expect(chart.labels).toEqual(['73% Dining', '18% Groceries', '9% Bars & <Pubs>']);
+    expect(summary[1]).toBe('📂 <b>Top category:</b> Dining, $80.00');
+  });
+
+  it('maps spend per weekday and week, leaving days to come empty', () => {
+    const { chart, summary } = build('weekdays', expenses);
+
+    expect(chart.type).toBe('heatmap');
+    expect(chart.columns).toHaveLength(12);
+    expect(chart.values[4][11]).toBe(80);
+    expect(chart.values[5][11]).toBeNull();
+    // 100 and 30 on two Mondays against 80 on one Friday
+    expect(summary[0]).toBe('🗓 <b>Busiest day:</b> Mon, $10.83 on average');
+  });
+
+  it('totals each of the last twelve months', () => {
+    const { chart, summary } = build('months', expenses);
+
+    expect(chart.labels[11]).toEqual(['Mar', '2025']);
+    expect(chart.bars[0].data.slice(-2)).toEqual([100, 130]);
+    expect(chart.lines[0].data[10]).toBe(1400);
+    expect(summary[0]).toBe('📊 <b>This month:</b> $130.00 so far, $100.00 last month');
+  });
+});
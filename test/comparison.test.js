@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { compareSpend, getComparisonHistoryStart, describeComparison, describeMovers, formatChange } from '../src/comparison';
+import { calculateDailySpendRate } from '../src/spend';
+import { resolvePeriod } from '../src/period';
+
+const movingAverages = { simple: { 7: 60, 30: 40 } };
+const formatAmount = amount => `$${amount.toFixed(2)}`;
+
+describe('compareSpend', () => {
+  it('compares the week and month so far with the same days before them', () => {
+    // Monday 31 March against the last day of February
+    const comparison = compareSpend([
+      { date: '2025-03-31', category: 'Dining', amount: 30 },
+      { date: '2025-03-24', category: 'Dining', amount: 20 },
+      { date: '2025-03-02', category: 'Groceries', amount: 100 },
+      { date: '2025-02-28', category: 'Groceries', amount: 50 },
+      { date: '2025-01-31', category: 'Travel', amount: 999 }
+    ], { to: '2025-03-31', movingAverages });
+
+    expect(comparison.week).toEqual({
+      from: '2025-03-31', to: '2025-03-31', previousFrom: '2025-03-24', previousTo: '2025-03-24',
+      current: 30, previous: 20, change: 50
+    });
+    expect(comparison.month).toMatchObject({ previousFrom: '2025-02-01', previousTo: '2025-02-28', current: 150, previous: 50, change: 200 });
+    expect(comparison.averages).toEqual({ current: 60, previous: 40, change: 50 });
+    expect(getComparisonHistoryStart('2025-03-31')).toBe('2025-02-01');
+  });
+
+  it('lists the categories that changed most month to date', () => {
+    const { movers } = compareSpend([
+      { date: '2025-03-10', category: 'Travel', amount: 300 },
+      { date: '2025-03-05', category: 'Dining', amount: 40 },
+      { date: '2025-02-05', category: 'Dining', amount: 240 },
+      { date: '2025-03-06', category: 'Groceries', amount: 80 },
+      { date: '2025-02-06', category: 'Groceries', amount: 80 }
+    ], { to: '2025-03-14', movingAverages });
+
+    expect(movers).toEqual([
+      { category: 'Travel', current: 300, previous: 0, difference: 300, change: null },
+      { category: 'Dining', current: 40, previous: 240, difference: -200, change: expect.closeTo(-83.33, 2) }
+    ]);
+  });
+});
+
+describe('comparison captions', () => {
+  const comparison = compareSpend([
+    { date: '2025-03-10', category: 'Bars & <Pubs>', amount: 90 },
+    { date: '2025-03-03', category: 'Bars & <Pubs>', amount: 60 }
+  ], { to: '2025-03-14', movingAverages });
+
+  it('describes the week and month with arrows', () => {
+    expect(describeComparison(comparison, formatAmount)).toBe([
+      '┌─ This week: $90.00 (▲ 50% vs $60.00)',
+      '└─ This month: $150.00 (▲ new vs $0.00)'
+    ].join('\n'));
+  });
+
+  it('escapes mover categories', () => {
+    expect(describeMovers(comparison, formatAmount)).toBe('└─ Bars &amp; &lt;Pubs&gt;: +$150.00 (▲ new)');
+  });
+
+  it('formats changes', () => {
+    expect(formatChange(-12.6, 10)).toBe('▼ 13%');
+    expect(formatChange(0.3, 10)).toBe('= 0%');
+    expect(formatChange(null, 0)).toBe('–');
+  });
+});
+
+describe('calculateDailySpendRate comparison', () => {
+  it('includes the comparison in the spend rate', () => {
+    const expense = (id, date, amount) => ({
+      id,
+      state: 'completed',
+      expense_date: `${date}T10:00:00Z`,
+      spent_amount: { amount: -amount, currency: 'AUD' }
+    });
+    const period = resolvePeriod({ mode: 'rolling', rollingDays: 7 }, '2025-03-14');
+    const spendRate = calculateDailySpendRate([expense('a', '2025-03-12', 70), expense('b', '2025-03-05', 35)], { period });
+
+    expect(spendRate.comparison.week).toMatchObject({ current: 70, previous: 35, change: 100 });
+    expect(spendRate.comparison.movers).toEqual([expect.objectContaining({ category: 'Uncategorized', difference: 105 })]);
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { adminEnv, telegramMessage, dispatch, mockTelegram } from './helpers';
+
+describe('/fx', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('escapes the currency code echoed in the error reply', async () => {
+    const calls = mockTelegram();
+    await dispatch(telegramMessage('/fx <b> 1.5'), adminEnv());
+
+    const reply = calls.find(call => call.method === 'sendMessage').body;
+    expect(reply.parse_mode).toBe('HTML');
+    expect(reply.text).toContain('Invalid currency code "&lt;b&gt;"');
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { forecastSpend, getForecastHistoryStart, describeForecast } from '../src/forecast';
+import { addDays } from '../src/time';
+
+// A Friday in the middle of March
+const TODAY = '2025-03-14';
+
+/**
+ * Build daily totals from the forecast history start to today
+ *
+ * @param {Function} amountOn - Returns the amount for a YYYY-MM-DD day
+ * @param {number} today - Amount spent so far today
+ * @returns {Object} - Daily totals keyed by YYYY-MM-DD
+ */
+function buildDailyRates(amountOn, today = 0) {
+  const dailyRates = {};
+  for (let day = getForecastHistoryStart(TODAY); day < TODAY; day = addDays(day, 1)) {
+    dailyRates[day] = amountOn(day);
+  }
+  dailyRates[TODAY] = today;
+  return dailyRates;
+}
+
+const formatAmount = amount => `$${Math.round(amount)}`;
+
+describe('getForecastHistoryStart', () => {
+  it('reaches back to the start of the quarter or eight weeks, whichever is earlier', () => {
+    expect(getForecastHistoryStart(TODAY)).toBe('2025-01-01');
+    expect(getForecastHistoryStart('2025-04-02')).toBe('2025-02-05');
+  });
+});
+
+describe('forecastSpend', () => {
+  it('projects steady spend to the end of the month and quarter', () => {
+    const forecast = forecastSpend(buildDailyRates(() => 100, 40), { today: TODAY, targetConfig: { daily: 120 } });
+
+    expect(forecast.runRate).toBe(100);
+    // 13 days at 100 and 40 so far today, then the rest of today and 17 more days
+    expect(forecast.horizons.month).toMatchObject({ actual: 1340, projected: 3100, low: 3100, high: 3100, target: 3720, overTarget: false });
+    expect(forecast.horizons.quarter.projected).toBe(9000);
+    expect(forecast.daily).toHaveLength(7);
+  });
+
+  it('weights the remaining days by how much each weekday usually spends', () => {
+    const weekendHeavy = day => ([0, 6].includes(new Date(`${day}T00:00:00Z`).getUTCDay()) ? 300 : 50);
+    const forecast = forecastSpend(buildDailyRates(weekendHeavy), { today: TODAY, targetConfig: { daily: 100 } });
+
+    expect(forecast.weekdayFactors.sat).toBeGreaterThan(2);
+    expect(forecast.weekdayFactors.wed).toBeLessThan(0.5);
+    expect(forecast.daily[0].amount).toBeGreaterThan(forecast.daily[2].amount);
+  });
+
+  it('widens the range when daily spend varies', () => {
+    const uneven = day => (Number(day.substring(8)) % 3 === 0 ? 250 : 25);
+    const { month } = forecastSpend(buildDailyRates(uneven), { today: TODAY, targetConfig: { daily: 100 } }).horizons;
+
+    expect(month.low).toBeLessThan(month.projected);
+    expect(month.high).toBeGreaterThan(month.projected);
+  });
+
+  it('checks total budgets for the forecast horizons only', () => {
+    const budgets = [
+      { name: 'All', category: 'All', limit: 2500, period: 'month' },
+      { name: 'Dining', category: 'Dining', limit: 100, period: 'quarter' }
+    ];
+    const forecast = forecastSpend(buildDailyRates(() => 100), { today: TODAY, targetConfig: { daily: 150 }, budgets });
+
+    expect(forecast.horizons.month.budget).toEqual({ name: 'All', limit: 2500, overBudget: true });
+    expect(forecast.horizons.quarter.budget).toBeNull();
+    expect(describeForecast(forecast, formatAmount)).toContain('🚨 Month on track to exceed the All budget of $2500 by $600');
+  });
+});
+
+describe('describeForecast', () => {
+  const forecast = forecastSpend(buildDailyRates(() => 100), { today: TODAY, targetConfig: { daily: 80 } });
+
+  it('warns when a horizon is on track to exceed its target', () => {
+    const lines = describeForecast(forecast, formatAmount).split('\n');
+
+    expect(lines[0]).toBe('┌─ Month end: <b>$3100</b> ($3100–$3100)');
+    expect(lines).toContain('⚠️ Month on track to exceed the target of $2480 by $620');
+  });
+
+  it('leaves the warnings out when asked to', () => {
+    expect(describeForecast(forecast, formatAmount, { warnings: false }).split('\n')).toHaveLength(2);
+  });
+});
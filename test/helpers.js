@@ -0,0 +1,71 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { vi } from 'vitest';
+import worker from '../src/index';
+
+// Telegram user ID the test messages are sent from, configured as an admin by adminEnv
+export const TEST_USER_ID = 7;
+
+/**
+ * Get the test environment with the test user as an admin
+ *
+ * @param {Object} overrides - Extra bindings
+ * @returns {Object} - Environment
+ */
+export function adminEnv(overrides = {}) {
+  return { ...env, TELEGRAM_ADMIN_IDS: String(TEST_USER_ID), ...overrides };
+}
+
+/**
+ * Build a Telegram webhook request carrying a text message from the
+ * notification chat
+ *
+ * @param {string} text - Message text
+ * @param {number} updateId - Telegram update ID
+ * @returns {Request} - Webhook request
+ */
+export function telegramMessage(text, updateId = 1) {
+  return new Request('https://worker.test/telegram-webhook', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Telegram-Bot-Api-Secret-Token': env.TELEGRAM_WEBHOOK_SECRET
+    },
+    body: JSON.stringify({
+      update_id: updateId,
+      message: { message_id: updateId, chat: { id: Number(env.TELEGRAM_CHAT_ID) }, from: { id: TEST_USER_ID }, text }
+    })
+  });
+}
+
+/**
+ * Send a request to the worker and wait for its background work
+ *
+ * @param {Request} request - Request
+ * @param {Object} bindings - Environment to run with
+ * @returns {Promise<Response>} - Worker response
+ */
+export async function dispatch(request, bindings = env) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, bindings, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+/**
+ * Accept every Telegram API call and record the JSON ones
+ *
+ * @returns {Array<Object>} - Calls made ({ method, body })
+ */
+export function mockTelegram() {
+  const calls = [];
+  vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith('https://api.telegram.org/')) {
+      throw new Error(`Unexpected request to ${url}`);
+    }
+    const body = typeof init?.body === 'string' ? JSON.parse(init.body) : null;
+    calls.push({ method: url.split('/').pop(), body });
+    return new Response(JSON.stringify({ ok: true, result: { message_id: 1 } }), { status: 200 });
+  });
+  return calls;
+}
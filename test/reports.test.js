@@ -0,0 +1,154 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import {
+  parseReportSchedule,
+  getReportPeriods,
+  getDueReports,
+  markReportSent,
+  buildReport,
+  generateReportCaption
+} from '../src/reports';
+
+// A Wednesday
+const TODAY = '2025-03-12';
+
+const formatAmount = amount => `$${amount.toFixed(2)}`;
+
+/**
+ * Build a manual expense
+ *
+ * @param {string} id - Expense ID
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {number} amount - Amount spent
+ * @param {string} category - Category
+ * @param {string} merchant - Merchant name
+ * @returns {Object} - Manual expense
+ */
+function cashExpense(id, date, amount, category, merchant) {
+  return {
+    id,
+    is_manual_entry: true,
+    state: 'completed',
+    expense_date: date,
+    spent_amount: { amount, currency: 'AUD' },
+    merchant: { name: merchant, category }
+  };
+}
+
+/**
+ * Build a report on TODAY in AUD with a daily target of 50
+ *
+ * @param {string} type - Report type
+ * @param {Array} expenses - Expenses
+ * @param {Array} budgets - Budgets
+ * @returns {Object} - Report
+ */
+function report(type, expenses, budgets = []) {
+  return buildReport(type, expenses, {
+    today: TODAY,
+    currency: 'AUD',
+    fxRates: { base: 'AUD', rates: {} },
+    targetConfig: { daily: 50 },
+    budgets
+  });
+}
+
+describe('parseReportSchedule', () => {
+  it('parses weekdays, days of the month and hours', () => {
+    expect(parseReportSchedule('weekly', 'Friday 18')).toEqual({ day: 5, hour: 18 });
+    expect(parseReportSchedule('weekly', 'mon')).toEqual({ day: 1, hour: null });
+    expect(parseReportSchedule('monthly', '3 9')).toEqual({ day: 3, hour: 9 });
+    expect(parseReportSchedule('monthly', 'off')).toBeNull();
+  });
+
+  it('rejects invalid schedules', () => {
+    expect(() => parseReportSchedule('weekly', 'someday')).toThrow('Invalid weekday "someday"');
+    expect(() => parseReportSchedule('monthly', '32')).toThrow('Invalid day of the month "32"');
+    expect(() => parseReportSchedule('monthly', '1 24')).toThrow('Invalid hour "24"');
+  });
+});
+
+describe('getReportPeriods', () => {
+  it('covers the last calendar week against the week before', () => {
+    expect(getReportPeriods('weekly', TODAY)).toEqual({
+      period: { from: '2025-03-03', to: '2025-03-09' },
+      comparison: [{ from: '2025-02-24', to: '2025-03-02' }]
+    });
+  });
+
+  it('covers the last calendar month against the three months before', () => {
+    expect(getReportPeriods('monthly', TODAY)).toEqual({
+      period: { from: '2025-02-01', to: '2025-02-28' },
+      comparison: [
+        { from: '2024-11-01', to: '2024-11-30' },
+        { from: '2024-12-01', to: '2024-12-31' },
+        { from: '2025-01-01', to: '2025-01-31' }
+      ]
+    });
+  });
+});
+
+describe('getDueReports', () => {
+  it('sends a report once on its day, at or after its hour', async () => {
+    const bindings = { ...env, WEEKLY_REPORT_SCHEDULE: 'wed 9', MONTHLY_REPORT_SCHEDULE: 'off' };
+
+    expect(await getDueReports(bindings, new Date(`${TODAY}T08:00:00Z`))).toEqual([]);
+    expect(await getDueReports(bindings, new Date(`${TODAY}T09:00:00Z`))).toEqual(['weekly']);
+
+    await markReportSent(bindings, 'weekly', new Date(`${TODAY}T09:00:00Z`));
+    expect(await getDueReports(bindings, new Date(`${TODAY}T10:00:00Z`))).toEqual([]);
+    expect(await getDueReports(bindings, new Date('2025-03-19T09:00:00Z'))).toEqual(['weekly']);
+  });
+
+  it('sends a monthly report set to a day the month lacks on its last day', async () => {
+    const bindings = { ...env, WEEKLY_REPORT_SCHEDULE: 'off', MONTHLY_REPORT_SCHEDULE: '31 7' };
+
+    expect(await getDueReports(bindings, new Date('2025-02-27T07:00:00Z'))).toEqual([]);
+    expect(await getDueReports(bindings, new Date('2025-02-28T07:00:00Z'))).toEqual(['monthly']);
+  });
+});
+
+describe('buildReport', () => {
+  it('compares each day of the week with the same weekday of the week before', () => {
+    const weekly = report('weekly', [
+      cashExpense('a', '2025-03-03', 40, 'Dining', 'Cafe'),
+      cashExpense('b', '2025-03-05', 100, 'Groceries', 'Market'),
+      cashExpense('c', '2025-02-24', 20, 'Dining', 'Cafe'),
+      cashExpense('d', '2025-03-10', 500, 'Travel', 'Airline')
+    ]);
+
+    expect(weekly).toMatchObject({ from: '2025-03-03', to: '2025-03-09', totalAmount: 140, comparisonAmount: 20, change: 600, targetAmount: 350 });
+    expect(weekly.days[0]).toEqual({ date: '2025-03-03', amount: 40, previousAmount: 20, target: 50 });
+    expect(weekly.categories.map(({ category }) => category)).toEqual(['Groceries', 'Dining']);
+    expect(weekly.biggestExpenses.map(({ id }) => id)).toEqual(['b', 'a']);
+  });
+
+  it('reports monthly budgets against the average of the months before', () => {
+    const monthly = report('monthly', [
+      cashExpense('a', '2025-02-10', 300, 'Dining', 'Cafe'),
+      cashExpense('b', '2025-02-20', 900, 'Groceries', 'Market'),
+      cashExpense('c', '2025-01-15', 600, 'Dining', 'Cafe')
+    ], [
+      { name: 'Dining', category: 'Dining', limit: 400, period: 'month' },
+      { name: 'All', category: 'All', limit: 1000, period: 'month' },
+      { name: 'Travel', category: 'Travel', limit: 2000, period: 'year' }
+    ]);
+
+    expect(monthly).toMatchObject({ label: 'February 2025', totalAmount: 1200, comparisonAmount: 200 });
+    expect(monthly.budgets).toEqual([
+      { name: 'Dining', category: 'Dining', limit: 400, spent: 300, remaining: 100, percentage: 75, withinBudget: true },
+      { name: 'All', category: 'All', limit: 1000, spent: 1200, remaining: -200, percentage: 120, withinBudget: false }
+    ]);
+  });
+});
+
+describe('generateReportCaption', () => {
+  it('escapes merchant names', () => {
+    const weekly = report('weekly', [cashExpense('a', '2025-03-04', 30, 'Dining', 'Fish <&> Chips')]);
+    const caption = generateReportCaption(weekly, formatAmount);
+
+    expect(caption).toContain('<b>🗓 WEEKLY DIGEST</b>');
+    expect(caption).toContain('Fish &lt;&amp;&gt; Chips: $30.00 · 1×');
+    expect(caption).toContain('🎯 <b>Target:</b> $350.00, $320.00 under');
+  });
+});
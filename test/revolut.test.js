@@ -0,0 +1,29 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { getExpenses } from '../src/revolut';
+
+describe('getExpenses', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('fetches and reports the window as days in the configured timezone', async () => {
+    const requested = [];
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async input => {
+      requested.push(new URL(typeof input === 'string' ? input : input.url));
+      return new Response(JSON.stringify([]), { status: 200 });
+    });
+
+    // 20:00 UTC is already the next day in Sydney
+    const bindings = { ...env, TIMEZONE: 'Australia/Sydney' };
+    const result = await getExpenses('test-access-token', bindings, {
+      fromDate: new Date('2025-03-10T20:00:00Z'),
+      toDate: new Date('2025-03-14T20:00:00Z')
+    });
+
+    expect(result.syncWindow).toEqual({ from: '2025-03-11', to: '2025-03-15' });
+    expect(requested).toHaveLength(1);
+    expect(requested[0].searchParams.get('from')).toBe('2025-03-11');
+    expect(requested[0].searchParams.get('to')).toBe('2025-03-15');
+  });
+});
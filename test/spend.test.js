@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDailySpendRate, mergeExpenses } from '../src/spend';
+import { resolvePeriod } from '../src/period';
+import { generateCaptionText } from '../src/telegram';
+
+/**
+ * Build a completed card expense
+ *
+ * @param {string} id - Expense ID
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {number} amount - Amount spent
+ * @returns {Object} - Expense as returned by the Revolut API
+ */
+function expense(id, date, amount) {
+  return {
+    id,
+    state: 'completed',
+    expense_date: `${date}T10:00:00Z`,
+    spent_amount: { amount: -amount, currency: 'AUD' }
+  };
+}
+
+describe('calculateDailySpendRate target', () => {
+  const period = resolvePeriod({ mode: 'rolling', rollingDays: 7 }, '2025-03-14');
+
+  it('reports what is left of the target', () => {
+    const spendRate = calculateDailySpendRate([expense('a', '2025-03-10', 400)], { targetConfig: { daily: 100 }, period });
+
+    expect(spendRate.targetAmount).toBe(700);
+    expect(spendRate.targetSpendAmount).toBe(300);
+    expect(generateCaptionText(spendRate)).toContain('You need to spend <b>A$300.00</b> today to reach target');
+  });
+
+  it('reports by how much the target was exceeded', () => {
+    const spendRate = calculateDailySpendRate([expense('a', '2025-03-10', 950)], { targetConfig: { daily: 100 }, period });
+
+    expect(spendRate.targetSpendAmount).toBe(0);
+    expect(generateCaptionText(spendRate)).toContain('Target exceeded by <b>A$250.00</b>');
+  });
+});
+
+describe('mergeExpenses', () => {
+  // A stored copy carries the fields the worker adds on sync
+  const stored = {
+    ...expense('a', '2025-03-10', 40),
+    converted_amount: { amount: -40, currency: 'AUD', rate: 1, source: 'same_currency' },
+    categorization: { categories: [{ category: 'Dining', share: 1 }], source: 'mcc', rule: null }
+  };
+
+  it('keeps the stored copy of an unchanged expense without counting it as updated', () => {
+    const result = mergeExpenses([stored], [expense('a', '2025-03-10', 40)]);
+
+    expect(result).toMatchObject({ added: 0, updated: 0, removed: 0 });
+    expect(result.expenses).toEqual([stored]);
+  });
+
+  it('replaces an expense that changed upstream', () => {
+    const changed = { ...expense('a', '2025-03-10', 45), updated_at: '2025-03-11T08:00:00Z' };
+    const result = mergeExpenses([{ ...stored, updated_at: '2025-03-10T10:00:00Z' }], [changed]);
+
+    expect(result).toMatchObject({ added: 0, updated: 1 });
+    expect(result.expenses).toEqual([changed]);
+  });
+
+  it('keeps a stored copy that is newer than the fetched one', () => {
+    const newer = { ...stored, updated_at: '2025-03-12T08:00:00Z' };
+    const result = mergeExpenses([newer], [{ ...expense('a', '2025-03-10', 45), updated_at: '2025-03-11T08:00:00Z' }]);
+
+    expect(result.updated).toBe(0);
+    expect(result.expenses).toEqual([newer]);
+  });
+
+  it('adds new expenses and removes ones missing from the sync window', () => {
+    const cash = { ...expense('cash_1', '2025-03-11', 5), is_manual_entry: true };
+    const result = mergeExpenses([stored, cash], [expense('b', '2025-03-12', 10)], { from: '2025-03-08', to: '2025-03-15' });
+
+    expect(result).toMatchObject({ added: 1, updated: 0, removed: 1 });
+    expect(result.expenses.map(exp => exp.id)).toEqual(['cash_1', 'b']);
+  });
+});
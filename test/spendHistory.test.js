@@ -0,0 +1,197 @@
+import { env, createExecutionContext, waitOnExecutionContext, runInDurableObject } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import worker from '../src/index';
+import { getExpensesInRange, getManualExpenses, mutateHistory } from '../src/history';
+
+const TODAY = new Date().toISOString().split('T')[0];
+
+/**
+ * Get the UTC day a number of days before today
+ *
+ * @param {number} days - Days back
+ * @returns {string} - Day in YYYY-MM-DD format
+ */
+function daysAgo(days) {
+  const date = new Date(`${TODAY}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Build a completed Revolut card expense
+ *
+ * @param {string} id - Expense ID
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {number} amount - Amount spent
+ * @returns {Object} - Expense as returned by the Revolut API
+ */
+function revolutExpense(id, date, amount) {
+  return {
+    id,
+    state: 'completed',
+    transaction_type: 'card_payment',
+    expense_date: `${date}T10:00:00Z`,
+    spent_amount: { amount: -amount, currency: 'AUD' },
+    merchant: 'Test Merchant'
+  };
+}
+
+/**
+ * Build a Telegram webhook request carrying a text message
+ *
+ * @param {string} text - Message text
+ * @param {number} updateId - Telegram update ID
+ * @returns {Request} - Webhook request
+ */
+function telegramMessage(text, updateId) {
+  return new Request('https://worker.test/telegram-webhook', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Telegram-Bot-Api-Secret-Token': env.TELEGRAM_WEBHOOK_SECRET
+    },
+    body: JSON.stringify({
+      update_id: updateId,
+      message: { message_id: updateId, chat: { id: Number(env.TELEGRAM_CHAT_ID) }, from: { id: 7 }, text }
+    })
+  });
+}
+
+/**
+ * Answer outbound requests: Revolut returns `expenses`, Telegram accepts everything
+ *
+ * @param {Array} expenses - Expenses the Revolut API returns
+ */
+function mockFetch(expenses) {
+  vi.spyOn(globalThis, 'fetch').mockImplementation(async input => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (url.startsWith('https://b2b.revolut.com/api/1.0/expenses')) {
+      return new Response(JSON.stringify(expenses), { status: 200 });
+    }
+    if (url.startsWith('https://api.telegram.org/')) {
+      return new Response(JSON.stringify({ ok: true, result: { message_id: 1 } }), { status: 200 });
+    }
+    throw new Error(`Unexpected request to ${url}`);
+  });
+}
+
+/**
+ * Read the history index straight from the Durable Object's storage
+ *
+ * @returns {Promise<Object|undefined>} - Stored index
+ */
+function getStoredIndex() {
+  const stub = env.SPEND_HISTORY.get(env.SPEND_HISTORY.idFromName('history'));
+  return runInDurableObject(stub, (instance, state) => state.storage.get('index'));
+}
+
+describe('SpendHistory', () => {
+  beforeEach(async () => {
+    await env.REVOLUT_TOKEN.put('token', 'test-access-token');
+    await env.REVOLUT_TOKEN_EXPIRY.put('expiry', String(Date.now() + 60 * 60 * 1000));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('keeps cash expenses added while a scheduled run syncs', async () => {
+    const synced = Array.from({ length: 20 }, (_, i) => revolutExpense(`rev-${i}`, daysAgo(i % 10), 10 + i));
+    mockFetch(synced);
+
+    // The hourly cron at noon UTC is due for the daily report
+    const [year, month, day] = TODAY.split('-').map(Number);
+    const ctx = createExecutionContext();
+    await Promise.all([
+      worker.scheduled({ scheduledTime: Date.UTC(year, month - 1, day, 12), cron: '0 * * * *' }, env, ctx),
+      ...Array.from({ length: 10 }, (_, i) => worker.fetch(telegramMessage(`/add_cash_expense ${i + 1} Coffee`, i + 1), env, ctx))
+    ]);
+    await waitOnExecutionContext(ctx);
+
+    const stored = await getExpensesInRange(env, daysAgo(30), TODAY);
+    expect(stored.filter(exp => exp.id.startsWith('rev-')).map(exp => exp.id).sort())
+      .toEqual(synced.map(exp => exp.id).sort());
+
+    const cash = stored.filter(exp => exp.is_manual_entry);
+    expect(cash.map(exp => exp.spent_amount.amount).sort((a, b) => a - b))
+      .toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  });
+
+  it('applies overlapping syncs and cash expenses one at a time', async () => {
+    const syncWindow = { from: daysAgo(13), to: TODAY };
+    const first = Array.from({ length: 8 }, (_, i) => revolutExpense(`first-${i}`, daysAgo(i), 5));
+    const second = [...first, revolutExpense('second-0', daysAgo(1), 7)];
+
+    await Promise.all([
+      mutateHistory(env, 'sync', { expenses: first, syncWindow, currency: 'AUD', fxRates: { base: 'AUD', rates: {} } }),
+      ...Array.from({ length: 15 }, (_, i) => mutateHistory(env, 'addExpense', {
+        expense: {
+          id: `cash_${Date.now()}_${String(i).padStart(6, '0')}`,
+          is_manual_entry: true,
+          state: 'completed',
+          expense_date: daysAgo(i % 5),
+          spent_amount: { amount: 2, currency: 'AUD' }
+        }
+      })),
+      mutateHistory(env, 'sync', { expenses: second, syncWindow, currency: 'AUD', fxRates: { base: 'AUD', rates: {} } })
+    ]);
+
+    const stored = await getExpensesInRange(env, syncWindow.from, syncWindow.to);
+    expect(stored.filter(exp => !exp.is_manual_entry).map(exp => exp.id).sort())
+      .toEqual(second.map(exp => exp.id).sort());
+    expect(await getManualExpenses(env, 50)).toHaveLength(15);
+  });
+
+  it('stores history in Durable Object storage rather than KV', async () => {
+    await mutateHistory(env, 'addExpense', {
+      expense: { id: 'cash_1_abcdef', is_manual_entry: true, expense_date: TODAY, spent_amount: { amount: 4, currency: 'AUD' } }
+    });
+
+    const index = await getStoredIndex();
+    expect(index.months).toEqual([TODAY.substring(0, 7)]);
+    expect((await env.HISTORICAL_SPEND_DATA.list()).keys).toEqual([]);
+
+    // Daily totals are derived when history is read, not stored
+    const stub = env.SPEND_HISTORY.get(env.SPEND_HISTORY.idFromName('history'));
+    const partition = await runInDurableObject(stub, (instance, state) => state.storage.get(`month:${TODAY.substring(0, 7)}`));
+    expect(Object.keys(partition)).toEqual(['expenses']);
+  });
+
+  it('answers a mutation of a missing expense with a 404 and keeps serving', async () => {
+    await mutateHistory(env, 'addExpense', {
+      expense: { id: 'cash_1_abcdef', is_manual_entry: true, expense_date: TODAY, spent_amount: { amount: 4, currency: 'AUD' } }
+    });
+
+    const stub = env.SPEND_HISTORY.get(env.SPEND_HISTORY.idFromName('history'));
+    const response = await stub.fetch('https://spend-history/mutate/deleteExpense', {
+      method: 'POST',
+      body: JSON.stringify({ id: 'cash_missing', date: TODAY })
+    });
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ success: false, error: 'Expense cash_missing not found' });
+
+    await expect(mutateHistory(env, 'updateExpense', { id: 'cash_missing', date: TODAY, changes: {} }))
+      .rejects.toThrow('Expense cash_missing not found');
+    expect(await mutateHistory(env, 'deleteExpense', { id: 'cash_1_abcdef', date: TODAY }))
+      .toMatchObject({ found: true, expense: { id: 'cash_1_abcdef' } });
+  });
+
+  it('copies month partitions from KV on first start', async () => {
+    const expense = revolutExpense('kv-1', '2025-03-14', 12);
+    await env.HISTORICAL_SPEND_DATA.put('index', JSON.stringify({ version: 2, months: ['2025-03'] }));
+    await env.HISTORICAL_SPEND_DATA.put('month:2025-03', JSON.stringify({ expenses: [expense], dailyRates: {} }));
+
+    const stored = await getExpensesInRange(env, '2025-03-01', '2025-03-31');
+    expect(stored.map(exp => exp.id)).toEqual(['kv-1']);
+    expect(await getStoredIndex()).toMatchObject({ months: ['2025-03'], migratedFrom: 'kv' });
+  });
+
+  it('splits a legacy spendData value into months on first start', async () => {
+    const expenses = [revolutExpense('legacy-1', '2024-12-31', 3), revolutExpense('legacy-2', '2025-01-02', 4)];
+    await env.HISTORICAL_SPEND_DATA.put('spendData', JSON.stringify({ expenses }));
+
+    const stored = await getExpensesInRange(env, '2024-12-01', '2025-01-31');
+    expect(stored.map(exp => exp.id).sort()).toEqual(['legacy-1', 'legacy-2']);
+    expect(await getStoredIndex()).toMatchObject({ months: ['2024-12', '2025-01'], migratedFrom: 'spendData' });
+  });
+});
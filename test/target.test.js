@@ -0,0 +1,18 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { adminEnv, telegramMessage, dispatch, mockTelegram } from './helpers';
+
+describe('/set_target', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('escapes user input echoed in the error reply', async () => {
+    const calls = mockTelegram();
+    await dispatch(telegramMessage('/set_target <x> 100'), adminEnv());
+
+    const reply = calls.find(call => call.method === 'sendMessage').body;
+    expect(reply.parse_mode).toBe('HTML');
+    expect(reply.text).toContain('&lt;x&gt;');
+    expect(reply.text).not.toContain('<x>');
+  });
+});
@@ -0,0 +1,130 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { toLocalDateKey, isScheduledRunDue, markScheduledRun } from '../src/time';
+
+const HOUR_MS = 60 * 60 * 1000;
+const RUN_KEY = 'last_test_run';
+
+/**
+ * Run the hourly cron over a range of UTC hours, marking the job as run
+ * whenever it is due
+ *
+ * @param {string} timeZone - IANA timezone name
+ * @param {number} runHour - Local hour (0-23) the job runs at
+ * @param {string} from - First cron run (ISO timestamp)
+ * @param {number} hours - Number of hourly runs
+ * @returns {Promise<Array<string>>} - ISO timestamps of the runs the job fired on
+ */
+async function runHourlyCron(timeZone, runHour, from, hours) {
+  const bindings = { ...env, TIMEZONE: timeZone };
+  const fired = [];
+
+  for (let i = 0; i < hours; i++) {
+    const now = new Date(Date.parse(from) + i * HOUR_MS);
+    if (await isScheduledRunDue(bindings, RUN_KEY, runHour, now)) {
+      await markScheduledRun(bindings, RUN_KEY, now);
+      fired.push(now.toISOString());
+    }
+  }
+
+  return fired;
+}
+
+// Each changeover with the UTC moments just before and at local midnight on
+// the day before, the day of and the day after the change
+const CHANGEOVERS = [
+  {
+    name: 'Sydney, end of daylight saving (03:00 AEDT -> 02:00 AEST)',
+    timeZone: 'Australia/Sydney',
+    midnights: [
+      ['2025-04-04T12:59:00Z', '2025-04-04', '2025-04-05'],
+      ['2025-04-05T12:59:00Z', '2025-04-05', '2025-04-06'],
+      ['2025-04-06T13:59:00Z', '2025-04-06', '2025-04-07']
+    ]
+  },
+  {
+    name: 'Sydney, start of daylight saving (02:00 AEST -> 03:00 AEDT)',
+    timeZone: 'Australia/Sydney',
+    midnights: [
+      ['2025-10-03T13:59:00Z', '2025-10-03', '2025-10-04'],
+      ['2025-10-04T13:59:00Z', '2025-10-04', '2025-10-05'],
+      ['2025-10-05T12:59:00Z', '2025-10-05', '2025-10-06']
+    ]
+  },
+  {
+    name: 'New York, start of daylight saving (02:00 EST -> 03:00 EDT)',
+    timeZone: 'America/New_York',
+    midnights: [
+      ['2025-03-08T04:59:00Z', '2025-03-07', '2025-03-08'],
+      ['2025-03-09T04:59:00Z', '2025-03-08', '2025-03-09'],
+      ['2025-03-10T03:59:00Z', '2025-03-09', '2025-03-10']
+    ]
+  },
+  {
+    name: 'New York, end of daylight saving (02:00 EDT -> 01:00 EST)',
+    timeZone: 'America/New_York',
+    midnights: [
+      ['2025-11-01T03:59:00Z', '2025-10-31', '2025-11-01'],
+      ['2025-11-02T03:59:00Z', '2025-11-01', '2025-11-02'],
+      ['2025-11-03T04:59:00Z', '2025-11-02', '2025-11-03']
+    ]
+  }
+];
+
+describe('toLocalDateKey', () => {
+  describe.each(CHANGEOVERS)('$name', ({ timeZone, midnights }) => {
+    it.each(midnights)('puts %s on %s and the next minute on %s', (before, dayBefore, dayAfter) => {
+      expect(toLocalDateKey(before, timeZone)).toBe(dayBefore);
+      expect(toLocalDateKey(Date.parse(before) + 60 * 1000, timeZone)).toBe(dayAfter);
+    });
+  });
+
+  it('uses UTC by default', () => {
+    expect(toLocalDateKey('2025-04-05T23:59:59Z')).toBe('2025-04-05');
+    expect(toLocalDateKey('2025-04-06T00:00:00Z')).toBe('2025-04-06');
+  });
+});
+
+describe('isScheduledRunDue and markScheduledRun', () => {
+  // Five days of hourly runs around each changeover, covering four whole local days
+  const WINDOWS = [
+    { timeZone: 'Australia/Sydney', from: '2025-04-03T00:00:00Z', days: ['2025-04-04', '2025-04-05', '2025-04-06', '2025-04-07'] },
+    { timeZone: 'Australia/Sydney', from: '2025-10-02T00:00:00Z', days: ['2025-10-03', '2025-10-04', '2025-10-05', '2025-10-06'] },
+    { timeZone: 'America/New_York', from: '2025-03-07T12:00:00Z', days: ['2025-03-08', '2025-03-09', '2025-03-10', '2025-03-11'] },
+    { timeZone: 'America/New_York', from: '2025-10-31T12:00:00Z', days: ['2025-11-01', '2025-11-02', '2025-11-03', '2025-11-04'] }
+  ];
+
+  describe.each(WINDOWS)('$timeZone from $from', ({ timeZone, from, days }) => {
+    it.each([0, 1, 2, 3, 7, 23])('fires once a local day at run hour %i', async runHour => {
+      const fired = await runHourlyCron(timeZone, runHour, from, 5 * 24);
+      const firedDays = fired.map(time => toLocalDateKey(time, timeZone));
+
+      expect(firedDays.filter(day => days.includes(day))).toEqual(days);
+      expect(new Set(firedDays).size).toBe(firedDays.length);
+    });
+  });
+
+  it('fires on the first hour after a run hour skipped by the change to daylight saving', async () => {
+    // 02:00-03:00 doesn't exist in Sydney on 2025-10-05; 16:00Z is 03:00 AEDT
+    expect(await runHourlyCron('Australia/Sydney', 2, '2025-10-04T14:00:00Z', 6)).toEqual(['2025-10-04T16:00:00.000Z']);
+    // 02:00-03:00 doesn't exist in New York on 2025-03-09; 07:00Z is 03:00 EDT
+    expect(await runHourlyCron('America/New_York', 2, '2025-03-09T05:00:00Z', 6)).toEqual(['2025-03-09T07:00:00.000Z']);
+  });
+
+  it('fires only once when the run hour is repeated by the change back', async () => {
+    // 02:00 happens twice in Sydney on 2025-04-06: at 15:00Z (AEDT) and 16:00Z (AEST)
+    expect(await runHourlyCron('Australia/Sydney', 2, '2025-04-05T13:00:00Z', 6)).toEqual(['2025-04-05T15:00:00.000Z']);
+    // 01:00 happens twice in New York on 2025-11-02: at 05:00Z (EDT) and 06:00Z (EST)
+    expect(await runHourlyCron('America/New_York', 1, '2025-11-02T04:00:00Z', 6)).toEqual(['2025-11-02T05:00:00.000Z']);
+  });
+
+  it('runs again the next local day rather than the next UTC day', async () => {
+    const bindings = { ...env, TIMEZONE: 'Australia/Sydney' };
+    // 07:00 AEST on 2025-04-07 is still 2025-04-06 in UTC
+    await markScheduledRun(bindings, RUN_KEY, new Date('2025-04-06T21:00:00Z'));
+
+    expect(await env.SPEND_CONFIG.get(RUN_KEY)).toBe('2025-04-07');
+    expect(await isScheduledRunDue(bindings, RUN_KEY, 7, new Date('2025-04-06T22:00:00Z'))).toBe(false);
+    expect(await isScheduledRunDue(bindings, RUN_KEY, 7, new Date('2025-04-07T21:00:00Z'))).toBe(true);
+  });
+});
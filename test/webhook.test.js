@@ -0,0 +1,98 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import worker from '../src/index';
+
+/**
+ * Build a Telegram webhook request
+ *
+ * @param {Object} update - Telegram update
+ * @param {string} secret - Secret token header, if any
+ * @returns {Request} - Webhook request
+ */
+function webhookRequest(update, secret = env.TELEGRAM_WEBHOOK_SECRET) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) {
+    headers['X-Telegram-Bot-Api-Secret-Token'] = secret;
+  }
+  return new Request('https://worker.test/telegram-webhook', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(update)
+  });
+}
+
+/**
+ * Send a webhook request to the worker and wait for its background work
+ *
+ * @param {Request} request - Webhook request
+ * @param {Object} bindings - Environment to run with
+ * @returns {Promise<Response>} - Worker response
+ */
+async function dispatch(request, bindings = env) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, bindings, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+/**
+ * Record the Telegram API methods called and their bodies
+ *
+ * @returns {Array<Object>} - Calls made ({ method, body })
+ */
+function mockTelegram() {
+  const calls = [];
+  vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    calls.push({ method: url.split('/').pop(), body: init?.body ? JSON.parse(init.body) : null });
+    return new Response(JSON.stringify({ ok: true, result: true }), { status: 200 });
+  });
+  return calls;
+}
+
+describe('Telegram webhook', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('rejects calls with a wrong secret token', async () => {
+    const response = await dispatch(webhookRequest({ update_id: 1 }, 'wrong-secret'));
+    expect(response.status).toBe(401);
+  });
+
+  it('rejects every call when no secret is configured', async () => {
+    const response = await dispatch(webhookRequest({ update_id: 1 }), { ...env, TELEGRAM_WEBHOOK_SECRET: '' });
+    expect(response.status).toBe(401);
+  });
+
+  it('answers callback queries from inline-mode messages', async () => {
+    const calls = mockTelegram();
+    const response = await dispatch(webhookRequest({
+      update_id: 2,
+      callback_query: { id: 'cb-inline', from: { id: 7 }, inline_message_id: 'inline-1', data: 'update_now' }
+    }));
+
+    expect(response.status).toBe(200);
+    expect(calls).toEqual([
+      { method: 'answerCallbackQuery', body: expect.objectContaining({ callback_query_id: 'cb-inline' }) }
+    ]);
+  });
+
+  it('answers callback queries without data', async () => {
+    const calls = mockTelegram();
+    const response = await dispatch(webhookRequest({
+      update_id: 3,
+      callback_query: {
+        id: 'cb-game',
+        from: { id: 7 },
+        message: { message_id: 1, chat: { id: Number(env.TELEGRAM_CHAT_ID) } },
+        game_short_name: 'game'
+      }
+    }));
+
+    expect(response.status).toBe(200);
+    expect(calls).toEqual([
+      { method: 'answerCallbackQuery', body: expect.objectContaining({ callback_query_id: 'cb-game' }) }
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+
+// Tests run inside workerd with the bindings of wrangler.toml. KV namespace
+// IDs are only filled in on deploy, so the bindings are declared here.
+export default defineWorkersConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+    poolOptions: {
+      workers: {
+        main: './src/index.js',
+        miniflare: {
+          compatibilityDate: '2023-10-16',
+          compatibilityFlags: ['nodejs_compat'],
+          kvNamespaces: [
+            'REVOLUT_TOKEN',
+            'REVOLUT_TOKEN_EXPIRY',
+            'REVOLUT_REFRESH_TOKEN',
+            'LAST_PROCESSED_DATE',
+            'HISTORICAL_SPEND_DATA',
+            'TELEGRAM_CHAT_IDS',
+            'TELEGRAM_STATE',
+            'SPEND_CONFIG',
+            'API_KEYS',
+            'API_AUDIT_LOG',
+            'ANOMALY_ALERTS'
+          ],
+          durableObjects: {
+            SPEND_HISTORY: { className: 'SpendHistory', useSQLite: true }
+          },
+          bindings: {
+            TELEGRAM_BOT_TOKEN: '123456:test-bot-token',
+            TELEGRAM_CHAT_ID: '1001',
+            TELEGRAM_WEBHOOK_SECRET: 'test-webhook-secret'
+          }
+        }
+      }
+    }
+  }
+});